@@ -0,0 +1,83 @@
+'use strict';
+
+const errors = require('./errors');
+
+/**
+ * Helpers on template AST nodes and their contexts,
+ * shared by the compiler (see `job.js`) and the interpreter.
+ *
+ * @private
+ */
+
+/**
+ * Tells whether `node` is processed before its siblings.
+ */
+exports.isHoisted = function(node) {
+    return node.type === 'macro' || node.type === 'import';
+};
+
+/**
+ * Parses macro arguments declaration like `a, b = 1` into the list
+ * of argument names with default value expressions.
+ */
+exports.parseArgs = function(source, node, ctx) {
+    return splitArgs(source).map(arg => {
+        const m = /^\s*([a-z_][a-zA-Z0-9_]*)\s*(?:=([\s\S]+))?$/.exec(arg);
+        if (!m) {
+            throw new errors.ZenmillCompileError(
+                `Invalid argument \`${arg.trim()}\` of macro ${node.name}`, {
+                    file: ctx.file,
+                    chain: ctx.includes,
+                    location: node.location
+                });
+        }
+        return {
+            name: m[1],
+            default: m[2] ? m[2].trim() : null
+        };
+    });
+};
+
+/**
+ * Splits comma-separated list of expressions, ignoring commas
+ * inside string literals and brackets.
+ */
+function splitArgs(source) {
+    const parts = [];
+    const brackets = [];
+    let quote = null;
+    let start = 0;
+    for (let i = 0; i < source.length; i++) {
+        const c = source[i];
+        if (quote) {
+            if (c === '\\') {
+                i++;
+            } else if (c === quote) {
+                quote = null;
+            }
+        } else if (c === '"' || c === '\'' || c === '`') {
+            quote = c;
+        } else if ('([{'.indexOf(c) !== -1) {
+            brackets.push(c);
+        } else if (')]}'.indexOf(c) !== -1) {
+            brackets.pop();
+        } else if (c === ',' && !brackets.length) {
+            parts.push(source.substring(start, i));
+            start = i + 1;
+        }
+    }
+    parts.push(source.substring(start));
+    return parts.filter(part => part.trim());
+}
+
+/**
+ * Looks up the definition of block `name` in `ctx` and its parents
+ * (up to the first isolated context, i.e. the one of component or import).
+ */
+exports.findDefinition = function(name, ctx) {
+    const def = ctx.defs[name];
+    if (def) {
+        return def;
+    }
+    return ctx.parent && !ctx.isolated ? exports.findDefinition(name, ctx.parent) : null;
+};
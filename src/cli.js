@@ -0,0 +1,222 @@
+'use strict';
+
+const path = require('path');
+const fs = require('fs');
+const createCompiler = require('./compiler');
+const fsLoader = require('./loaders/fs');
+
+const USAGE = `Usage: zenmill <command> [options]
+
+Commands:
+  render <file>       render template to stdout
+  compile <glob...>   precompile templates into JavaScript modules
+  check <glob...>     compile templates and report errors
+
+Options:
+  --root <dir>        templates directory (default: current directory)
+  --data <file>       JSON file with data to render template with
+  --out <dir>         output directory for compiled modules
+  --format <format>   module format: cjs (default) or umd
+  --help              show this message
+`;
+
+const COMMANDS = {
+    render,
+    compile,
+    check
+};
+
+/**
+ * Runs command line interface.
+ *
+ * @param {string[]} argv - command line arguments (without node and script)
+ * @param {*} io - object with `stdout` and `stderr` writable streams
+ * @returns {Promise<number>} exit code
+ */
+module.exports = function cli(argv, io) {
+    const args = parseArgs(argv);
+    const command = COMMANDS[args._.shift()];
+    if (args.help) {
+        io.stdout.write(USAGE);
+        return Promise.resolve(0);
+    }
+    if (!command) {
+        io.stderr.write(USAGE);
+        return Promise.resolve(1);
+    }
+    const root = path.resolve(args.root || '.');
+    const compiler = createCompiler(fsLoader(root));
+    return Promise.resolve()
+        .then(() => command(compiler, root, args, io))
+        .catch(err => {
+            io.stderr.write(err.message + '\n');
+            return 1;
+        });
+};
+
+function render(compiler, root, args, io) {
+    const file = args._[0];
+    if (!file) {
+        throw new Error('Template file is required');
+    }
+    const data = args.data ? readFile(args.data).then(JSON.parse) : Promise.resolve({});
+    return data
+        .then(data => compiler.render(file, data))
+        .then(html => {
+            io.stdout.write(html);
+            return 0;
+        });
+}
+
+function compile(compiler, root, args, io) {
+    if (!args.out) {
+        throw new Error('Output directory is required (--out)');
+    }
+    const out = path.resolve(args.out);
+    return expandGlobs(root, args._)
+        .then(files => sequence(files, file => {
+            const target = path.join(out, file.replace(/\.[^./]+$/, '') + '.js');
+            return compiler.compileToSource(file, { format: args.format })
+                .then(source => writeFile(target, source))
+                .then(() => io.stdout.write(`${file} -> ${path.relative('.', target)}\n`));
+        }))
+        .then(() => 0);
+}
+
+function check(compiler, root, args, io) {
+    let failed = 0;
+    return expandGlobs(root, args._)
+        .then(files => sequence(files, file => {
+            return compiler.compile(file)
+                .catch(err => {
+                    failed++;
+                    // Errors of templates mention their path already
+                    const message = err.message.indexOf(file) !== -1 ?
+                        err.message : `${err.message} (${file})`;
+                    io.stderr.write(message + '\n\n');
+                });
+        })
+            .then(() => {
+                io.stdout.write(`${files.length} template(s) checked, ${failed} failed\n`);
+                return failed ? 1 : 0;
+            }));
+}
+
+/**
+ * Parses command line arguments into an object with options,
+ * positional arguments are collected into `_` array.
+ */
+function parseArgs(argv) {
+    const args = { _: [] };
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        const m = /^--([^=]+)(?:=(.*))?$/.exec(arg);
+        if (!m) {
+            args._.push(arg);
+        } else if (m[2] != null) {
+            args[m[1]] = m[2];
+        } else if (m[1] === 'help') {
+            args.help = true;
+        } else {
+            args[m[1]] = argv[++i];
+        }
+    }
+    return args;
+}
+
+/**
+ * Resolves glob patterns (`*`, `**` and `?` are supported) into
+ * the sorted list of matching files, relative to `root`.
+ */
+function expandGlobs(root, patterns) {
+    if (!patterns.length) {
+        return Promise.reject(new Error('At least one file or glob is required'));
+    }
+    return listFiles(root, '')
+        .then(files => {
+            const matched = [];
+            patterns.forEach(pattern => {
+                const re = globToRegExp(pattern);
+                const found = files.filter(file => re.test(file));
+                if (!found.length) {
+                    throw new Error(`No templates match ${pattern}`);
+                }
+                found.forEach(file => {
+                    if (matched.indexOf(file) === -1) {
+                        matched.push(file);
+                    }
+                });
+            });
+            return matched.sort();
+        });
+}
+
+function globToRegExp(pattern) {
+    const source = path.normalize(pattern)
+        .replace(/^\/+/, '')
+        .replace(/[.+^${}()|[\]\\]/g, '\\$&')
+        .replace(/\*\*\/|\*\*|\*|\?/g, token => {
+            switch (token) {
+                case '**/':
+                    return '(?:.*/)?';
+                case '**':
+                    return '.*';
+                case '*':
+                    return '[^/]*';
+                default:
+                    return '[^/]';
+            }
+        });
+    return new RegExp('^' + source + '$');
+}
+
+function listFiles(root, dir) {
+    return new Promise((resolve, reject) => {
+        fs.readdir(path.join(root, dir), (err, names) => err ? reject(err) : resolve(names));
+    })
+        .then(names => Promise.all(names.map(name => {
+            const file = dir ? dir + '/' + name : name;
+            return stat(path.join(root, file))
+                .then(stats => stats.isDirectory() ? listFiles(root, file) : [file]);
+        })))
+        .then(lists => [].concat.apply([], lists));
+}
+
+function sequence(items, fn) {
+    return items.reduce((promise, item) => promise.then(() => fn(item)), Promise.resolve());
+}
+
+function stat(file) {
+    return new Promise((resolve, reject) => {
+        fs.stat(file, (err, stats) => err ? reject(err) : resolve(stats));
+    });
+}
+
+function readFile(file) {
+    return new Promise((resolve, reject) => {
+        fs.readFile(file, 'utf-8', (err, content) => err ? reject(err) : resolve(content));
+    });
+}
+
+function writeFile(file, content) {
+    return mkdirp(path.dirname(file))
+        .then(() => new Promise((resolve, reject) => {
+            fs.writeFile(file, content, 'utf-8', err => err ? reject(err) : resolve());
+        }));
+}
+
+function mkdirp(dir) {
+    return new Promise((resolve, reject) => {
+        fs.mkdir(dir, err => {
+            if (!err || err.code === 'EEXIST') {
+                return resolve();
+            }
+            if (err.code !== 'ENOENT') {
+                return reject(err);
+            }
+            mkdirp(path.dirname(dir))
+                .then(() => mkdirp(dir))
+                .then(resolve, reject);
+        });
+    });
+}
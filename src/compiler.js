@@ -11,28 +11,149 @@ const Job = require('./job');
  *       used for resolving initial template and all its includes
  * @param {*} options
  * @param {boolean} options.stripComments - remove comments at compile time
+ * @param {boolean} options.cache - keep compiled functions until
+ *     they are invalidated
+ * @param {string[]} options.roots - directories outside of templates root
+ *     (e.g. `../shared`) which includes and inlines may refer to
+ * @param {string} options.order - default order of object keys in `each`:
+ *     `key` (alphabetical, default), `desc` or `insertion`
+ * @param {boolean} options.allowUnsafeUrls - do not replace URLs with schemes
+ *     other than `http`, `https`, `mailto`, `tel` and `ftp` (e.g. `javascript:`)
+ * @param {string} options.expressions - `js` (default) evaluates expressions
+ *     as arbitrary JavaScript, `safe` allows only restricted grammar
+ *     (for templates written by semi-trusted authors)
+ * @param {string} options.backend - `function` (default) builds template functions
+ *     with `new Function`, `interpreter` walks template AST at render time
+ *     (for environments which disallow `eval`, requires safe expressions)
+ * @param {object} options.filters - custom filters, e.g. `{ shout: value => value + '!' }`,
+ *     in addition to (or instead of) built-in ones
+ * @param {object} options.globals - globals available to every template,
+ *     in addition to (or instead of) built-in ones, `undefined` hides built-in global
+ *     (e.g. `{ Object: undefined }`)
+ * @param {object} options.helpers - app-wide helpers available to every template,
+ *     e.g. `{ t: key => messages[key] }`, take precedence over globals
  */
 module.exports = function createCompiler(load, options) {
     options = options || {};
     const stripComments = !!options.stripComments;
+    const cache = options.cache ? {} : null;
+    const roots = options.roots || [];
+    const order = options.order || 'key';
+    const allowUnsafeUrls = !!options.allowUnsafeUrls;
+    const expressions = options.expressions || 'js';
+    const backend = options.backend || 'function';
+    const filters = options.filters || {};
+    const globals = options.globals || {};
+    const helpers = options.helpers || {};
+    if (Job.ORDERS.indexOf(order) === -1) {
+        throw new Error('Unknown order: ' + order);
+    }
+    if (Job.EXPRESSIONS.indexOf(expressions) === -1) {
+        throw new Error('Unknown expressions mode: ' + expressions);
+    }
+    if (Job.BACKENDS.indexOf(backend) === -1) {
+        throw new Error('Unknown backend: ' + backend);
+    }
+    if (backend === 'interpreter' && expressions !== 'safe') {
+        throw new Error('Interpreter backend requires safe expressions');
+    }
 
     function compile(file) {
-        file = path.normalize(file);
-        const job = new Job({
-            file,
-            load,
-            stripComments
+        file = normalize(file);
+        if (!cache) {
+            return createJob(file).compile();
+        }
+        const cached = cache[file];
+        if (cached) {
+            return cached.promise;
+        }
+        const job = createJob(file);
+        const entry = cache[file] = {
+            dependencies: job.dependencies,
+            promise: job.compile()
+                .catch(err => {
+                    if (cache[file] === entry) {
+                        delete cache[file];
+                    }
+                    throw err;
+                })
+        };
+        return entry.promise;
+    }
+
+    /**
+     * Compiles template into the source of standalone JavaScript module,
+     * which can be rendered without the compiler. Custom filters, globals and helpers
+     * used by the template must be passed to each render of the module.
+     *
+     * @param {string} file
+     * @param {*} options
+     * @param {string} options.format - `cjs` (default), `esm` or `umd`
+     */
+    function compileToSource(file, options) {
+        options = options || {};
+        return createJob(normalize(file)).compileToSource(options.format || 'cjs');
+    }
+
+    /**
+     * Renders `file` with `data`.
+     *
+     * @param {string} file
+     * @param {*} data
+     * @param {*} options
+     * @param {object} options.filters - filters of this render only
+     * @param {object} options.globals - globals of this render only
+     * @param {object} options.helpers - helpers of this render only
+     */
+    function render(file, data, options) {
+        return compile(file).then(fn => fn(data, options));
+    }
+
+    /**
+     * Evicts cached functions of every template which depends on `file`
+     * (i.e. the template itself and all templates that include or inline it,
+     * directly or transitively). Clears the whole cache if `file` is omitted.
+     */
+    function invalidate(file) {
+        if (!cache) {
+            return;
+        }
+        if (file == null) {
+            Object.keys(cache).forEach(key => delete cache[key]);
+            return;
+        }
+        file = normalize(file);
+        Object.keys(cache).forEach(key => {
+            if (key === file || cache[key].dependencies.indexOf(file) !== -1) {
+                delete cache[key];
+            }
         });
-        return job.compile();
     }
 
-    function render(file, data) {
-        return compile(file).then(fn => fn(data));
+    function createJob(file) {
+        return new Job({
+            file,
+            load,
+            stripComments,
+            roots,
+            order,
+            allowUnsafeUrls,
+            expressions,
+            backend,
+            filters,
+            globals,
+            helpers
+        });
     }
 
     return {
         compile,
-        render
+        compileToSource,
+        render,
+        invalidate
     };
 };
 
+function normalize(file) {
+    return path.normalize(file).replace(/^\/+/, '');
+}
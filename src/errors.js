@@ -0,0 +1,124 @@
+'use strict';
+
+/**
+ * Thrown when template content cannot be parsed.
+ *
+ * @param {Error} cause - original PEG syntax error
+ * @param {*} params
+ * @param {string} params.file - path of the template being parsed
+ * @param {string[]} params.chain - include chain from entry template to `file`
+ * @param {string} params.content - template content
+ */
+const ZenmillSyntaxError = exports.ZenmillSyntaxError = function(cause, params) {
+    const start = cause.location.start;
+    this.name = 'ZenmillSyntaxError';
+    this.file = params.file;
+    this.chain = params.chain;
+    this.line = start.line;
+    this.column = start.column;
+    this.offset = start.offset;
+    this.expected = cause.expected;
+    this.found = cause.found;
+    this.cause = cause;
+    this.frame = codeFrame(params.content, start.line, start.column);
+    this.message = `${cause.message} (${this.file}:${this.line}:${this.column})`;
+    if (this.chain.length > 1) {
+        this.message += '\nInclude chain: ' + this.chain.join(' -> ');
+    }
+    this.message += '\n\n' + this.frame;
+    captureStackTrace(this, ZenmillSyntaxError);
+};
+
+inherit(ZenmillSyntaxError);
+
+/**
+ * Thrown when template is syntactically correct, but cannot be compiled.
+ *
+ * @param {string} message
+ * @param {*} params
+ * @param {string} params.file - path of the template with error
+ * @param {string[]} params.chain - include chain from entry template to `file`
+ * @param {*} params.location - `line` and `column` of the offending tag, if any
+ */
+const ZenmillCompileError = exports.ZenmillCompileError = function(message, params) {
+    const location = params.location;
+    this.name = 'ZenmillCompileError';
+    this.file = params.file;
+    this.chain = params.chain;
+    this.line = location ? location.line : null;
+    this.column = location ? location.column : null;
+    this.message = location ?
+        `${message} (${this.file}:${this.line}:${this.column})` :
+        `${message} (${this.file})`;
+    captureStackTrace(this, ZenmillCompileError);
+};
+
+inherit(ZenmillCompileError);
+
+/**
+ * Thrown by loaders when template does not exist.
+ *
+ * Has `ENOENT` code, so that it can be handled just like Node's fs errors.
+ *
+ * @param {string} file - path of requested template
+ * @param {string} reason - optional details
+ */
+const ZenmillNotFoundError = exports.ZenmillNotFoundError = function(file, reason) {
+    this.name = 'ZenmillNotFoundError';
+    this.code = 'ENOENT';
+    this.file = file;
+    this.message = `Template ${file} not found` + (reason ? ` (${reason})` : '');
+    captureStackTrace(this, ZenmillNotFoundError);
+};
+
+inherit(ZenmillNotFoundError);
+
+/**
+ * Tells whether `err` means that template does not exist
+ * (as opposed to I/O errors, permission issues, etc.)
+ */
+exports.isNotFound = function(err) {
+    return !!err && (err.code === 'ENOENT' || err.name === 'ZenmillNotFoundError');
+};
+
+/**
+ * Formats a few lines of `content` around specified location,
+ * pointing at `column` with a caret.
+ */
+function codeFrame(content, line, column) {
+    const lines = content.split(/\r\n|\r|\n/);
+    const start = Math.max(line - 3, 0);
+    const end = Math.min(line + 1, lines.length);
+    const width = String(end).length;
+    const frame = [];
+    for (let i = start; i < end; i++) {
+        const current = i + 1 === line;
+        frame.push((current ? '> ' : '  ') + pad(String(i + 1), width) + ' | ' + lines[i]);
+        if (current) {
+            // Preserve tabs, so that caret is aligned with source line
+            const indent = lines[i].substring(0, column - 1).replace(/[^\t]/g, ' ');
+            frame.push('  ' + pad('', width) + ' | ' + indent + '^');
+        }
+    }
+    return frame.join('\n');
+}
+
+function pad(str, width) {
+    while (str.length < width) {
+        str = ' ' + str;
+    }
+    return str;
+}
+
+function inherit(ErrorClass) {
+    ErrorClass.prototype = Object.create(Error.prototype);
+    ErrorClass.prototype.constructor = ErrorClass;
+}
+
+function captureStackTrace(err, ErrorClass) {
+    if (typeof Error.captureStackTrace == 'function') {
+        Error.captureStackTrace(err, ErrorClass);
+    } else {
+        err.stack = new Error(err.message).stack;
+    }
+}
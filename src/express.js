@@ -0,0 +1,63 @@
+'use strict';
+
+const path = require('path');
+const createCompiler = require('./compiler');
+const fsLoader = require('./loaders/fs');
+
+const RESERVED_LOCALS = ['settings', 'cache', '_locals'];
+
+/**
+ * Creates Express / Connect view engine:
+ *
+ *     app.engine('html', zenmill.express());
+ *
+ * Templates are loaded from `views` directory (or the one containing
+ * rendered view, if it does not match any of `views`), so that
+ * includes are resolved relative to it. Locals provided by Express
+ * (`app.locals`, `res.locals` and render options) become template data.
+ *
+ * @param {*} options - compiler options, as well as:
+ * @param {string} options.root - templates directory, overrides `views` setting
+ * @param {boolean} options.cache - whether to cache compiled templates,
+ *     by default follows `view cache` setting
+ */
+module.exports = function expressEngine(options) {
+    options = options || {};
+    const compilers = {};
+
+    function compilerFor(root) {
+        let compiler = compilers[root];
+        if (!compiler) {
+            compiler = compilers[root] = createCompiler(fsLoader(root),
+                Object.assign({}, options, { cache: true }));
+        }
+        return compiler;
+    }
+
+    return function render(filePath, locals, callback) {
+        const settings = locals.settings || {};
+        const root = path.resolve(options.root || viewsRoot(settings.views, filePath));
+        const compiler = compilerFor(root);
+        const cache = options.cache == null ? !!locals.cache : options.cache;
+        if (!cache) {
+            compiler.invalidate();
+        }
+        const file = path.relative(root, filePath).split(path.sep).join('/');
+        // Callback is called outside of promise chain, so that its errors are not swallowed
+        compiler.render(file, dataOf(locals))
+            .then(html => process.nextTick(() => callback(null, html)),
+                err => process.nextTick(() => callback(err)));
+    };
+};
+
+function viewsRoot(views, filePath) {
+    const roots = [].concat(views || []).map(dir => path.resolve(dir));
+    const root = roots.filter(dir => path.relative(dir, filePath).indexOf('..') !== 0)[0];
+    return root || path.dirname(filePath);
+}
+
+function dataOf(locals) {
+    const data = Object.assign({}, locals._locals, locals);
+    RESERVED_LOCALS.forEach(key => delete data[key]);
+    return data;
+}
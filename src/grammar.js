@@ -33,263 +33,600 @@ module.exports = (function() {
 
         peg$FAILED = {},
 
-        peg$startRuleFunctions = { Nodes: peg$parseNodes },
-        peg$startRuleFunction  = peg$parseNodes,
+        peg$startRuleFunctions = { Template: peg$parseTemplate, TopLevelPipe: peg$parseTopLevelPipe },
+        peg$startRuleFunction  = peg$parseTemplate,
 
-        peg$c0 = { type: "other", description: "include" },
-        peg$c1 = "/>",
-        peg$c2 = { type: "literal", value: "/>", description: "\"/>\"" },
-        peg$c3 = function(tag) {
+        peg$c0 = function(head, component, nodes) {
+            // Component goes first, the comments before it (e.g. licence) are kept
+            return [component].concat(head, nodes)
+          },
+        peg$c1 = function(node) { return node },
+        peg$c2 = { type: "other", description: "include" },
+        peg$c3 = "/>",
+        peg$c4 = { type: "literal", value: "/>", description: "\"/>\"" },
+        peg$c5 = function(tag) {
             return {
               type: 'include',
+              location: loc(),
               file: tag.file,
               nodes: []
             }
           },
-        peg$c4 = ">",
-        peg$c5 = { type: "literal", value: ">", description: "\">\"" },
-        peg$c6 = "</include>",
-        peg$c7 = { type: "literal", value: "</include>", description: "\"</include>\"" },
-        peg$c8 = function(tag, nodes) {
+        peg$c6 = ">",
+        peg$c7 = { type: "literal", value: ">", description: "\">\"" },
+        peg$c8 = "</include>",
+        peg$c9 = { type: "literal", value: "</include>", description: "\"</include>\"" },
+        peg$c10 = function(tag, nodes) {
             return {
               type: 'include',
+              location: loc(),
               file: tag.file,
               nodes: nodes
             }
           },
-        peg$c9 = "<include",
-        peg$c10 = { type: "literal", value: "<include", description: "\"<include\"" },
-        peg$c11 = "file",
-        peg$c12 = { type: "literal", value: "file", description: "\"file\"" },
-        peg$c13 = "=",
-        peg$c14 = { type: "literal", value: "=", description: "\"=\"" },
-        peg$c15 = function(file) {
+        peg$c11 = "<include",
+        peg$c12 = { type: "literal", value: "<include", description: "\"<include\"" },
+        peg$c13 = "file",
+        peg$c14 = { type: "literal", value: "file", description: "\"file\"" },
+        peg$c15 = "=",
+        peg$c16 = { type: "literal", value: "=", description: "\"=\"" },
+        peg$c17 = function(file) {
             return {
               file: file
             }
           },
-        peg$c16 = function(node) { return node },
-        peg$c17 = { type: "other", description: "inline" },
-        peg$c18 = "<inline",
-        peg$c19 = { type: "literal", value: "<inline", description: "\"<inline\"" },
-        peg$c20 = function(file) {
+        peg$c18 = { type: "other", description: "component" },
+        peg$c19 = "<component>",
+        peg$c20 = { type: "literal", value: "<component>", description: "\"<component>\"" },
+        peg$c21 = "</component>",
+        peg$c22 = { type: "literal", value: "</component>", description: "\"</component>\"" },
+        peg$c23 = function(props) {
+            return {
+              type: 'component',
+              location: loc(),
+              props: props
+            }
+          },
+        peg$c24 = "<component",
+        peg$c25 = { type: "literal", value: "<component", description: "\"<component\"" },
+        peg$c26 = function() {
+            error('<component> must be the first tag of the file')
+          },
+        peg$c27 = function(prop) { return prop },
+        peg$c28 = { type: "other", description: "prop" },
+        peg$c29 = "<prop:",
+        peg$c30 = { type: "literal", value: "<prop:", description: "\"<prop:\"" },
+        peg$c31 = function(name, attrs) {
+            var prop = {
+              type: 'prop',
+              location: loc(),
+              name: name,
+              required: false,
+              default: null
+            };
+            attrs.forEach(function(attr) {
+              if (attr.name == 'required' && attr.value == null) {
+                prop.required = true;
+              } else if (attr.name == 'default' && attr.value != null) {
+                prop.default = attr.value;
+              } else {
+                error('Unexpected attribute ' + attr.name + ' of prop ' + name);
+              }
+            });
+            return prop;
+          },
+        peg$c32 = { type: "other", description: "use" },
+        peg$c33 = function(tag) {
+            return {
+              type: 'use',
+              location: loc(),
+              file: tag.file,
+              props: tag.props,
+              nodes: []
+            }
+          },
+        peg$c34 = "</use>",
+        peg$c35 = { type: "literal", value: "</use>", description: "\"</use>\"" },
+        peg$c36 = function(tag, nodes) {
+            return {
+              type: 'use',
+              location: loc(),
+              file: tag.file,
+              props: tag.props,
+              nodes: nodes
+            }
+          },
+        peg$c37 = "<use",
+        peg$c38 = { type: "literal", value: "<use", description: "\"<use\"" },
+        peg$c39 = function(file, attrs) {
+            var props = attrs.map(function(attr) {
+              if (attr.value == null) {
+                error('Attribute ' + attr.name + ' of use must have a value');
+              }
+              checkPipes(attr.value);
+              return {
+                name: attr.name,
+                expr: attr.value
+              };
+            });
+            return {
+              file: file,
+              props: props
+            }
+          },
+        peg$c40 = { type: "other", description: "inline" },
+        peg$c41 = "<inline",
+        peg$c42 = { type: "literal", value: "<inline", description: "\"<inline\"" },
+        peg$c43 = function(file) {
             return {
               type: 'inline',
+              location: loc(),
               file: file
             }
           },
-        peg$c21 = { type: "other", description: "definition" },
-        peg$c22 = "<",
-        peg$c23 = { type: "literal", value: "<", description: "\"<\"" },
-        peg$c24 = ":",
-        peg$c25 = { type: "literal", value: ":", description: "\":\"" },
-        peg$c26 = "</",
-        peg$c27 = { type: "literal", value: "</", description: "\"</\"" },
-        peg$c28 = function(def, name, nodes, _def) { return def == _def },
-        peg$c29 = function(def, name, nodes, _def, _name) { return name == _name },
-        peg$c30 = function(def, name, nodes, _def, _name) {
+        peg$c44 = { type: "other", description: "definition" },
+        peg$c45 = "<",
+        peg$c46 = { type: "literal", value: "<", description: "\"<\"" },
+        peg$c47 = ":",
+        peg$c48 = { type: "literal", value: ":", description: "\":\"" },
+        peg$c49 = "</",
+        peg$c50 = { type: "literal", value: "</", description: "\"</\"" },
+        peg$c51 = function(def, name, as, nodes, _def) { return def == _def },
+        peg$c52 = function(def, name, as, nodes, _def, _name) { return name == _name },
+        peg$c53 = function(def, name, as, nodes, _def, _name) {
             return {
               type: 'def',
+              location: loc(),
               mode: def,
               name: name,
+              as: as,
               nodes: nodes
             }
           },
-        peg$c31 = "def",
-        peg$c32 = { type: "literal", value: "def", description: "\"def\"" },
-        peg$c33 = "append",
-        peg$c34 = { type: "literal", value: "append", description: "\"append\"" },
-        peg$c35 = "prepend",
-        peg$c36 = { type: "literal", value: "prepend", description: "\"prepend\"" },
-        peg$c37 = { type: "other", description: "block" },
-        peg$c38 = "<block:",
-        peg$c39 = { type: "literal", value: "<block:", description: "\"<block:\"" },
-        peg$c40 = function(name) {
+        peg$c54 = "as",
+        peg$c55 = { type: "literal", value: "as", description: "\"as\"" },
+        peg$c56 = function(name) { return name },
+        peg$c57 = "def",
+        peg$c58 = { type: "literal", value: "def", description: "\"def\"" },
+        peg$c59 = "append",
+        peg$c60 = { type: "literal", value: "append", description: "\"append\"" },
+        peg$c61 = "prepend",
+        peg$c62 = { type: "literal", value: "prepend", description: "\"prepend\"" },
+        peg$c63 = { type: "other", description: "macro" },
+        peg$c64 = "<macro:",
+        peg$c65 = { type: "literal", value: "<macro:", description: "\"<macro:\"" },
+        peg$c66 = "</macro:",
+        peg$c67 = { type: "literal", value: "</macro:", description: "\"</macro:\"" },
+        peg$c68 = function(name, attrs, nodes, _name) { return name == _name },
+        peg$c69 = function(name, attrs, nodes, _name) {
+            var args = '';
+            attrs.forEach(function(attr) {
+              if (attr.name == 'args' && attr.value != null) {
+                args = attr.value;
+              } else {
+                error('Unexpected attribute ' + attr.name + ' of macro ' + name);
+              }
+            });
+            return {
+              type: 'macro',
+              location: loc(),
+              name: name,
+              args: args,
+              nodes: nodes
+            }
+          },
+        peg$c70 = { type: "other", description: "import" },
+        peg$c71 = "<import",
+        peg$c72 = { type: "literal", value: "<import", description: "\"<import\"" },
+        peg$c73 = function(file, name) {
+            return {
+              type: 'import',
+              location: loc(),
+              file: file,
+              name: name
+            }
+          },
+        peg$c74 = { type: "other", description: "block" },
+        peg$c75 = "<block:",
+        peg$c76 = { type: "literal", value: "<block:", description: "\"<block:\"" },
+        peg$c77 = function(name, expr) {
             return {
               type: 'block',
+              location: loc(),
               name: name,
+              with: expr,
               nodes: []
             }
           },
-        peg$c41 = "</block:",
-        peg$c42 = { type: "literal", value: "</block:", description: "\"</block:\"" },
-        peg$c43 = function(name, nodes, _name) { return name == _name },
-        peg$c44 = function(name, nodes, _name) {
+        peg$c78 = "</block:",
+        peg$c79 = { type: "literal", value: "</block:", description: "\"</block:\"" },
+        peg$c80 = function(name, expr, nodes, _name) { return name == _name },
+        peg$c81 = function(name, expr, nodes, _name) {
             return {
               type: 'block',
+              location: loc(),
               name: name,
+              with: expr,
               nodes: nodes
             }
           },
-        peg$c45 = { type: "other", description: "comment" },
-        peg$c46 = "<!--",
-        peg$c47 = { type: "literal", value: "<!--", description: "\"<!--\"" },
-        peg$c48 = "-->",
-        peg$c49 = { type: "literal", value: "-->", description: "\"-->\"" },
-        peg$c50 = function(content) {
+        peg$c82 = "with",
+        peg$c83 = { type: "literal", value: "with", description: "\"with\"" },
+        peg$c84 = function(expr) { return expr },
+        peg$c85 = { type: "other", description: "comment" },
+        peg$c86 = "<!--",
+        peg$c87 = { type: "literal", value: "<!--", description: "\"<!--\"" },
+        peg$c88 = "-->",
+        peg$c89 = { type: "literal", value: "-->", description: "\"-->\"" },
+        peg$c90 = function(content) {
             return {
               type: 'comment',
               content: content
             }
           },
-        peg$c51 = { type: "any", description: "any character" },
-        peg$c52 = { type: "other", description: "var" },
-        peg$c53 = "<var:",
-        peg$c54 = { type: "literal", value: "<var:", description: "\"<var:\"" },
-        peg$c55 = "</var:",
-        peg$c56 = { type: "literal", value: "</var:", description: "\"</var:\"" },
-        peg$c57 = function(name, expr, _name) { return name == _name },
-        peg$c58 = function(name, expr, _name) {
+        peg$c91 = { type: "any", description: "any character" },
+        peg$c92 = { type: "other", description: "var" },
+        peg$c93 = "<var:",
+        peg$c94 = { type: "literal", value: "<var:", description: "\"<var:\"" },
+        peg$c95 = "</var:",
+        peg$c96 = { type: "literal", value: "</var:", description: "\"</var:\"" },
+        peg$c97 = function(name, expr, _name) { return name == _name },
+        peg$c98 = function(name, expr, _name) {
             return {
               type: 'var',
+              location: loc(),
               name: name,
-              expr: expr
+              expr: expr.expr,
+              filters: expr.filters
             }
           },
-        peg$c59 = { type: "other", description: "expression" },
-        peg$c60 = "#{",
-        peg$c61 = { type: "literal", value: "#{", description: "\"#{\"" },
-        peg$c62 = "}",
-        peg$c63 = { type: "literal", value: "}", description: "\"}\"" },
-        peg$c64 = function(expr) {
+        peg$c99 = { type: "other", description: "expression" },
+        peg$c100 = "#{",
+        peg$c101 = { type: "literal", value: "#{", description: "\"#{\"" },
+        peg$c102 = "}",
+        peg$c103 = { type: "literal", value: "}", description: "\"}\"" },
+        peg$c104 = function(expr) {
             return {
               type: 'expr',
+              location: loc(),
               escape: true,
-              expr: expr
+              expr: expr.expr,
+              filters: expr.filters
             }
           },
-        peg$c65 = "!{",
-        peg$c66 = { type: "literal", value: "!{", description: "\"!{\"" },
-        peg$c67 = function(expr) {
+        peg$c105 = "!{",
+        peg$c106 = { type: "literal", value: "!{", description: "\"!{\"" },
+        peg$c107 = function(expr) {
             return {
               type: 'expr',
+              location: loc(),
               escape: false,
-              expr: expr
+              expr: expr.expr,
+              filters: expr.filters
+            }
+          },
+        peg$c108 = function(expr, filters) {
+            return {
+              expr: expr,
+              filters: filters
+            }
+          },
+        peg$c109 = "(",
+        peg$c110 = { type: "literal", value: "(", description: "\"(\"" },
+        peg$c111 = ")",
+        peg$c112 = { type: "literal", value: ")", description: "\")\"" },
+        peg$c113 = "[",
+        peg$c114 = { type: "literal", value: "[", description: "\"[\"" },
+        peg$c115 = "]",
+        peg$c116 = { type: "literal", value: "]", description: "\"]\"" },
+        peg$c117 = "||",
+        peg$c118 = { type: "literal", value: "||", description: "\"||\"" },
+        peg$c119 = /^[^}{"'`<|()[\]]/,
+        peg$c120 = { type: "class", value: "[^}{\"'`<|()[\\]]", description: "[^}{\"'`<|()[\\]]" },
+        peg$c121 = /^[^}{"'`<()[\]]/,
+        peg$c122 = { type: "class", value: "[^}{\"'`<()[\\]]", description: "[^}{\"'`<()[\\]]" },
+        peg$c123 = { type: "other", description: "filter" },
+        peg$c124 = "|",
+        peg$c125 = { type: "literal", value: "|", description: "\"|\"" },
+        peg$c126 = function(name, args) {
+            return {
+              name: name,
+              args: args
             }
           },
-        peg$c68 = /^[^}{"'<]/,
-        peg$c69 = { type: "class", value: "[^}{\"'<]", description: "[^}{\"'<]" },
-        peg$c70 = "{",
-        peg$c71 = { type: "literal", value: "{", description: "\"{\"" },
-        peg$c72 = { type: "other", description: "if" },
-        peg$c73 = "<if",
-        peg$c74 = { type: "literal", value: "<if", description: "\"<if\"" },
-        peg$c75 = "expr",
-        peg$c76 = { type: "literal", value: "expr", description: "\"expr\"" },
-        peg$c77 = "</if>",
-        peg$c78 = { type: "literal", value: "</if>", description: "\"</if>\"" },
-        peg$c79 = function(expr, nodes) {
+        peg$c127 = { type: "other", description: "filter name" },
+        peg$c128 = /^[a-zA-Z_]/,
+        peg$c129 = { type: "class", value: "[a-zA-Z_]", description: "[a-zA-Z_]" },
+        peg$c130 = /^[a-zA-Z0-9_]/,
+        peg$c131 = { type: "class", value: "[a-zA-Z0-9_]", description: "[a-zA-Z0-9_]" },
+        peg$c132 = function(args) { return args },
+        peg$c133 = /^[^}{"'`<()]/,
+        peg$c134 = { type: "class", value: "[^}{\"'`<()]", description: "[^}{\"'`<()]" },
+        peg$c135 = { type: "other", description: "regular expression" },
+        peg$c136 = function() { return regexAllowed() },
+        peg$c137 = "/",
+        peg$c138 = { type: "literal", value: "/", description: "\"/\"" },
+        peg$c139 = /^[\/*]/,
+        peg$c140 = { type: "class", value: "[/*]", description: "[/*]" },
+        peg$c141 = /^[a-z]/,
+        peg$c142 = { type: "class", value: "[a-z]", description: "[a-z]" },
+        peg$c143 = "\\",
+        peg$c144 = { type: "literal", value: "\\", description: "\"\\\\\"" },
+        peg$c145 = /^[^\n]/,
+        peg$c146 = { type: "class", value: "[^\\n]", description: "[^\\n]" },
+        peg$c147 = /^[^\\\/[\n]/,
+        peg$c148 = { type: "class", value: "[^\\\\/[\\n]", description: "[^\\\\/[\\n]" },
+        peg$c149 = /^[^\\\]\n]/,
+        peg$c150 = { type: "class", value: "[^\\\\\\]\\n]", description: "[^\\\\\\]\\n]" },
+        peg$c151 = /^[^}{"'`<]/,
+        peg$c152 = { type: "class", value: "[^}{\"'`<]", description: "[^}{\"'`<]" },
+        peg$c153 = "{",
+        peg$c154 = { type: "literal", value: "{", description: "\"{\"" },
+        peg$c155 = { type: "other", description: "if" },
+        peg$c156 = "<if",
+        peg$c157 = { type: "literal", value: "<if", description: "\"<if\"" },
+        peg$c158 = "expr",
+        peg$c159 = { type: "literal", value: "expr", description: "\"expr\"" },
+        peg$c160 = "</if>",
+        peg$c161 = { type: "literal", value: "</if>", description: "\"</if>\"" },
+        peg$c162 = function(expr, nodes) {
             return {
               type: 'if',
+              location: loc(),
               when: [{
                 type: 'when',
+                location: loc(),
                 expr: expr,
                 nodes: nodes
               }]
             }
           },
-        peg$c80 = "<if>",
-        peg$c81 = { type: "literal", value: "<if>", description: "\"<if>\"" },
-        peg$c82 = function(when, otherwise) {
+        peg$c163 = "<if>",
+        peg$c164 = { type: "literal", value: "<if>", description: "\"<if>\"" },
+        peg$c165 = function(when, otherwise) {
               return {
                 type: 'if',
+                location: loc(),
                 when: when,
                 otherwise: otherwise
               }
             },
-        peg$c83 = { type: "other", description: "when" },
-        peg$c84 = "<when",
-        peg$c85 = { type: "literal", value: "<when", description: "\"<when\"" },
-        peg$c86 = "</when>",
-        peg$c87 = { type: "literal", value: "</when>", description: "\"</when>\"" },
-        peg$c88 = function(expr, nodes) {
+        peg$c166 = { type: "other", description: "when" },
+        peg$c167 = "<when",
+        peg$c168 = { type: "literal", value: "<when", description: "\"<when\"" },
+        peg$c169 = "</when>",
+        peg$c170 = { type: "literal", value: "</when>", description: "\"</when>\"" },
+        peg$c171 = function(expr, nodes) {
             return {
               type: 'when',
+              location: loc(),
               expr: expr,
               nodes: nodes
             }
           },
-        peg$c89 = { type: "other", description: "otherwise" },
-        peg$c90 = "<otherwise>",
-        peg$c91 = { type: "literal", value: "<otherwise>", description: "\"<otherwise>\"" },
-        peg$c92 = "</otherwise>",
-        peg$c93 = { type: "literal", value: "</otherwise>", description: "\"</otherwise>\"" },
-        peg$c94 = function(nodes) {
+        peg$c172 = { type: "other", description: "otherwise" },
+        peg$c173 = "<otherwise>",
+        peg$c174 = { type: "literal", value: "<otherwise>", description: "\"<otherwise>\"" },
+        peg$c175 = "</otherwise>",
+        peg$c176 = { type: "literal", value: "</otherwise>", description: "\"</otherwise>\"" },
+        peg$c177 = function(nodes) {
             return {
               type: 'otherwise',
               nodes: nodes
             }
           },
-        peg$c95 = { type: "other", description: "each" },
-        peg$c96 = "<each:",
-        peg$c97 = { type: "literal", value: "<each:", description: "\"<each:\"" },
-        peg$c98 = "in",
-        peg$c99 = { type: "literal", value: "in", description: "\"in\"" },
-        peg$c100 = "</each:",
-        peg$c101 = { type: "literal", value: "</each:", description: "\"</each:\"" },
-        peg$c102 = function(name, expr, nodes, _name) { return name == _name },
-        peg$c103 = function(name, expr, nodes, _name) {
+        peg$c178 = { type: "other", description: "switch" },
+        peg$c179 = "<switch",
+        peg$c180 = { type: "literal", value: "<switch", description: "\"<switch\"" },
+        peg$c181 = "</switch>",
+        peg$c182 = { type: "literal", value: "</switch>", description: "\"</switch>\"" },
+        peg$c183 = function(expr, cases, otherwise) {
+            return {
+              type: 'switch',
+              location: loc(),
+              expr: expr,
+              cases: cases,
+              otherwise: otherwise
+            }
+          },
+        peg$c184 = { type: "other", description: "case" },
+        peg$c185 = "<case",
+        peg$c186 = { type: "literal", value: "<case", description: "\"<case\"" },
+        peg$c187 = "value",
+        peg$c188 = { type: "literal", value: "value", description: "\"value\"" },
+        peg$c189 = "</case>",
+        peg$c190 = { type: "literal", value: "</case>", description: "\"</case>\"" },
+        peg$c191 = function(value, nodes) {
+            return {
+              type: 'case',
+              location: loc(),
+              value: value,
+              nodes: nodes
+            }
+          },
+        peg$c192 = function() { depth['switch']++; return true },
+        peg$c193 = function() { depth['switch']--; return true },
+        peg$c194 = function() { return depth['switch'] > 0 },
+        peg$c195 = "case",
+        peg$c196 = { type: "literal", value: "case", description: "\"case\"" },
+        peg$c197 = "default",
+        peg$c198 = { type: "literal", value: "default", description: "\"default\"" },
+        peg$c199 = { type: "other", description: "default" },
+        peg$c200 = "<default>",
+        peg$c201 = { type: "literal", value: "<default>", description: "\"<default>\"" },
+        peg$c202 = "</default>",
+        peg$c203 = { type: "literal", value: "</default>", description: "\"</default>\"" },
+        peg$c204 = function(nodes) {
             return {
+              type: 'default',
+              nodes: nodes
+            }
+          },
+        peg$c205 = { type: "other", description: "each" },
+        peg$c206 = "<each:",
+        peg$c207 = { type: "literal", value: "<each:", description: "\"<each:\"" },
+        peg$c208 = "</each:",
+        peg$c209 = { type: "literal", value: "</each:", description: "\"</each:\"" },
+        peg$c210 = function(name, attrs, nodes, empty, _name) { return name == _name },
+        peg$c211 = function(name, attrs, nodes, empty, _name) {
+            var node = {
               type: 'each',
+              location: loc(),
               name: name,
-              expr: expr,
+              expr: null,
+              range: null,
+              order: null,
+              sortBy: null,
+              nodes: nodes,
+              empty: empty
+            };
+            var values = {};
+            attrs.forEach(function(attr) {
+              if (attr.value == null) {
+                error('Attribute ' + attr.name + ' of each must have a value');
+              }
+              if (attr.name != 'order') {
+                checkPipes(attr.value);
+              }
+              values[attr.name] = attr.value;
+            });
+            if ('in' in values) {
+              node.expr = values['in'];
+              node.order = values.order || null;
+              node.sortBy = values['sort-by'] || null;
+            } else if ('from' in values && 'to' in values) {
+              node.range = {
+                from: values.from,
+                to: values.to,
+                step: values.step || null
+              };
+            } else {
+              error('Each must have either in or from and to attributes');
+            }
+            var allowed = node.range ? ['from', 'to', 'step'] : ['in', 'order', 'sort-by'];
+            attrs.forEach(function(attr) {
+              if (allowed.indexOf(attr.name) == -1) {
+                error('Unexpected attribute ' + attr.name + ' of each');
+              }
+            });
+            return node;
+          },
+        peg$c212 = function() { depth.each++; return true },
+        peg$c213 = function() { depth.each--; return true },
+        peg$c214 = function() { return depth.each > 0 },
+        peg$c215 = "empty",
+        peg$c216 = { type: "literal", value: "empty", description: "\"empty\"" },
+        peg$c217 = { type: "other", description: "empty" },
+        peg$c218 = "<empty>",
+        peg$c219 = { type: "literal", value: "<empty>", description: "\"<empty>\"" },
+        peg$c220 = "</empty>",
+        peg$c221 = { type: "literal", value: "</empty>", description: "\"</empty>\"" },
+        peg$c222 = function(nodes) {
+            return {
+              type: 'empty',
               nodes: nodes
             }
           },
-        peg$c104 = "include",
-        peg$c105 = { type: "literal", value: "include", description: "\"include\"" },
-        peg$c106 = "inline",
-        peg$c107 = { type: "literal", value: "inline", description: "\"inline\"" },
-        peg$c108 = "block:",
-        peg$c109 = { type: "literal", value: "block:", description: "\"block:\"" },
-        peg$c110 = "def:",
-        peg$c111 = { type: "literal", value: "def:", description: "\"def:\"" },
-        peg$c112 = "append:",
-        peg$c113 = { type: "literal", value: "append:", description: "\"append:\"" },
-        peg$c114 = "prepend:",
-        peg$c115 = { type: "literal", value: "prepend:", description: "\"prepend:\"" },
-        peg$c116 = "if",
-        peg$c117 = { type: "literal", value: "if", description: "\"if\"" },
-        peg$c118 = "when",
-        peg$c119 = { type: "literal", value: "when", description: "\"when\"" },
-        peg$c120 = "otherwise",
-        peg$c121 = { type: "literal", value: "otherwise", description: "\"otherwise\"" },
-        peg$c122 = "each:",
-        peg$c123 = { type: "literal", value: "each:", description: "\"each:\"" },
-        peg$c124 = "var:",
-        peg$c125 = { type: "literal", value: "var:", description: "\"var:\"" },
-        peg$c126 = { type: "other", description: "plain text" },
-        peg$c127 = /^[^<#!$]/,
-        peg$c128 = { type: "class", value: "[^<#!$]", description: "[^<#!$]" },
-        peg$c129 = "/",
-        peg$c130 = { type: "literal", value: "/", description: "\"/\"" },
-        peg$c131 = "!--",
-        peg$c132 = { type: "literal", value: "!--", description: "\"!--\"" },
-        peg$c133 = /^[#!$]/,
-        peg$c134 = { type: "class", value: "[#!$]", description: "[#!$]" },
-        peg$c135 = { type: "other", description: "variable name" },
-        peg$c136 = /^[a-z_]/,
-        peg$c137 = { type: "class", value: "[a-z_]", description: "[a-z_]" },
-        peg$c138 = /^[a-zA-Z0-9_]/,
-        peg$c139 = { type: "class", value: "[a-zA-Z0-9_]", description: "[a-zA-Z0-9_]" },
-        peg$c140 = { type: "other", description: "attribute value" },
-        peg$c141 = { type: "other", description: "string" },
-        peg$c142 = "'",
-        peg$c143 = { type: "literal", value: "'", description: "\"'\"" },
-        peg$c144 = /^[^']/,
-        peg$c145 = { type: "class", value: "[^']", description: "[^']" },
-        peg$c146 = function(chars) { return chars },
-        peg$c147 = "\"",
-        peg$c148 = { type: "literal", value: "\"", description: "\"\\\"\"" },
-        peg$c149 = /^[^"]/,
-        peg$c150 = { type: "class", value: "[^\"]", description: "[^\"]" },
-        peg$c151 = "\\",
-        peg$c152 = { type: "literal", value: "\\", description: "\"\\\\\"" },
-        peg$c153 = /^[^\n\r\u2028\u2029]/,
-        peg$c154 = { type: "class", value: "[^\\n\\r\\u2028\\u2029]", description: "[^\\n\\r\\u2028\\u2029]" },
-        peg$c155 = { type: "other", description: "whitespace" },
-        peg$c156 = /^[ \t\n\r]/,
-        peg$c157 = { type: "class", value: "[ \\t\\n\\r]", description: "[ \\t\\n\\r]" },
+        peg$c223 = { type: "other", description: "break or continue" },
+        peg$c224 = "break",
+        peg$c225 = { type: "literal", value: "break", description: "\"break\"" },
+        peg$c226 = "continue",
+        peg$c227 = { type: "literal", value: "continue", description: "\"continue\"" },
+        peg$c228 = function(type, expr) {
+            return {
+              type: type,
+              location: loc(),
+              expr: expr
+            }
+          },
+        peg$c229 = "if",
+        peg$c230 = { type: "literal", value: "if", description: "\"if\"" },
+        peg$c231 = "include",
+        peg$c232 = { type: "literal", value: "include", description: "\"include\"" },
+        peg$c233 = "inline",
+        peg$c234 = { type: "literal", value: "inline", description: "\"inline\"" },
+        peg$c235 = "component",
+        peg$c236 = { type: "literal", value: "component", description: "\"component\"" },
+        peg$c237 = "prop:",
+        peg$c238 = { type: "literal", value: "prop:", description: "\"prop:\"" },
+        peg$c239 = "macro:",
+        peg$c240 = { type: "literal", value: "macro:", description: "\"macro:\"" },
+        peg$c241 = "import",
+        peg$c242 = { type: "literal", value: "import", description: "\"import\"" },
+        peg$c243 = "block:",
+        peg$c244 = { type: "literal", value: "block:", description: "\"block:\"" },
+        peg$c245 = "def:",
+        peg$c246 = { type: "literal", value: "def:", description: "\"def:\"" },
+        peg$c247 = "append:",
+        peg$c248 = { type: "literal", value: "append:", description: "\"append:\"" },
+        peg$c249 = "prepend:",
+        peg$c250 = { type: "literal", value: "prepend:", description: "\"prepend:\"" },
+        peg$c251 = "when",
+        peg$c252 = { type: "literal", value: "when", description: "\"when\"" },
+        peg$c253 = "otherwise",
+        peg$c254 = { type: "literal", value: "otherwise", description: "\"otherwise\"" },
+        peg$c255 = "each:",
+        peg$c256 = { type: "literal", value: "each:", description: "\"each:\"" },
+        peg$c257 = "var:",
+        peg$c258 = { type: "literal", value: "var:", description: "\"var:\"" },
+        peg$c259 = { type: "other", description: "plain text" },
+        peg$c260 = /^[^<#!$]/,
+        peg$c261 = { type: "class", value: "[^<#!$]", description: "[^<#!$]" },
+        peg$c262 = "!--",
+        peg$c263 = { type: "literal", value: "!--", description: "\"!--\"" },
+        peg$c264 = "use",
+        peg$c265 = { type: "literal", value: "use", description: "\"use\"" },
+        peg$c266 = "switch",
+        peg$c267 = { type: "literal", value: "switch", description: "\"switch\"" },
+        peg$c268 = /^[#!$]/,
+        peg$c269 = { type: "class", value: "[#!$]", description: "[#!$]" },
+        peg$c270 = { type: "other", description: "variable name" },
+        peg$c271 = /^[a-z_]/,
+        peg$c272 = { type: "class", value: "[a-z_]", description: "[a-z_]" },
+        peg$c273 = function(attr) { return attr },
+        peg$c274 = function(attrs) {
+            var names = {};
+            attrs.forEach(function(attr) {
+              if (names[attr.name]) {
+                error('Duplicate attribute ' + attr.name);
+              }
+              names[attr.name] = true;
+            });
+            return attrs;
+          },
+        peg$c275 = { type: "other", description: "attribute" },
+        peg$c276 = function(name, value) { return value },
+        peg$c277 = function(name, value) {
+            return {
+              name: name,
+              value: value
+            }
+          },
+        peg$c278 = { type: "other", description: "attribute name" },
+        peg$c279 = /^[a-zA-Z0-9_\-]/,
+        peg$c280 = { type: "class", value: "[a-zA-Z0-9_-]", description: "[a-zA-Z0-9_-]" },
+        peg$c281 = "'",
+        peg$c282 = { type: "literal", value: "'", description: "\"'\"" },
+        peg$c283 = "\"",
+        peg$c284 = { type: "literal", value: "\"", description: "\"\\\"\"" },
+        peg$c285 = function(expr) { checkPipes(expr); return expr },
+        peg$c286 = { type: "other", description: "attribute value" },
+        peg$c287 = { type: "other", description: "string" },
+        peg$c288 = /^[^']/,
+        peg$c289 = { type: "class", value: "[^']", description: "[^']" },
+        peg$c290 = function(chars) { return chars },
+        peg$c291 = /^[^"]/,
+        peg$c292 = { type: "class", value: "[^\"]", description: "[^\"]" },
+        peg$c293 = { type: "other", description: "template literal" },
+        peg$c294 = "`",
+        peg$c295 = { type: "literal", value: "`", description: "\"`\"" },
+        peg$c296 = "${",
+        peg$c297 = { type: "literal", value: "${", description: "\"${\"" },
+        peg$c298 = /^[^\n\r\u2028\u2029]/,
+        peg$c299 = { type: "class", value: "[^\\n\\r\\u2028\\u2029]", description: "[^\\n\\r\\u2028\\u2029]" },
+        peg$c300 = { type: "other", description: "whitespace" },
+        peg$c301 = /^[ \t\n\r]/,
+        peg$c302 = { type: "class", value: "[ \\t\\n\\r]", description: "[ \\t\\n\\r]" },
 
         peg$currPos          = 0,
         peg$savedPos         = 0,
@@ -476,6 +813,82 @@ module.exports = (function() {
       );
     }
 
+    function peg$parseTemplate() {
+      var s0, s1, s2, s3, s4;
+
+      s0 = peg$currPos;
+      s1 = [];
+      s2 = peg$parsews();
+      while (s2 !== peg$FAILED) {
+        s1.push(s2);
+        s2 = peg$parsews();
+      }
+      if (s1 !== peg$FAILED) {
+        s2 = [];
+        s3 = peg$parseTemplateHead();
+        while (s3 !== peg$FAILED) {
+          s2.push(s3);
+          s3 = peg$parseTemplateHead();
+        }
+        if (s2 !== peg$FAILED) {
+          s3 = peg$parseComponent();
+          if (s3 !== peg$FAILED) {
+            s4 = peg$parseNodes();
+            if (s4 !== peg$FAILED) {
+              peg$savedPos = s0;
+              s1 = peg$c0(s2, s3, s4);
+              s0 = s1;
+            } else {
+              peg$currPos = s0;
+              s0 = peg$FAILED;
+            }
+          } else {
+            peg$currPos = s0;
+            s0 = peg$FAILED;
+          }
+        } else {
+          peg$currPos = s0;
+          s0 = peg$FAILED;
+        }
+      } else {
+        peg$currPos = s0;
+        s0 = peg$FAILED;
+      }
+      if (s0 === peg$FAILED) {
+        s0 = peg$parseNodes();
+      }
+
+      return s0;
+    }
+
+    function peg$parseTemplateHead() {
+      var s0, s1, s2, s3;
+
+      s0 = peg$currPos;
+      s1 = peg$parseComment();
+      if (s1 !== peg$FAILED) {
+        s2 = [];
+        s3 = peg$parsews();
+        while (s3 !== peg$FAILED) {
+          s2.push(s3);
+          s3 = peg$parsews();
+        }
+        if (s2 !== peg$FAILED) {
+          peg$savedPos = s0;
+          s1 = peg$c1(s1);
+          s0 = s1;
+        } else {
+          peg$currPos = s0;
+          s0 = peg$FAILED;
+        }
+      } else {
+        peg$currPos = s0;
+        s0 = peg$FAILED;
+      }
+
+      return s0;
+    }
+
     function peg$parseNodes() {
       var s0, s1;
 
@@ -505,17 +918,29 @@ module.exports = (function() {
 
       s0 = peg$parseInclude();
       if (s0 === peg$FAILED) {
-        s0 = peg$parseInline();
+        s0 = peg$parseUse();
         if (s0 === peg$FAILED) {
-          s0 = peg$parseBlock();
+          s0 = peg$parseInline();
           if (s0 === peg$FAILED) {
-            s0 = peg$parseComment();
+            s0 = peg$parseMacro();
             if (s0 === peg$FAILED) {
-              s0 = peg$parseVar();
+              s0 = peg$parseImport();
               if (s0 === peg$FAILED) {
-                s0 = peg$parseFlowControl();
+                s0 = peg$parseBlock();
                 if (s0 === peg$FAILED) {
-                  s0 = peg$parseExpression();
+                  s0 = peg$parseComment();
+                  if (s0 === peg$FAILED) {
+                    s0 = peg$parseVar();
+                    if (s0 === peg$FAILED) {
+                      s0 = peg$parseFlowControl();
+                      if (s0 === peg$FAILED) {
+                        s0 = peg$parseExpression();
+                        if (s0 === peg$FAILED) {
+                          s0 = peg$parseMisplacedComponent();
+                        }
+                      }
+                    }
+                  }
                 }
               }
             }
@@ -537,7 +962,7 @@ module.exports = (function() {
       peg$silentFails--;
       if (s0 === peg$FAILED) {
         s1 = peg$FAILED;
-        if (peg$silentFails === 0) { peg$fail(peg$c0); }
+        if (peg$silentFails === 0) { peg$fail(peg$c2); }
       }
 
       return s0;
@@ -549,16 +974,16 @@ module.exports = (function() {
       s0 = peg$currPos;
       s1 = peg$parseIncludeTagStart();
       if (s1 !== peg$FAILED) {
-        if (input.substr(peg$currPos, 2) === peg$c1) {
-          s2 = peg$c1;
+        if (input.substr(peg$currPos, 2) === peg$c3) {
+          s2 = peg$c3;
           peg$currPos += 2;
         } else {
           s2 = peg$FAILED;
-          if (peg$silentFails === 0) { peg$fail(peg$c2); }
+          if (peg$silentFails === 0) { peg$fail(peg$c4); }
         }
         if (s2 !== peg$FAILED) {
           peg$savedPos = s0;
-          s1 = peg$c3(s1);
+          s1 = peg$c5(s1);
           s0 = s1;
         } else {
           peg$currPos = s0;
@@ -579,11 +1004,11 @@ module.exports = (function() {
       s1 = peg$parseIncludeTagStart();
       if (s1 !== peg$FAILED) {
         if (input.charCodeAt(peg$currPos) === 62) {
-          s2 = peg$c4;
+          s2 = peg$c6;
           peg$currPos++;
         } else {
           s2 = peg$FAILED;
-          if (peg$silentFails === 0) { peg$fail(peg$c5); }
+          if (peg$silentFails === 0) { peg$fail(peg$c7); }
         }
         if (s2 !== peg$FAILED) {
           s3 = [];
@@ -595,16 +1020,16 @@ module.exports = (function() {
           if (s3 !== peg$FAILED) {
             s4 = peg$parseIncludeNodes();
             if (s4 !== peg$FAILED) {
-              if (input.substr(peg$currPos, 10) === peg$c6) {
-                s5 = peg$c6;
+              if (input.substr(peg$currPos, 10) === peg$c8) {
+                s5 = peg$c8;
                 peg$currPos += 10;
               } else {
                 s5 = peg$FAILED;
-                if (peg$silentFails === 0) { peg$fail(peg$c7); }
+                if (peg$silentFails === 0) { peg$fail(peg$c9); }
               }
               if (s5 !== peg$FAILED) {
                 peg$savedPos = s0;
-                s1 = peg$c8(s1, s4);
+                s1 = peg$c10(s1, s4);
                 s0 = s1;
               } else {
                 peg$currPos = s0;
@@ -634,12 +1059,12 @@ module.exports = (function() {
       var s0, s1, s2, s3, s4, s5, s6, s7, s8, s9;
 
       s0 = peg$currPos;
-      if (input.substr(peg$currPos, 8) === peg$c9) {
-        s1 = peg$c9;
+      if (input.substr(peg$currPos, 8) === peg$c11) {
+        s1 = peg$c11;
         peg$currPos += 8;
       } else {
         s1 = peg$FAILED;
-        if (peg$silentFails === 0) { peg$fail(peg$c10); }
+        if (peg$silentFails === 0) { peg$fail(peg$c12); }
       }
       if (s1 !== peg$FAILED) {
         s2 = [];
@@ -653,12 +1078,12 @@ module.exports = (function() {
           s2 = peg$FAILED;
         }
         if (s2 !== peg$FAILED) {
-          if (input.substr(peg$currPos, 4) === peg$c11) {
-            s3 = peg$c11;
+          if (input.substr(peg$currPos, 4) === peg$c13) {
+            s3 = peg$c13;
             peg$currPos += 4;
           } else {
             s3 = peg$FAILED;
-            if (peg$silentFails === 0) { peg$fail(peg$c12); }
+            if (peg$silentFails === 0) { peg$fail(peg$c14); }
           }
           if (s3 !== peg$FAILED) {
             s4 = [];
@@ -669,11 +1094,11 @@ module.exports = (function() {
             }
             if (s4 !== peg$FAILED) {
               if (input.charCodeAt(peg$currPos) === 61) {
-                s5 = peg$c13;
+                s5 = peg$c15;
                 peg$currPos++;
               } else {
                 s5 = peg$FAILED;
-                if (peg$silentFails === 0) { peg$fail(peg$c14); }
+                if (peg$silentFails === 0) { peg$fail(peg$c16); }
               }
               if (s5 !== peg$FAILED) {
                 s6 = [];
@@ -693,7 +1118,7 @@ module.exports = (function() {
                     }
                     if (s8 !== peg$FAILED) {
                       peg$savedPos = s0;
-                      s1 = peg$c15(s7);
+                      s1 = peg$c17(s7);
                       s0 = s1;
                     } else {
                       peg$currPos = s0;
@@ -758,7 +1183,7 @@ module.exports = (function() {
         }
         if (s2 !== peg$FAILED) {
           peg$savedPos = s0;
-          s1 = peg$c16(s1);
+          s1 = peg$c1(s1);
           s0 = s1;
         } else {
           peg$currPos = s0;
@@ -780,7 +1205,7 @@ module.exports = (function() {
           }
           if (s2 !== peg$FAILED) {
             peg$savedPos = s0;
-            s1 = peg$c16(s1);
+            s1 = peg$c1(s1);
             s0 = s1;
           } else {
             peg$currPos = s0;
@@ -795,96 +1220,51 @@ module.exports = (function() {
       return s0;
     }
 
-    function peg$parseInline() {
-      var s0, s1, s2, s3, s4, s5, s6, s7, s8, s9;
+    function peg$parseComponent() {
+      var s0, s1, s2, s3, s4, s5, s6;
 
       peg$silentFails++;
       s0 = peg$currPos;
-      if (input.substr(peg$currPos, 7) === peg$c18) {
-        s1 = peg$c18;
-        peg$currPos += 7;
+      if (input.substr(peg$currPos, 11) === peg$c19) {
+        s1 = peg$c19;
+        peg$currPos += 11;
       } else {
         s1 = peg$FAILED;
-        if (peg$silentFails === 0) { peg$fail(peg$c19); }
+        if (peg$silentFails === 0) { peg$fail(peg$c20); }
       }
       if (s1 !== peg$FAILED) {
         s2 = [];
         s3 = peg$parsews();
-        if (s3 !== peg$FAILED) {
-          while (s3 !== peg$FAILED) {
-            s2.push(s3);
-            s3 = peg$parsews();
-          }
-        } else {
-          s2 = peg$FAILED;
+        while (s3 !== peg$FAILED) {
+          s2.push(s3);
+          s3 = peg$parsews();
         }
         if (s2 !== peg$FAILED) {
-          if (input.substr(peg$currPos, 4) === peg$c11) {
-            s3 = peg$c11;
-            peg$currPos += 4;
-          } else {
-            s3 = peg$FAILED;
-            if (peg$silentFails === 0) { peg$fail(peg$c12); }
+          s3 = [];
+          s4 = peg$parseComponentProp();
+          while (s4 !== peg$FAILED) {
+            s3.push(s4);
+            s4 = peg$parseComponentProp();
           }
           if (s3 !== peg$FAILED) {
-            s4 = [];
-            s5 = peg$parsews();
-            while (s5 !== peg$FAILED) {
-              s4.push(s5);
-              s5 = peg$parsews();
+            if (input.substr(peg$currPos, 12) === peg$c21) {
+              s4 = peg$c21;
+              peg$currPos += 12;
+            } else {
+              s4 = peg$FAILED;
+              if (peg$silentFails === 0) { peg$fail(peg$c22); }
             }
             if (s4 !== peg$FAILED) {
-              if (input.charCodeAt(peg$currPos) === 61) {
-                s5 = peg$c13;
-                peg$currPos++;
-              } else {
-                s5 = peg$FAILED;
-                if (peg$silentFails === 0) { peg$fail(peg$c14); }
+              s5 = [];
+              s6 = peg$parsews();
+              while (s6 !== peg$FAILED) {
+                s5.push(s6);
+                s6 = peg$parsews();
               }
               if (s5 !== peg$FAILED) {
-                s6 = [];
-                s7 = peg$parsews();
-                while (s7 !== peg$FAILED) {
-                  s6.push(s7);
-                  s7 = peg$parsews();
-                }
-                if (s6 !== peg$FAILED) {
-                  s7 = peg$parseAttrValue();
-                  if (s7 !== peg$FAILED) {
-                    s8 = [];
-                    s9 = peg$parsews();
-                    while (s9 !== peg$FAILED) {
-                      s8.push(s9);
-                      s9 = peg$parsews();
-                    }
-                    if (s8 !== peg$FAILED) {
-                      if (input.substr(peg$currPos, 2) === peg$c1) {
-                        s9 = peg$c1;
-                        peg$currPos += 2;
-                      } else {
-                        s9 = peg$FAILED;
-                        if (peg$silentFails === 0) { peg$fail(peg$c2); }
-                      }
-                      if (s9 !== peg$FAILED) {
-                        peg$savedPos = s0;
-                        s1 = peg$c20(s7);
-                        s0 = s1;
-                      } else {
-                        peg$currPos = s0;
-                        s0 = peg$FAILED;
-                      }
-                    } else {
-                      peg$currPos = s0;
-                      s0 = peg$FAILED;
-                    }
-                  } else {
-                    peg$currPos = s0;
-                    s0 = peg$FAILED;
-                  }
-                } else {
-                  peg$currPos = s0;
-                  s0 = peg$FAILED;
-                }
+                peg$savedPos = s0;
+                s1 = peg$c23(s3);
+                s0 = s1;
               } else {
                 peg$currPos = s0;
                 s0 = peg$FAILED;
@@ -908,137 +1288,113 @@ module.exports = (function() {
       peg$silentFails--;
       if (s0 === peg$FAILED) {
         s1 = peg$FAILED;
-        if (peg$silentFails === 0) { peg$fail(peg$c17); }
+        if (peg$silentFails === 0) { peg$fail(peg$c18); }
       }
 
       return s0;
     }
 
-    function peg$parseDef() {
-      var s0, s1, s2, s3, s4, s5, s6, s7, s8, s9, s10, s11, s12, s13, s14;
+    function peg$parseMisplacedComponent() {
+      var s0, s1, s2;
 
-      peg$silentFails++;
       s0 = peg$currPos;
-      if (input.charCodeAt(peg$currPos) === 60) {
-        s1 = peg$c22;
-        peg$currPos++;
+      if (input.substr(peg$currPos, 10) === peg$c24) {
+        s1 = peg$c24;
+        peg$currPos += 10;
       } else {
         s1 = peg$FAILED;
-        if (peg$silentFails === 0) { peg$fail(peg$c23); }
+        if (peg$silentFails === 0) { peg$fail(peg$c25); }
       }
       if (s1 !== peg$FAILED) {
-        s2 = peg$parseDefTag();
-        if (s2 !== peg$FAILED) {
-          if (input.charCodeAt(peg$currPos) === 58) {
-            s3 = peg$c24;
+        s2 = peg$parsews();
+        if (s2 === peg$FAILED) {
+          if (input.charCodeAt(peg$currPos) === 62) {
+            s2 = peg$c6;
             peg$currPos++;
           } else {
-            s3 = peg$FAILED;
-            if (peg$silentFails === 0) { peg$fail(peg$c25); }
+            s2 = peg$FAILED;
+            if (peg$silentFails === 0) { peg$fail(peg$c7); }
           }
-          if (s3 !== peg$FAILED) {
-            s4 = peg$parseVarName();
-            if (s4 !== peg$FAILED) {
-              s5 = [];
-              s6 = peg$parsews();
-              while (s6 !== peg$FAILED) {
-                s5.push(s6);
-                s6 = peg$parsews();
-              }
-              if (s5 !== peg$FAILED) {
-                if (input.charCodeAt(peg$currPos) === 62) {
-                  s6 = peg$c4;
-                  peg$currPos++;
-                } else {
-                  s6 = peg$FAILED;
-                  if (peg$silentFails === 0) { peg$fail(peg$c5); }
-                }
-                if (s6 !== peg$FAILED) {
-                  s7 = peg$parseNodes();
-                  if (s7 !== peg$FAILED) {
-                    if (input.substr(peg$currPos, 2) === peg$c26) {
-                      s8 = peg$c26;
-                      peg$currPos += 2;
-                    } else {
-                      s8 = peg$FAILED;
-                      if (peg$silentFails === 0) { peg$fail(peg$c27); }
-                    }
-                    if (s8 !== peg$FAILED) {
-                      s9 = peg$parseDefTag();
-                      if (s9 !== peg$FAILED) {
-                        peg$savedPos = peg$currPos;
-                        s10 = peg$c28(s2, s4, s7, s9);
-                        if (s10) {
-                          s10 = void 0;
-                        } else {
-                          s10 = peg$FAILED;
-                        }
-                        if (s10 !== peg$FAILED) {
-                          if (input.charCodeAt(peg$currPos) === 58) {
-                            s11 = peg$c24;
-                            peg$currPos++;
-                          } else {
-                            s11 = peg$FAILED;
-                            if (peg$silentFails === 0) { peg$fail(peg$c25); }
-                          }
-                          if (s11 !== peg$FAILED) {
-                            s12 = peg$parseVarName();
-                            if (s12 !== peg$FAILED) {
-                              peg$savedPos = peg$currPos;
-                              s13 = peg$c29(s2, s4, s7, s9, s12);
-                              if (s13) {
-                                s13 = void 0;
-                              } else {
-                                s13 = peg$FAILED;
-                              }
-                              if (s13 !== peg$FAILED) {
-                                if (input.charCodeAt(peg$currPos) === 62) {
-                                  s14 = peg$c4;
-                                  peg$currPos++;
-                                } else {
-                                  s14 = peg$FAILED;
-                                  if (peg$silentFails === 0) { peg$fail(peg$c5); }
-                                }
-                                if (s14 !== peg$FAILED) {
-                                  peg$savedPos = s0;
-                                  s1 = peg$c30(s2, s4, s7, s9, s12);
-                                  s0 = s1;
-                                } else {
-                                  peg$currPos = s0;
-                                  s0 = peg$FAILED;
-                                }
-                              } else {
-                                peg$currPos = s0;
-                                s0 = peg$FAILED;
-                              }
-                            } else {
-                              peg$currPos = s0;
-                              s0 = peg$FAILED;
-                            }
-                          } else {
-                            peg$currPos = s0;
-                            s0 = peg$FAILED;
-                          }
-                        } else {
-                          peg$currPos = s0;
-                          s0 = peg$FAILED;
-                        }
-                      } else {
-                        peg$currPos = s0;
-                        s0 = peg$FAILED;
-                      }
-                    } else {
-                      peg$currPos = s0;
-                      s0 = peg$FAILED;
-                    }
-                  } else {
-                    peg$currPos = s0;
-                    s0 = peg$FAILED;
-                  }
-                } else {
-                  peg$currPos = s0;
-                  s0 = peg$FAILED;
-                }
+        }
+        if (s2 !== peg$FAILED) {
+          peg$savedPos = s0;
+          s1 = peg$c26();
+          s0 = s1;
+        } else {
+          peg$currPos = s0;
+          s0 = peg$FAILED;
+        }
+      } else {
+        peg$currPos = s0;
+        s0 = peg$FAILED;
+      }
+
+      return s0;
+    }
+
+    function peg$parseComponentProp() {
+      var s0, s1, s2, s3;
+
+      s0 = peg$currPos;
+      s1 = peg$parseProp();
+      if (s1 !== peg$FAILED) {
+        s2 = [];
+        s3 = peg$parsews();
+        while (s3 !== peg$FAILED) {
+          s2.push(s3);
+          s3 = peg$parsews();
+        }
+        if (s2 !== peg$FAILED) {
+          peg$savedPos = s0;
+          s1 = peg$c27(s1);
+          s0 = s1;
+        } else {
+          peg$currPos = s0;
+          s0 = peg$FAILED;
+        }
+      } else {
+        peg$currPos = s0;
+        s0 = peg$FAILED;
+      }
+
+      return s0;
+    }
+
+    function peg$parseProp() {
+      var s0, s1, s2, s3, s4, s5;
+
+      peg$silentFails++;
+      s0 = peg$currPos;
+      if (input.substr(peg$currPos, 6) === peg$c29) {
+        s1 = peg$c29;
+        peg$currPos += 6;
+      } else {
+        s1 = peg$FAILED;
+        if (peg$silentFails === 0) { peg$fail(peg$c30); }
+      }
+      if (s1 !== peg$FAILED) {
+        s2 = peg$parseVarName();
+        if (s2 !== peg$FAILED) {
+          s3 = peg$parseAttrs();
+          if (s3 !== peg$FAILED) {
+            s4 = [];
+            s5 = peg$parsews();
+            while (s5 !== peg$FAILED) {
+              s4.push(s5);
+              s5 = peg$parsews();
+            }
+            if (s4 !== peg$FAILED) {
+              if (input.substr(peg$currPos, 2) === peg$c3) {
+                s5 = peg$c3;
+                peg$currPos += 2;
+              } else {
+                s5 = peg$FAILED;
+                if (peg$silentFails === 0) { peg$fail(peg$c4); }
+              }
+              if (s5 !== peg$FAILED) {
+                peg$savedPos = s0;
+                s1 = peg$c31(s2, s3);
+                s0 = s1;
               } else {
                 peg$currPos = s0;
                 s0 = peg$FAILED;
@@ -1062,101 +1418,46 @@ module.exports = (function() {
       peg$silentFails--;
       if (s0 === peg$FAILED) {
         s1 = peg$FAILED;
-        if (peg$silentFails === 0) { peg$fail(peg$c21); }
-      }
-
-      return s0;
-    }
-
-    function peg$parseDefTag() {
-      var s0;
-
-      if (input.substr(peg$currPos, 3) === peg$c31) {
-        s0 = peg$c31;
-        peg$currPos += 3;
-      } else {
-        s0 = peg$FAILED;
-        if (peg$silentFails === 0) { peg$fail(peg$c32); }
-      }
-      if (s0 === peg$FAILED) {
-        if (input.substr(peg$currPos, 6) === peg$c33) {
-          s0 = peg$c33;
-          peg$currPos += 6;
-        } else {
-          s0 = peg$FAILED;
-          if (peg$silentFails === 0) { peg$fail(peg$c34); }
-        }
-        if (s0 === peg$FAILED) {
-          if (input.substr(peg$currPos, 7) === peg$c35) {
-            s0 = peg$c35;
-            peg$currPos += 7;
-          } else {
-            s0 = peg$FAILED;
-            if (peg$silentFails === 0) { peg$fail(peg$c36); }
-          }
-        }
+        if (peg$silentFails === 0) { peg$fail(peg$c28); }
       }
 
       return s0;
     }
 
-    function peg$parseBlock() {
+    function peg$parseUse() {
       var s0, s1;
 
       peg$silentFails++;
-      s0 = peg$parseBlockSelfClosing();
+      s0 = peg$parseUseSelfClosing();
       if (s0 === peg$FAILED) {
-        s0 = peg$parseBlockWithContent();
+        s0 = peg$parseUseWithDefs();
       }
       peg$silentFails--;
       if (s0 === peg$FAILED) {
         s1 = peg$FAILED;
-        if (peg$silentFails === 0) { peg$fail(peg$c37); }
+        if (peg$silentFails === 0) { peg$fail(peg$c32); }
       }
 
       return s0;
     }
 
-    function peg$parseBlockSelfClosing() {
-      var s0, s1, s2, s3, s4;
+    function peg$parseUseSelfClosing() {
+      var s0, s1, s2;
 
       s0 = peg$currPos;
-      if (input.substr(peg$currPos, 7) === peg$c38) {
-        s1 = peg$c38;
-        peg$currPos += 7;
-      } else {
-        s1 = peg$FAILED;
-        if (peg$silentFails === 0) { peg$fail(peg$c39); }
-      }
+      s1 = peg$parseUseTagStart();
       if (s1 !== peg$FAILED) {
-        s2 = peg$parseVarName();
+        if (input.substr(peg$currPos, 2) === peg$c3) {
+          s2 = peg$c3;
+          peg$currPos += 2;
+        } else {
+          s2 = peg$FAILED;
+          if (peg$silentFails === 0) { peg$fail(peg$c4); }
+        }
         if (s2 !== peg$FAILED) {
-          s3 = [];
-          s4 = peg$parsews();
-          while (s4 !== peg$FAILED) {
-            s3.push(s4);
-            s4 = peg$parsews();
-          }
-          if (s3 !== peg$FAILED) {
-            if (input.substr(peg$currPos, 2) === peg$c1) {
-              s4 = peg$c1;
-              peg$currPos += 2;
-            } else {
-              s4 = peg$FAILED;
-              if (peg$silentFails === 0) { peg$fail(peg$c2); }
-            }
-            if (s4 !== peg$FAILED) {
-              peg$savedPos = s0;
-              s1 = peg$c40(s2);
-              s0 = s1;
-            } else {
-              peg$currPos = s0;
-              s0 = peg$FAILED;
-            }
-          } else {
-            peg$currPos = s0;
-            s0 = peg$FAILED;
-          }
+          peg$savedPos = s0;
+          s1 = peg$c33(s1);
+          s0 = s1;
         } else {
           peg$currPos = s0;
           s0 = peg$FAILED;
@@ -1169,19 +1470,19 @@ module.exports = (function() {
       return s0;
     }
 
-    function peg$parseBlockWithContent() {
-      var s0, s1, s2, s3, s4, s5, s6, s7, s8, s9;
+    function peg$parseUseWithDefs() {
+      var s0, s1, s2, s3, s4, s5;
 
       s0 = peg$currPos;
-      if (input.substr(peg$currPos, 7) === peg$c38) {
-        s1 = peg$c38;
-        peg$currPos += 7;
-      } else {
-        s1 = peg$FAILED;
-        if (peg$silentFails === 0) { peg$fail(peg$c39); }
-      }
+      s1 = peg$parseUseTagStart();
       if (s1 !== peg$FAILED) {
-        s2 = peg$parseVarName();
+        if (input.charCodeAt(peg$currPos) === 62) {
+          s2 = peg$c6;
+          peg$currPos++;
+        } else {
+          s2 = peg$FAILED;
+          if (peg$silentFails === 0) { peg$fail(peg$c7); }
+        }
         if (s2 !== peg$FAILED) {
           s3 = [];
           s4 = peg$parsews();
@@ -1190,61 +1491,19 @@ module.exports = (function() {
             s4 = peg$parsews();
           }
           if (s3 !== peg$FAILED) {
-            if (input.charCodeAt(peg$currPos) === 62) {
-              s4 = peg$c4;
-              peg$currPos++;
-            } else {
-              s4 = peg$FAILED;
-              if (peg$silentFails === 0) { peg$fail(peg$c5); }
-            }
+            s4 = peg$parseUseNodes();
             if (s4 !== peg$FAILED) {
-              s5 = peg$parseNodes();
+              if (input.substr(peg$currPos, 6) === peg$c34) {
+                s5 = peg$c34;
+                peg$currPos += 6;
+              } else {
+                s5 = peg$FAILED;
+                if (peg$silentFails === 0) { peg$fail(peg$c35); }
+              }
               if (s5 !== peg$FAILED) {
-                if (input.substr(peg$currPos, 8) === peg$c41) {
-                  s6 = peg$c41;
-                  peg$currPos += 8;
-                } else {
-                  s6 = peg$FAILED;
-                  if (peg$silentFails === 0) { peg$fail(peg$c42); }
-                }
-                if (s6 !== peg$FAILED) {
-                  s7 = peg$parseVarName();
-                  if (s7 !== peg$FAILED) {
-                    peg$savedPos = peg$currPos;
-                    s8 = peg$c43(s2, s5, s7);
-                    if (s8) {
-                      s8 = void 0;
-                    } else {
-                      s8 = peg$FAILED;
-                    }
-                    if (s8 !== peg$FAILED) {
-                      if (input.charCodeAt(peg$currPos) === 62) {
-                        s9 = peg$c4;
-                        peg$currPos++;
-                      } else {
-                        s9 = peg$FAILED;
-                        if (peg$silentFails === 0) { peg$fail(peg$c5); }
-                      }
-                      if (s9 !== peg$FAILED) {
-                        peg$savedPos = s0;
-                        s1 = peg$c44(s2, s5, s7);
-                        s0 = s1;
-                      } else {
-                        peg$currPos = s0;
-                        s0 = peg$FAILED;
-                      }
-                    } else {
-                      peg$currPos = s0;
-                      s0 = peg$FAILED;
-                    }
-                  } else {
-                    peg$currPos = s0;
-                    s0 = peg$FAILED;
-                  }
-                } else {
-                  peg$currPos = s0;
-                  s0 = peg$FAILED;
-                }
+                peg$savedPos = s0;
+                s1 = peg$c36(s1, s4);
+                s0 = s1;
               } else {
                 peg$currPos = s0;
                 s0 = peg$FAILED;
@@ -1269,43 +1528,97 @@ module.exports = (function() {
       return s0;
     }
 
-    function peg$parseComment() {
-      var s0, s1, s2, s3, s4;
+    function peg$parseUseTagStart() {
+      var s0, s1, s2, s3, s4, s5, s6, s7, s8, s9, s10;
 
-      peg$silentFails++;
       s0 = peg$currPos;
-      if (input.substr(peg$currPos, 4) === peg$c46) {
-        s1 = peg$c46;
+      if (input.substr(peg$currPos, 4) === peg$c37) {
+        s1 = peg$c37;
         peg$currPos += 4;
       } else {
         s1 = peg$FAILED;
-        if (peg$silentFails === 0) { peg$fail(peg$c47); }
+        if (peg$silentFails === 0) { peg$fail(peg$c38); }
       }
       if (s1 !== peg$FAILED) {
-        s2 = peg$currPos;
-        s3 = [];
-        s4 = peg$parseCommentToken();
-        while (s4 !== peg$FAILED) {
-          s3.push(s4);
-          s4 = peg$parseCommentToken();
-        }
+        s2 = [];
+        s3 = peg$parsews();
         if (s3 !== peg$FAILED) {
-          s2 = input.substring(s2, peg$currPos);
+          while (s3 !== peg$FAILED) {
+            s2.push(s3);
+            s3 = peg$parsews();
+          }
         } else {
-          s2 = s3;
+          s2 = peg$FAILED;
         }
         if (s2 !== peg$FAILED) {
-          if (input.substr(peg$currPos, 3) === peg$c48) {
-            s3 = peg$c48;
-            peg$currPos += 3;
+          if (input.substr(peg$currPos, 4) === peg$c13) {
+            s3 = peg$c13;
+            peg$currPos += 4;
           } else {
             s3 = peg$FAILED;
-            if (peg$silentFails === 0) { peg$fail(peg$c49); }
+            if (peg$silentFails === 0) { peg$fail(peg$c14); }
           }
           if (s3 !== peg$FAILED) {
-            peg$savedPos = s0;
-            s1 = peg$c50(s2);
-            s0 = s1;
+            s4 = [];
+            s5 = peg$parsews();
+            while (s5 !== peg$FAILED) {
+              s4.push(s5);
+              s5 = peg$parsews();
+            }
+            if (s4 !== peg$FAILED) {
+              if (input.charCodeAt(peg$currPos) === 61) {
+                s5 = peg$c15;
+                peg$currPos++;
+              } else {
+                s5 = peg$FAILED;
+                if (peg$silentFails === 0) { peg$fail(peg$c16); }
+              }
+              if (s5 !== peg$FAILED) {
+                s6 = [];
+                s7 = peg$parsews();
+                while (s7 !== peg$FAILED) {
+                  s6.push(s7);
+                  s7 = peg$parsews();
+                }
+                if (s6 !== peg$FAILED) {
+                  s7 = peg$parseAttrValue();
+                  if (s7 !== peg$FAILED) {
+                    s8 = peg$parseAttrs();
+                    if (s8 !== peg$FAILED) {
+                      s9 = [];
+                      s10 = peg$parsews();
+                      while (s10 !== peg$FAILED) {
+                        s9.push(s10);
+                        s10 = peg$parsews();
+                      }
+                      if (s9 !== peg$FAILED) {
+                        peg$savedPos = s0;
+                        s1 = peg$c39(s7, s8);
+                        s0 = s1;
+                      } else {
+                        peg$currPos = s0;
+                        s0 = peg$FAILED;
+                      }
+                    } else {
+                      peg$currPos = s0;
+                      s0 = peg$FAILED;
+                    }
+                  } else {
+                    peg$currPos = s0;
+                    s0 = peg$FAILED;
+                  }
+                } else {
+                  peg$currPos = s0;
+                  s0 = peg$FAILED;
+                }
+              } else {
+                peg$currPos = s0;
+                s0 = peg$FAILED;
+              }
+            } else {
+              peg$currPos = s0;
+              s0 = peg$FAILED;
+            }
           } else {
             peg$currPos = s0;
             s0 = peg$FAILED;
@@ -1318,45 +1631,38 @@ module.exports = (function() {
         peg$currPos = s0;
         s0 = peg$FAILED;
       }
-      peg$silentFails--;
-      if (s0 === peg$FAILED) {
-        s1 = peg$FAILED;
-        if (peg$silentFails === 0) { peg$fail(peg$c45); }
+
+      return s0;
+    }
+
+    function peg$parseUseNodes() {
+      var s0, s1;
+
+      s0 = [];
+      s1 = peg$parseUseNode();
+      while (s1 !== peg$FAILED) {
+        s0.push(s1);
+        s1 = peg$parseUseNode();
       }
 
       return s0;
     }
 
-    function peg$parseCommentToken() {
-      var s0, s1, s2;
+    function peg$parseUseNode() {
+      var s0, s1, s2, s3;
 
       s0 = peg$currPos;
-      s1 = peg$currPos;
-      peg$silentFails++;
-      if (input.substr(peg$currPos, 3) === peg$c48) {
-        s2 = peg$c48;
-        peg$currPos += 3;
-      } else {
-        s2 = peg$FAILED;
-        if (peg$silentFails === 0) { peg$fail(peg$c49); }
-      }
-      peg$silentFails--;
-      if (s2 === peg$FAILED) {
-        s1 = void 0;
-      } else {
-        peg$currPos = s1;
-        s1 = peg$FAILED;
-      }
+      s1 = peg$parseDef();
       if (s1 !== peg$FAILED) {
-        if (input.length > peg$currPos) {
-          s2 = input.charAt(peg$currPos);
-          peg$currPos++;
-        } else {
-          s2 = peg$FAILED;
-          if (peg$silentFails === 0) { peg$fail(peg$c51); }
+        s2 = [];
+        s3 = peg$parsews();
+        while (s3 !== peg$FAILED) {
+          s2.push(s3);
+          s3 = peg$parsews();
         }
         if (s2 !== peg$FAILED) {
-          s1 = [s1, s2];
+          peg$savedPos = s0;
+          s1 = peg$c1(s1);
           s0 = s1;
         } else {
           peg$currPos = s0;
@@ -1370,72 +1676,79 @@ module.exports = (function() {
       return s0;
     }
 
-    function peg$parseVar() {
+    function peg$parseInline() {
       var s0, s1, s2, s3, s4, s5, s6, s7, s8, s9;
 
       peg$silentFails++;
       s0 = peg$currPos;
-      if (input.substr(peg$currPos, 5) === peg$c53) {
-        s1 = peg$c53;
-        peg$currPos += 5;
+      if (input.substr(peg$currPos, 7) === peg$c41) {
+        s1 = peg$c41;
+        peg$currPos += 7;
       } else {
         s1 = peg$FAILED;
-        if (peg$silentFails === 0) { peg$fail(peg$c54); }
+        if (peg$silentFails === 0) { peg$fail(peg$c42); }
       }
       if (s1 !== peg$FAILED) {
-        s2 = peg$parseVarName();
+        s2 = [];
+        s3 = peg$parsews();
+        if (s3 !== peg$FAILED) {
+          while (s3 !== peg$FAILED) {
+            s2.push(s3);
+            s3 = peg$parsews();
+          }
+        } else {
+          s2 = peg$FAILED;
+        }
         if (s2 !== peg$FAILED) {
-          s3 = [];
-          s4 = peg$parsews();
-          while (s4 !== peg$FAILED) {
-            s3.push(s4);
-            s4 = peg$parsews();
+          if (input.substr(peg$currPos, 4) === peg$c13) {
+            s3 = peg$c13;
+            peg$currPos += 4;
+          } else {
+            s3 = peg$FAILED;
+            if (peg$silentFails === 0) { peg$fail(peg$c14); }
           }
           if (s3 !== peg$FAILED) {
-            if (input.charCodeAt(peg$currPos) === 62) {
-              s4 = peg$c4;
-              peg$currPos++;
-            } else {
-              s4 = peg$FAILED;
-              if (peg$silentFails === 0) { peg$fail(peg$c5); }
+            s4 = [];
+            s5 = peg$parsews();
+            while (s5 !== peg$FAILED) {
+              s4.push(s5);
+              s5 = peg$parsews();
             }
             if (s4 !== peg$FAILED) {
-              s5 = peg$currPos;
-              s6 = peg$parseExpressionTokens();
-              if (s6 !== peg$FAILED) {
-                s5 = input.substring(s5, peg$currPos);
+              if (input.charCodeAt(peg$currPos) === 61) {
+                s5 = peg$c15;
+                peg$currPos++;
               } else {
-                s5 = s6;
+                s5 = peg$FAILED;
+                if (peg$silentFails === 0) { peg$fail(peg$c16); }
               }
               if (s5 !== peg$FAILED) {
-                if (input.substr(peg$currPos, 6) === peg$c55) {
-                  s6 = peg$c55;
-                  peg$currPos += 6;
-                } else {
-                  s6 = peg$FAILED;
-                  if (peg$silentFails === 0) { peg$fail(peg$c56); }
+                s6 = [];
+                s7 = peg$parsews();
+                while (s7 !== peg$FAILED) {
+                  s6.push(s7);
+                  s7 = peg$parsews();
                 }
                 if (s6 !== peg$FAILED) {
-                  s7 = peg$parseVarName();
+                  s7 = peg$parseAttrValue();
                   if (s7 !== peg$FAILED) {
-                    peg$savedPos = peg$currPos;
-                    s8 = peg$c57(s2, s5, s7);
-                    if (s8) {
-                      s8 = void 0;
-                    } else {
-                      s8 = peg$FAILED;
+                    s8 = [];
+                    s9 = peg$parsews();
+                    while (s9 !== peg$FAILED) {
+                      s8.push(s9);
+                      s9 = peg$parsews();
                     }
                     if (s8 !== peg$FAILED) {
-                      if (input.charCodeAt(peg$currPos) === 62) {
-                        s9 = peg$c4;
-                        peg$currPos++;
+                      if (input.substr(peg$currPos, 2) === peg$c3) {
+                        s9 = peg$c3;
+                        peg$currPos += 2;
                       } else {
                         s9 = peg$FAILED;
-                        if (peg$silentFails === 0) { peg$fail(peg$c5); }
+                        if (peg$silentFails === 0) { peg$fail(peg$c4); }
                       }
                       if (s9 !== peg$FAILED) {
                         peg$savedPos = s0;
-                        s1 = peg$c58(s2, s5, s7);
+                        s1 = peg$c43(s7);
                         s0 = s1;
                       } else {
                         peg$currPos = s0;
@@ -1476,153 +1789,278 @@ module.exports = (function() {
       peg$silentFails--;
       if (s0 === peg$FAILED) {
         s1 = peg$FAILED;
-        if (peg$silentFails === 0) { peg$fail(peg$c52); }
+        if (peg$silentFails === 0) { peg$fail(peg$c40); }
       }
 
       return s0;
     }
 
-    function peg$parseExpression() {
-      var s0, s1;
+    function peg$parseDef() {
+      var s0, s1, s2, s3, s4, s5, s6, s7, s8, s9, s10, s11, s12, s13, s14, s15;
 
       peg$silentFails++;
-      s0 = peg$parseEscapedExpression();
-      if (s0 === peg$FAILED) {
-        s0 = peg$parseUnescapedExpression();
-      }
-      peg$silentFails--;
-      if (s0 === peg$FAILED) {
-        s1 = peg$FAILED;
-        if (peg$silentFails === 0) { peg$fail(peg$c59); }
-      }
-
-      return s0;
-    }
-
-    function peg$parseEscapedExpression() {
-      var s0, s1, s2, s3;
-
-      s0 = peg$currPos;
-      if (input.substr(peg$currPos, 2) === peg$c60) {
-        s1 = peg$c60;
-        peg$currPos += 2;
-      } else {
-        s1 = peg$FAILED;
-        if (peg$silentFails === 0) { peg$fail(peg$c61); }
-      }
-      if (s1 !== peg$FAILED) {
-        s2 = peg$currPos;
-        s3 = peg$parseExpressionTokens();
-        if (s3 !== peg$FAILED) {
-          s2 = input.substring(s2, peg$currPos);
-        } else {
-          s2 = s3;
-        }
-        if (s2 !== peg$FAILED) {
-          if (input.charCodeAt(peg$currPos) === 125) {
-            s3 = peg$c62;
-            peg$currPos++;
-          } else {
-            s3 = peg$FAILED;
-            if (peg$silentFails === 0) { peg$fail(peg$c63); }
-          }
-          if (s3 !== peg$FAILED) {
-            peg$savedPos = s0;
-            s1 = peg$c64(s2);
-            s0 = s1;
-          } else {
-            peg$currPos = s0;
-            s0 = peg$FAILED;
-          }
-        } else {
-          peg$currPos = s0;
-          s0 = peg$FAILED;
-        }
-      } else {
-        peg$currPos = s0;
-        s0 = peg$FAILED;
-      }
-
-      return s0;
-    }
-
-    function peg$parseUnescapedExpression() {
-      var s0, s1, s2, s3;
-
       s0 = peg$currPos;
-      if (input.substr(peg$currPos, 2) === peg$c65) {
-        s1 = peg$c65;
-        peg$currPos += 2;
+      if (input.charCodeAt(peg$currPos) === 60) {
+        s1 = peg$c45;
+        peg$currPos++;
       } else {
         s1 = peg$FAILED;
-        if (peg$silentFails === 0) { peg$fail(peg$c66); }
+        if (peg$silentFails === 0) { peg$fail(peg$c46); }
       }
       if (s1 !== peg$FAILED) {
-        s2 = peg$currPos;
-        s3 = peg$parseExpressionTokens();
-        if (s3 !== peg$FAILED) {
-          s2 = input.substring(s2, peg$currPos);
-        } else {
-          s2 = s3;
-        }
+        s2 = peg$parseDefTag();
         if (s2 !== peg$FAILED) {
-          if (input.charCodeAt(peg$currPos) === 125) {
-            s3 = peg$c62;
+          if (input.charCodeAt(peg$currPos) === 58) {
+            s3 = peg$c47;
             peg$currPos++;
           } else {
             s3 = peg$FAILED;
-            if (peg$silentFails === 0) { peg$fail(peg$c63); }
+            if (peg$silentFails === 0) { peg$fail(peg$c48); }
           }
           if (s3 !== peg$FAILED) {
-            peg$savedPos = s0;
-            s1 = peg$c67(s2);
-            s0 = s1;
-          } else {
-            peg$currPos = s0;
-            s0 = peg$FAILED;
-          }
-        } else {
-          peg$currPos = s0;
-          s0 = peg$FAILED;
-        }
+            s4 = peg$parseVarName();
+            if (s4 !== peg$FAILED) {
+              s5 = peg$parseDefAs();
+              if (s5 === peg$FAILED) {
+                s5 = null;
+              }
+              if (s5 !== peg$FAILED) {
+                s6 = [];
+                s7 = peg$parsews();
+                while (s7 !== peg$FAILED) {
+                  s6.push(s7);
+                  s7 = peg$parsews();
+                }
+                if (s6 !== peg$FAILED) {
+                  if (input.charCodeAt(peg$currPos) === 62) {
+                    s7 = peg$c6;
+                    peg$currPos++;
+                  } else {
+                    s7 = peg$FAILED;
+                    if (peg$silentFails === 0) { peg$fail(peg$c7); }
+                  }
+                  if (s7 !== peg$FAILED) {
+                    s8 = peg$parseNodes();
+                    if (s8 !== peg$FAILED) {
+                      if (input.substr(peg$currPos, 2) === peg$c49) {
+                        s9 = peg$c49;
+                        peg$currPos += 2;
+                      } else {
+                        s9 = peg$FAILED;
+                        if (peg$silentFails === 0) { peg$fail(peg$c50); }
+                      }
+                      if (s9 !== peg$FAILED) {
+                        s10 = peg$parseDefTag();
+                        if (s10 !== peg$FAILED) {
+                          peg$savedPos = peg$currPos;
+                          s11 = peg$c51(s2, s4, s5, s8, s10);
+                          if (s11) {
+                            s11 = void 0;
+                          } else {
+                            s11 = peg$FAILED;
+                          }
+                          if (s11 !== peg$FAILED) {
+                            if (input.charCodeAt(peg$currPos) === 58) {
+                              s12 = peg$c47;
+                              peg$currPos++;
+                            } else {
+                              s12 = peg$FAILED;
+                              if (peg$silentFails === 0) { peg$fail(peg$c48); }
+                            }
+                            if (s12 !== peg$FAILED) {
+                              s13 = peg$parseVarName();
+                              if (s13 !== peg$FAILED) {
+                                peg$savedPos = peg$currPos;
+                                s14 = peg$c52(s2, s4, s5, s8, s10, s13);
+                                if (s14) {
+                                  s14 = void 0;
+                                } else {
+                                  s14 = peg$FAILED;
+                                }
+                                if (s14 !== peg$FAILED) {
+                                  if (input.charCodeAt(peg$currPos) === 62) {
+                                    s15 = peg$c6;
+                                    peg$currPos++;
+                                  } else {
+                                    s15 = peg$FAILED;
+                                    if (peg$silentFails === 0) { peg$fail(peg$c7); }
+                                  }
+                                  if (s15 !== peg$FAILED) {
+                                    peg$savedPos = s0;
+                                    s1 = peg$c53(s2, s4, s5, s8, s10, s13);
+                                    s0 = s1;
+                                  } else {
+                                    peg$currPos = s0;
+                                    s0 = peg$FAILED;
+                                  }
+                                } else {
+                                  peg$currPos = s0;
+                                  s0 = peg$FAILED;
+                                }
+                              } else {
+                                peg$currPos = s0;
+                                s0 = peg$FAILED;
+                              }
+                            } else {
+                              peg$currPos = s0;
+                              s0 = peg$FAILED;
+                            }
+                          } else {
+                            peg$currPos = s0;
+                            s0 = peg$FAILED;
+                          }
+                        } else {
+                          peg$currPos = s0;
+                          s0 = peg$FAILED;
+                        }
+                      } else {
+                        peg$currPos = s0;
+                        s0 = peg$FAILED;
+                      }
+                    } else {
+                      peg$currPos = s0;
+                      s0 = peg$FAILED;
+                    }
+                  } else {
+                    peg$currPos = s0;
+                    s0 = peg$FAILED;
+                  }
+                } else {
+                  peg$currPos = s0;
+                  s0 = peg$FAILED;
+                }
+              } else {
+                peg$currPos = s0;
+                s0 = peg$FAILED;
+              }
+            } else {
+              peg$currPos = s0;
+              s0 = peg$FAILED;
+            }
+          } else {
+            peg$currPos = s0;
+            s0 = peg$FAILED;
+          }
+        } else {
+          peg$currPos = s0;
+          s0 = peg$FAILED;
+        }
       } else {
         peg$currPos = s0;
         s0 = peg$FAILED;
       }
+      peg$silentFails--;
+      if (s0 === peg$FAILED) {
+        s1 = peg$FAILED;
+        if (peg$silentFails === 0) { peg$fail(peg$c44); }
+      }
 
       return s0;
     }
 
-    function peg$parseExpressionTokens() {
-      var s0, s1;
+    function peg$parseDefAs() {
+      var s0, s1, s2, s3, s4, s5, s6;
 
-      s0 = [];
-      s1 = peg$parseExpressionToken();
+      s0 = peg$currPos;
+      s1 = [];
+      s2 = peg$parsews();
+      if (s2 !== peg$FAILED) {
+        while (s2 !== peg$FAILED) {
+          s1.push(s2);
+          s2 = peg$parsews();
+        }
+      } else {
+        s1 = peg$FAILED;
+      }
       if (s1 !== peg$FAILED) {
-        while (s1 !== peg$FAILED) {
-          s0.push(s1);
-          s1 = peg$parseExpressionToken();
+        if (input.substr(peg$currPos, 2) === peg$c54) {
+          s2 = peg$c54;
+          peg$currPos += 2;
+        } else {
+          s2 = peg$FAILED;
+          if (peg$silentFails === 0) { peg$fail(peg$c55); }
+        }
+        if (s2 !== peg$FAILED) {
+          s3 = [];
+          s4 = peg$parsews();
+          while (s4 !== peg$FAILED) {
+            s3.push(s4);
+            s4 = peg$parsews();
+          }
+          if (s3 !== peg$FAILED) {
+            if (input.charCodeAt(peg$currPos) === 61) {
+              s4 = peg$c15;
+              peg$currPos++;
+            } else {
+              s4 = peg$FAILED;
+              if (peg$silentFails === 0) { peg$fail(peg$c16); }
+            }
+            if (s4 !== peg$FAILED) {
+              s5 = [];
+              s6 = peg$parsews();
+              while (s6 !== peg$FAILED) {
+                s5.push(s6);
+                s6 = peg$parsews();
+              }
+              if (s5 !== peg$FAILED) {
+                s6 = peg$parseQuotedVarName();
+                if (s6 !== peg$FAILED) {
+                  peg$savedPos = s0;
+                  s1 = peg$c56(s6);
+                  s0 = s1;
+                } else {
+                  peg$currPos = s0;
+                  s0 = peg$FAILED;
+                }
+              } else {
+                peg$currPos = s0;
+                s0 = peg$FAILED;
+              }
+            } else {
+              peg$currPos = s0;
+              s0 = peg$FAILED;
+            }
+          } else {
+            peg$currPos = s0;
+            s0 = peg$FAILED;
+          }
+        } else {
+          peg$currPos = s0;
+          s0 = peg$FAILED;
         }
       } else {
+        peg$currPos = s0;
         s0 = peg$FAILED;
       }
 
       return s0;
     }
 
-    function peg$parseExpressionToken() {
+    function peg$parseDefTag() {
       var s0;
 
-      s0 = peg$parseStringLiteral();
+      if (input.substr(peg$currPos, 3) === peg$c57) {
+        s0 = peg$c57;
+        peg$currPos += 3;
+      } else {
+        s0 = peg$FAILED;
+        if (peg$silentFails === 0) { peg$fail(peg$c58); }
+      }
       if (s0 === peg$FAILED) {
-        s0 = peg$parseObjectLiteral();
+        if (input.substr(peg$currPos, 6) === peg$c59) {
+          s0 = peg$c59;
+          peg$currPos += 6;
+        } else {
+          s0 = peg$FAILED;
+          if (peg$silentFails === 0) { peg$fail(peg$c60); }
+        }
         if (s0 === peg$FAILED) {
-          if (peg$c68.test(input.charAt(peg$currPos))) {
-            s0 = input.charAt(peg$currPos);
-            peg$currPos++;
+          if (input.substr(peg$currPos, 7) === peg$c61) {
+            s0 = peg$c61;
+            peg$currPos += 7;
           } else {
             s0 = peg$FAILED;
-            if (peg$silentFails === 0) { peg$fail(peg$c69); }
+            if (peg$silentFails === 0) { peg$fail(peg$c62); }
           }
         }
       }
@@ -1630,30 +2068,97 @@ module.exports = (function() {
       return s0;
     }
 
-    function peg$parseObjectLiteral() {
-      var s0, s1, s2, s3;
+    function peg$parseMacro() {
+      var s0, s1, s2, s3, s4, s5, s6, s7, s8, s9, s10;
 
+      peg$silentFails++;
       s0 = peg$currPos;
-      if (input.charCodeAt(peg$currPos) === 123) {
-        s1 = peg$c70;
-        peg$currPos++;
+      if (input.substr(peg$currPos, 7) === peg$c64) {
+        s1 = peg$c64;
+        peg$currPos += 7;
       } else {
         s1 = peg$FAILED;
-        if (peg$silentFails === 0) { peg$fail(peg$c71); }
+        if (peg$silentFails === 0) { peg$fail(peg$c65); }
       }
       if (s1 !== peg$FAILED) {
-        s2 = peg$parseExpressionTokens();
+        s2 = peg$parseVarName();
         if (s2 !== peg$FAILED) {
-          if (input.charCodeAt(peg$currPos) === 125) {
-            s3 = peg$c62;
-            peg$currPos++;
-          } else {
-            s3 = peg$FAILED;
-            if (peg$silentFails === 0) { peg$fail(peg$c63); }
-          }
+          s3 = peg$parseAttrs();
           if (s3 !== peg$FAILED) {
-            s1 = [s1, s2, s3];
-            s0 = s1;
+            s4 = [];
+            s5 = peg$parsews();
+            while (s5 !== peg$FAILED) {
+              s4.push(s5);
+              s5 = peg$parsews();
+            }
+            if (s4 !== peg$FAILED) {
+              if (input.charCodeAt(peg$currPos) === 62) {
+                s5 = peg$c6;
+                peg$currPos++;
+              } else {
+                s5 = peg$FAILED;
+                if (peg$silentFails === 0) { peg$fail(peg$c7); }
+              }
+              if (s5 !== peg$FAILED) {
+                s6 = peg$parseNodes();
+                if (s6 !== peg$FAILED) {
+                  if (input.substr(peg$currPos, 8) === peg$c66) {
+                    s7 = peg$c66;
+                    peg$currPos += 8;
+                  } else {
+                    s7 = peg$FAILED;
+                    if (peg$silentFails === 0) { peg$fail(peg$c67); }
+                  }
+                  if (s7 !== peg$FAILED) {
+                    s8 = peg$parseVarName();
+                    if (s8 !== peg$FAILED) {
+                      peg$savedPos = peg$currPos;
+                      s9 = peg$c68(s2, s3, s6, s8);
+                      if (s9) {
+                        s9 = void 0;
+                      } else {
+                        s9 = peg$FAILED;
+                      }
+                      if (s9 !== peg$FAILED) {
+                        if (input.charCodeAt(peg$currPos) === 62) {
+                          s10 = peg$c6;
+                          peg$currPos++;
+                        } else {
+                          s10 = peg$FAILED;
+                          if (peg$silentFails === 0) { peg$fail(peg$c7); }
+                        }
+                        if (s10 !== peg$FAILED) {
+                          peg$savedPos = s0;
+                          s1 = peg$c69(s2, s3, s6, s8);
+                          s0 = s1;
+                        } else {
+                          peg$currPos = s0;
+                          s0 = peg$FAILED;
+                        }
+                      } else {
+                        peg$currPos = s0;
+                        s0 = peg$FAILED;
+                      }
+                    } else {
+                      peg$currPos = s0;
+                      s0 = peg$FAILED;
+                    }
+                  } else {
+                    peg$currPos = s0;
+                    s0 = peg$FAILED;
+                  }
+                } else {
+                  peg$currPos = s0;
+                  s0 = peg$FAILED;
+                }
+              } else {
+                peg$currPos = s0;
+                s0 = peg$FAILED;
+              }
+            } else {
+              peg$currPos = s0;
+              s0 = peg$FAILED;
+            }
           } else {
             peg$currPos = s0;
             s0 = peg$FAILED;
@@ -1666,48 +2171,2294 @@ module.exports = (function() {
         peg$currPos = s0;
         s0 = peg$FAILED;
       }
+      peg$silentFails--;
+      if (s0 === peg$FAILED) {
+        s1 = peg$FAILED;
+        if (peg$silentFails === 0) { peg$fail(peg$c63); }
+      }
 
       return s0;
     }
 
-    function peg$parseFlowControl() {
-      var s0;
+    function peg$parseImport() {
+      var s0, s1, s2, s3, s4, s5, s6, s7, s8, s9, s10, s11, s12, s13, s14, s15;
 
-      s0 = peg$parseIfStatement();
-      if (s0 === peg$FAILED) {
-        s0 = peg$parseEachStatement();
+      peg$silentFails++;
+      s0 = peg$currPos;
+      if (input.substr(peg$currPos, 7) === peg$c71) {
+        s1 = peg$c71;
+        peg$currPos += 7;
+      } else {
+        s1 = peg$FAILED;
+        if (peg$silentFails === 0) { peg$fail(peg$c72); }
+      }
+      if (s1 !== peg$FAILED) {
+        s2 = [];
+        s3 = peg$parsews();
+        if (s3 !== peg$FAILED) {
+          while (s3 !== peg$FAILED) {
+            s2.push(s3);
+            s3 = peg$parsews();
+          }
+        } else {
+          s2 = peg$FAILED;
+        }
+        if (s2 !== peg$FAILED) {
+          if (input.substr(peg$currPos, 4) === peg$c13) {
+            s3 = peg$c13;
+            peg$currPos += 4;
+          } else {
+            s3 = peg$FAILED;
+            if (peg$silentFails === 0) { peg$fail(peg$c14); }
+          }
+          if (s3 !== peg$FAILED) {
+            s4 = [];
+            s5 = peg$parsews();
+            while (s5 !== peg$FAILED) {
+              s4.push(s5);
+              s5 = peg$parsews();
+            }
+            if (s4 !== peg$FAILED) {
+              if (input.charCodeAt(peg$currPos) === 61) {
+                s5 = peg$c15;
+                peg$currPos++;
+              } else {
+                s5 = peg$FAILED;
+                if (peg$silentFails === 0) { peg$fail(peg$c16); }
+              }
+              if (s5 !== peg$FAILED) {
+                s6 = [];
+                s7 = peg$parsews();
+                while (s7 !== peg$FAILED) {
+                  s6.push(s7);
+                  s7 = peg$parsews();
+                }
+                if (s6 !== peg$FAILED) {
+                  s7 = peg$parseAttrValue();
+                  if (s7 !== peg$FAILED) {
+                    s8 = [];
+                    s9 = peg$parsews();
+                    if (s9 !== peg$FAILED) {
+                      while (s9 !== peg$FAILED) {
+                        s8.push(s9);
+                        s9 = peg$parsews();
+                      }
+                    } else {
+                      s8 = peg$FAILED;
+                    }
+                    if (s8 !== peg$FAILED) {
+                      if (input.substr(peg$currPos, 2) === peg$c54) {
+                        s9 = peg$c54;
+                        peg$currPos += 2;
+                      } else {
+                        s9 = peg$FAILED;
+                        if (peg$silentFails === 0) { peg$fail(peg$c55); }
+                      }
+                      if (s9 !== peg$FAILED) {
+                        s10 = [];
+                        s11 = peg$parsews();
+                        while (s11 !== peg$FAILED) {
+                          s10.push(s11);
+                          s11 = peg$parsews();
+                        }
+                        if (s10 !== peg$FAILED) {
+                          if (input.charCodeAt(peg$currPos) === 61) {
+                            s11 = peg$c15;
+                            peg$currPos++;
+                          } else {
+                            s11 = peg$FAILED;
+                            if (peg$silentFails === 0) { peg$fail(peg$c16); }
+                          }
+                          if (s11 !== peg$FAILED) {
+                            s12 = [];
+                            s13 = peg$parsews();
+                            while (s13 !== peg$FAILED) {
+                              s12.push(s13);
+                              s13 = peg$parsews();
+                            }
+                            if (s12 !== peg$FAILED) {
+                              s13 = peg$parseQuotedVarName();
+                              if (s13 !== peg$FAILED) {
+                                s14 = [];
+                                s15 = peg$parsews();
+                                while (s15 !== peg$FAILED) {
+                                  s14.push(s15);
+                                  s15 = peg$parsews();
+                                }
+                                if (s14 !== peg$FAILED) {
+                                  if (input.substr(peg$currPos, 2) === peg$c3) {
+                                    s15 = peg$c3;
+                                    peg$currPos += 2;
+                                  } else {
+                                    s15 = peg$FAILED;
+                                    if (peg$silentFails === 0) { peg$fail(peg$c4); }
+                                  }
+                                  if (s15 !== peg$FAILED) {
+                                    peg$savedPos = s0;
+                                    s1 = peg$c73(s7, s13);
+                                    s0 = s1;
+                                  } else {
+                                    peg$currPos = s0;
+                                    s0 = peg$FAILED;
+                                  }
+                                } else {
+                                  peg$currPos = s0;
+                                  s0 = peg$FAILED;
+                                }
+                              } else {
+                                peg$currPos = s0;
+                                s0 = peg$FAILED;
+                              }
+                            } else {
+                              peg$currPos = s0;
+                              s0 = peg$FAILED;
+                            }
+                          } else {
+                            peg$currPos = s0;
+                            s0 = peg$FAILED;
+                          }
+                        } else {
+                          peg$currPos = s0;
+                          s0 = peg$FAILED;
+                        }
+                      } else {
+                        peg$currPos = s0;
+                        s0 = peg$FAILED;
+                      }
+                    } else {
+                      peg$currPos = s0;
+                      s0 = peg$FAILED;
+                    }
+                  } else {
+                    peg$currPos = s0;
+                    s0 = peg$FAILED;
+                  }
+                } else {
+                  peg$currPos = s0;
+                  s0 = peg$FAILED;
+                }
+              } else {
+                peg$currPos = s0;
+                s0 = peg$FAILED;
+              }
+            } else {
+              peg$currPos = s0;
+              s0 = peg$FAILED;
+            }
+          } else {
+            peg$currPos = s0;
+            s0 = peg$FAILED;
+          }
+        } else {
+          peg$currPos = s0;
+          s0 = peg$FAILED;
+        }
+      } else {
+        peg$currPos = s0;
+        s0 = peg$FAILED;
+      }
+      peg$silentFails--;
+      if (s0 === peg$FAILED) {
+        s1 = peg$FAILED;
+        if (peg$silentFails === 0) { peg$fail(peg$c70); }
       }
 
       return s0;
     }
 
-    function peg$parseIfStatement() {
+    function peg$parseBlock() {
       var s0, s1;
 
       peg$silentFails++;
-      s0 = peg$parseIfStandalone();
+      s0 = peg$parseBlockSelfClosing();
       if (s0 === peg$FAILED) {
-        s0 = peg$parseIfCompound();
+        s0 = peg$parseBlockWithContent();
+      }
+      peg$silentFails--;
+      if (s0 === peg$FAILED) {
+        s1 = peg$FAILED;
+        if (peg$silentFails === 0) { peg$fail(peg$c74); }
+      }
+
+      return s0;
+    }
+
+    function peg$parseBlockSelfClosing() {
+      var s0, s1, s2, s3, s4, s5;
+
+      s0 = peg$currPos;
+      if (input.substr(peg$currPos, 7) === peg$c75) {
+        s1 = peg$c75;
+        peg$currPos += 7;
+      } else {
+        s1 = peg$FAILED;
+        if (peg$silentFails === 0) { peg$fail(peg$c76); }
+      }
+      if (s1 !== peg$FAILED) {
+        s2 = peg$parseVarName();
+        if (s2 !== peg$FAILED) {
+          s3 = peg$parseBlockWith();
+          if (s3 === peg$FAILED) {
+            s3 = null;
+          }
+          if (s3 !== peg$FAILED) {
+            s4 = [];
+            s5 = peg$parsews();
+            while (s5 !== peg$FAILED) {
+              s4.push(s5);
+              s5 = peg$parsews();
+            }
+            if (s4 !== peg$FAILED) {
+              if (input.substr(peg$currPos, 2) === peg$c3) {
+                s5 = peg$c3;
+                peg$currPos += 2;
+              } else {
+                s5 = peg$FAILED;
+                if (peg$silentFails === 0) { peg$fail(peg$c4); }
+              }
+              if (s5 !== peg$FAILED) {
+                peg$savedPos = s0;
+                s1 = peg$c77(s2, s3);
+                s0 = s1;
+              } else {
+                peg$currPos = s0;
+                s0 = peg$FAILED;
+              }
+            } else {
+              peg$currPos = s0;
+              s0 = peg$FAILED;
+            }
+          } else {
+            peg$currPos = s0;
+            s0 = peg$FAILED;
+          }
+        } else {
+          peg$currPos = s0;
+          s0 = peg$FAILED;
+        }
+      } else {
+        peg$currPos = s0;
+        s0 = peg$FAILED;
+      }
+
+      return s0;
+    }
+
+    function peg$parseBlockWithContent() {
+      var s0, s1, s2, s3, s4, s5, s6, s7, s8, s9, s10;
+
+      s0 = peg$currPos;
+      if (input.substr(peg$currPos, 7) === peg$c75) {
+        s1 = peg$c75;
+        peg$currPos += 7;
+      } else {
+        s1 = peg$FAILED;
+        if (peg$silentFails === 0) { peg$fail(peg$c76); }
+      }
+      if (s1 !== peg$FAILED) {
+        s2 = peg$parseVarName();
+        if (s2 !== peg$FAILED) {
+          s3 = peg$parseBlockWith();
+          if (s3 === peg$FAILED) {
+            s3 = null;
+          }
+          if (s3 !== peg$FAILED) {
+            s4 = [];
+            s5 = peg$parsews();
+            while (s5 !== peg$FAILED) {
+              s4.push(s5);
+              s5 = peg$parsews();
+            }
+            if (s4 !== peg$FAILED) {
+              if (input.charCodeAt(peg$currPos) === 62) {
+                s5 = peg$c6;
+                peg$currPos++;
+              } else {
+                s5 = peg$FAILED;
+                if (peg$silentFails === 0) { peg$fail(peg$c7); }
+              }
+              if (s5 !== peg$FAILED) {
+                s6 = peg$parseNodes();
+                if (s6 !== peg$FAILED) {
+                  if (input.substr(peg$currPos, 8) === peg$c78) {
+                    s7 = peg$c78;
+                    peg$currPos += 8;
+                  } else {
+                    s7 = peg$FAILED;
+                    if (peg$silentFails === 0) { peg$fail(peg$c79); }
+                  }
+                  if (s7 !== peg$FAILED) {
+                    s8 = peg$parseVarName();
+                    if (s8 !== peg$FAILED) {
+                      peg$savedPos = peg$currPos;
+                      s9 = peg$c80(s2, s3, s6, s8);
+                      if (s9) {
+                        s9 = void 0;
+                      } else {
+                        s9 = peg$FAILED;
+                      }
+                      if (s9 !== peg$FAILED) {
+                        if (input.charCodeAt(peg$currPos) === 62) {
+                          s10 = peg$c6;
+                          peg$currPos++;
+                        } else {
+                          s10 = peg$FAILED;
+                          if (peg$silentFails === 0) { peg$fail(peg$c7); }
+                        }
+                        if (s10 !== peg$FAILED) {
+                          peg$savedPos = s0;
+                          s1 = peg$c81(s2, s3, s6, s8);
+                          s0 = s1;
+                        } else {
+                          peg$currPos = s0;
+                          s0 = peg$FAILED;
+                        }
+                      } else {
+                        peg$currPos = s0;
+                        s0 = peg$FAILED;
+                      }
+                    } else {
+                      peg$currPos = s0;
+                      s0 = peg$FAILED;
+                    }
+                  } else {
+                    peg$currPos = s0;
+                    s0 = peg$FAILED;
+                  }
+                } else {
+                  peg$currPos = s0;
+                  s0 = peg$FAILED;
+                }
+              } else {
+                peg$currPos = s0;
+                s0 = peg$FAILED;
+              }
+            } else {
+              peg$currPos = s0;
+              s0 = peg$FAILED;
+            }
+          } else {
+            peg$currPos = s0;
+            s0 = peg$FAILED;
+          }
+        } else {
+          peg$currPos = s0;
+          s0 = peg$FAILED;
+        }
+      } else {
+        peg$currPos = s0;
+        s0 = peg$FAILED;
+      }
+
+      return s0;
+    }
+
+    function peg$parseBlockWith() {
+      var s0, s1, s2, s3, s4, s5, s6;
+
+      s0 = peg$currPos;
+      s1 = [];
+      s2 = peg$parsews();
+      if (s2 !== peg$FAILED) {
+        while (s2 !== peg$FAILED) {
+          s1.push(s2);
+          s2 = peg$parsews();
+        }
+      } else {
+        s1 = peg$FAILED;
+      }
+      if (s1 !== peg$FAILED) {
+        if (input.substr(peg$currPos, 4) === peg$c82) {
+          s2 = peg$c82;
+          peg$currPos += 4;
+        } else {
+          s2 = peg$FAILED;
+          if (peg$silentFails === 0) { peg$fail(peg$c83); }
+        }
+        if (s2 !== peg$FAILED) {
+          s3 = [];
+          s4 = peg$parsews();
+          while (s4 !== peg$FAILED) {
+            s3.push(s4);
+            s4 = peg$parsews();
+          }
+          if (s3 !== peg$FAILED) {
+            if (input.charCodeAt(peg$currPos) === 61) {
+              s4 = peg$c15;
+              peg$currPos++;
+            } else {
+              s4 = peg$FAILED;
+              if (peg$silentFails === 0) { peg$fail(peg$c16); }
+            }
+            if (s4 !== peg$FAILED) {
+              s5 = [];
+              s6 = peg$parsews();
+              while (s6 !== peg$FAILED) {
+                s5.push(s6);
+                s6 = peg$parsews();
+              }
+              if (s5 !== peg$FAILED) {
+                s6 = peg$parseExprValue();
+                if (s6 !== peg$FAILED) {
+                  peg$savedPos = s0;
+                  s1 = peg$c84(s6);
+                  s0 = s1;
+                } else {
+                  peg$currPos = s0;
+                  s0 = peg$FAILED;
+                }
+              } else {
+                peg$currPos = s0;
+                s0 = peg$FAILED;
+              }
+            } else {
+              peg$currPos = s0;
+              s0 = peg$FAILED;
+            }
+          } else {
+            peg$currPos = s0;
+            s0 = peg$FAILED;
+          }
+        } else {
+          peg$currPos = s0;
+          s0 = peg$FAILED;
+        }
+      } else {
+        peg$currPos = s0;
+        s0 = peg$FAILED;
+      }
+
+      return s0;
+    }
+
+    function peg$parseComment() {
+      var s0, s1, s2, s3, s4;
+
+      peg$silentFails++;
+      s0 = peg$currPos;
+      if (input.substr(peg$currPos, 4) === peg$c86) {
+        s1 = peg$c86;
+        peg$currPos += 4;
+      } else {
+        s1 = peg$FAILED;
+        if (peg$silentFails === 0) { peg$fail(peg$c87); }
+      }
+      if (s1 !== peg$FAILED) {
+        s2 = peg$currPos;
+        s3 = [];
+        s4 = peg$parseCommentToken();
+        while (s4 !== peg$FAILED) {
+          s3.push(s4);
+          s4 = peg$parseCommentToken();
+        }
+        if (s3 !== peg$FAILED) {
+          s2 = input.substring(s2, peg$currPos);
+        } else {
+          s2 = s3;
+        }
+        if (s2 !== peg$FAILED) {
+          if (input.substr(peg$currPos, 3) === peg$c88) {
+            s3 = peg$c88;
+            peg$currPos += 3;
+          } else {
+            s3 = peg$FAILED;
+            if (peg$silentFails === 0) { peg$fail(peg$c89); }
+          }
+          if (s3 !== peg$FAILED) {
+            peg$savedPos = s0;
+            s1 = peg$c90(s2);
+            s0 = s1;
+          } else {
+            peg$currPos = s0;
+            s0 = peg$FAILED;
+          }
+        } else {
+          peg$currPos = s0;
+          s0 = peg$FAILED;
+        }
+      } else {
+        peg$currPos = s0;
+        s0 = peg$FAILED;
+      }
+      peg$silentFails--;
+      if (s0 === peg$FAILED) {
+        s1 = peg$FAILED;
+        if (peg$silentFails === 0) { peg$fail(peg$c85); }
+      }
+
+      return s0;
+    }
+
+    function peg$parseCommentToken() {
+      var s0, s1, s2;
+
+      s0 = peg$currPos;
+      s1 = peg$currPos;
+      peg$silentFails++;
+      if (input.substr(peg$currPos, 3) === peg$c88) {
+        s2 = peg$c88;
+        peg$currPos += 3;
+      } else {
+        s2 = peg$FAILED;
+        if (peg$silentFails === 0) { peg$fail(peg$c89); }
+      }
+      peg$silentFails--;
+      if (s2 === peg$FAILED) {
+        s1 = void 0;
+      } else {
+        peg$currPos = s1;
+        s1 = peg$FAILED;
+      }
+      if (s1 !== peg$FAILED) {
+        if (input.length > peg$currPos) {
+          s2 = input.charAt(peg$currPos);
+          peg$currPos++;
+        } else {
+          s2 = peg$FAILED;
+          if (peg$silentFails === 0) { peg$fail(peg$c91); }
+        }
+        if (s2 !== peg$FAILED) {
+          s1 = [s1, s2];
+          s0 = s1;
+        } else {
+          peg$currPos = s0;
+          s0 = peg$FAILED;
+        }
+      } else {
+        peg$currPos = s0;
+        s0 = peg$FAILED;
+      }
+
+      return s0;
+    }
+
+    function peg$parseVar() {
+      var s0, s1, s2, s3, s4, s5, s6, s7, s8, s9;
+
+      peg$silentFails++;
+      s0 = peg$currPos;
+      if (input.substr(peg$currPos, 5) === peg$c93) {
+        s1 = peg$c93;
+        peg$currPos += 5;
+      } else {
+        s1 = peg$FAILED;
+        if (peg$silentFails === 0) { peg$fail(peg$c94); }
+      }
+      if (s1 !== peg$FAILED) {
+        s2 = peg$parseVarName();
+        if (s2 !== peg$FAILED) {
+          s3 = [];
+          s4 = peg$parsews();
+          while (s4 !== peg$FAILED) {
+            s3.push(s4);
+            s4 = peg$parsews();
+          }
+          if (s3 !== peg$FAILED) {
+            if (input.charCodeAt(peg$currPos) === 62) {
+              s4 = peg$c6;
+              peg$currPos++;
+            } else {
+              s4 = peg$FAILED;
+              if (peg$silentFails === 0) { peg$fail(peg$c7); }
+            }
+            if (s4 !== peg$FAILED) {
+              s5 = peg$parseFilteredExpression();
+              if (s5 !== peg$FAILED) {
+                if (input.substr(peg$currPos, 6) === peg$c95) {
+                  s6 = peg$c95;
+                  peg$currPos += 6;
+                } else {
+                  s6 = peg$FAILED;
+                  if (peg$silentFails === 0) { peg$fail(peg$c96); }
+                }
+                if (s6 !== peg$FAILED) {
+                  s7 = peg$parseVarName();
+                  if (s7 !== peg$FAILED) {
+                    peg$savedPos = peg$currPos;
+                    s8 = peg$c97(s2, s5, s7);
+                    if (s8) {
+                      s8 = void 0;
+                    } else {
+                      s8 = peg$FAILED;
+                    }
+                    if (s8 !== peg$FAILED) {
+                      if (input.charCodeAt(peg$currPos) === 62) {
+                        s9 = peg$c6;
+                        peg$currPos++;
+                      } else {
+                        s9 = peg$FAILED;
+                        if (peg$silentFails === 0) { peg$fail(peg$c7); }
+                      }
+                      if (s9 !== peg$FAILED) {
+                        peg$savedPos = s0;
+                        s1 = peg$c98(s2, s5, s7);
+                        s0 = s1;
+                      } else {
+                        peg$currPos = s0;
+                        s0 = peg$FAILED;
+                      }
+                    } else {
+                      peg$currPos = s0;
+                      s0 = peg$FAILED;
+                    }
+                  } else {
+                    peg$currPos = s0;
+                    s0 = peg$FAILED;
+                  }
+                } else {
+                  peg$currPos = s0;
+                  s0 = peg$FAILED;
+                }
+              } else {
+                peg$currPos = s0;
+                s0 = peg$FAILED;
+              }
+            } else {
+              peg$currPos = s0;
+              s0 = peg$FAILED;
+            }
+          } else {
+            peg$currPos = s0;
+            s0 = peg$FAILED;
+          }
+        } else {
+          peg$currPos = s0;
+          s0 = peg$FAILED;
+        }
+      } else {
+        peg$currPos = s0;
+        s0 = peg$FAILED;
+      }
+      peg$silentFails--;
+      if (s0 === peg$FAILED) {
+        s1 = peg$FAILED;
+        if (peg$silentFails === 0) { peg$fail(peg$c92); }
+      }
+
+      return s0;
+    }
+
+    function peg$parseExpression() {
+      var s0, s1;
+
+      peg$silentFails++;
+      s0 = peg$parseEscapedExpression();
+      if (s0 === peg$FAILED) {
+        s0 = peg$parseUnescapedExpression();
+      }
+      peg$silentFails--;
+      if (s0 === peg$FAILED) {
+        s1 = peg$FAILED;
+        if (peg$silentFails === 0) { peg$fail(peg$c99); }
+      }
+
+      return s0;
+    }
+
+    function peg$parseEscapedExpression() {
+      var s0, s1, s2, s3;
+
+      s0 = peg$currPos;
+      if (input.substr(peg$currPos, 2) === peg$c100) {
+        s1 = peg$c100;
+        peg$currPos += 2;
+      } else {
+        s1 = peg$FAILED;
+        if (peg$silentFails === 0) { peg$fail(peg$c101); }
+      }
+      if (s1 !== peg$FAILED) {
+        s2 = peg$parseFilteredExpression();
+        if (s2 !== peg$FAILED) {
+          if (input.charCodeAt(peg$currPos) === 125) {
+            s3 = peg$c102;
+            peg$currPos++;
+          } else {
+            s3 = peg$FAILED;
+            if (peg$silentFails === 0) { peg$fail(peg$c103); }
+          }
+          if (s3 !== peg$FAILED) {
+            peg$savedPos = s0;
+            s1 = peg$c104(s2);
+            s0 = s1;
+          } else {
+            peg$currPos = s0;
+            s0 = peg$FAILED;
+          }
+        } else {
+          peg$currPos = s0;
+          s0 = peg$FAILED;
+        }
+      } else {
+        peg$currPos = s0;
+        s0 = peg$FAILED;
+      }
+
+      return s0;
+    }
+
+    function peg$parseUnescapedExpression() {
+      var s0, s1, s2, s3;
+
+      s0 = peg$currPos;
+      if (input.substr(peg$currPos, 2) === peg$c105) {
+        s1 = peg$c105;
+        peg$currPos += 2;
+      } else {
+        s1 = peg$FAILED;
+        if (peg$silentFails === 0) { peg$fail(peg$c106); }
+      }
+      if (s1 !== peg$FAILED) {
+        s2 = peg$parseFilteredExpression();
+        if (s2 !== peg$FAILED) {
+          if (input.charCodeAt(peg$currPos) === 125) {
+            s3 = peg$c102;
+            peg$currPos++;
+          } else {
+            s3 = peg$FAILED;
+            if (peg$silentFails === 0) { peg$fail(peg$c103); }
+          }
+          if (s3 !== peg$FAILED) {
+            peg$savedPos = s0;
+            s1 = peg$c107(s2);
+            s0 = s1;
+          } else {
+            peg$currPos = s0;
+            s0 = peg$FAILED;
+          }
+        } else {
+          peg$currPos = s0;
+          s0 = peg$FAILED;
+        }
+      } else {
+        peg$currPos = s0;
+        s0 = peg$FAILED;
+      }
+
+      return s0;
+    }
+
+    function peg$parseFilteredExpression() {
+      var s0, s1, s2, s3;
+
+      s0 = peg$currPos;
+      s1 = peg$currPos;
+      s2 = [];
+      s3 = peg$parseFilteredToken();
+      if (s3 !== peg$FAILED) {
+        while (s3 !== peg$FAILED) {
+          s2.push(s3);
+          s3 = peg$parseFilteredToken();
+        }
+      } else {
+        s2 = peg$FAILED;
+      }
+      if (s2 !== peg$FAILED) {
+        s1 = input.substring(s1, peg$currPos);
+      } else {
+        s1 = s2;
+      }
+      if (s1 !== peg$FAILED) {
+        s2 = [];
+        s3 = peg$parseFilter();
+        while (s3 !== peg$FAILED) {
+          s2.push(s3);
+          s3 = peg$parseFilter();
+        }
+        if (s2 !== peg$FAILED) {
+          peg$savedPos = s0;
+          s1 = peg$c108(s1, s2);
+          s0 = s1;
+        } else {
+          peg$currPos = s0;
+          s0 = peg$FAILED;
+        }
+      } else {
+        peg$currPos = s0;
+        s0 = peg$FAILED;
+      }
+
+      return s0;
+    }
+
+    function peg$parseFilteredToken() {
+      var s0, s1, s2, s3;
+
+      s0 = peg$parseStringLiteral();
+      if (s0 === peg$FAILED) {
+        s0 = peg$parseTemplateLiteral();
+        if (s0 === peg$FAILED) {
+          s0 = peg$parseObjectLiteral();
+          if (s0 === peg$FAILED) {
+            s0 = peg$parseRegexLiteral();
+            if (s0 === peg$FAILED) {
+              s0 = peg$currPos;
+              if (input.charCodeAt(peg$currPos) === 40) {
+                s1 = peg$c109;
+                peg$currPos++;
+              } else {
+                s1 = peg$FAILED;
+                if (peg$silentFails === 0) { peg$fail(peg$c110); }
+              }
+              if (s1 !== peg$FAILED) {
+                s2 = [];
+                s3 = peg$parseNestedToken();
+                while (s3 !== peg$FAILED) {
+                  s2.push(s3);
+                  s3 = peg$parseNestedToken();
+                }
+                if (s2 !== peg$FAILED) {
+                  if (input.charCodeAt(peg$currPos) === 41) {
+                    s3 = peg$c111;
+                    peg$currPos++;
+                  } else {
+                    s3 = peg$FAILED;
+                    if (peg$silentFails === 0) { peg$fail(peg$c112); }
+                  }
+                  if (s3 !== peg$FAILED) {
+                    s1 = [s1, s2, s3];
+                    s0 = s1;
+                  } else {
+                    peg$currPos = s0;
+                    s0 = peg$FAILED;
+                  }
+                } else {
+                  peg$currPos = s0;
+                  s0 = peg$FAILED;
+                }
+              } else {
+                peg$currPos = s0;
+                s0 = peg$FAILED;
+              }
+              if (s0 === peg$FAILED) {
+                s0 = peg$currPos;
+                if (input.charCodeAt(peg$currPos) === 91) {
+                  s1 = peg$c113;
+                  peg$currPos++;
+                } else {
+                  s1 = peg$FAILED;
+                  if (peg$silentFails === 0) { peg$fail(peg$c114); }
+                }
+                if (s1 !== peg$FAILED) {
+                  s2 = [];
+                  s3 = peg$parseNestedToken();
+                  while (s3 !== peg$FAILED) {
+                    s2.push(s3);
+                    s3 = peg$parseNestedToken();
+                  }
+                  if (s2 !== peg$FAILED) {
+                    if (input.charCodeAt(peg$currPos) === 93) {
+                      s3 = peg$c115;
+                      peg$currPos++;
+                    } else {
+                      s3 = peg$FAILED;
+                      if (peg$silentFails === 0) { peg$fail(peg$c116); }
+                    }
+                    if (s3 !== peg$FAILED) {
+                      s1 = [s1, s2, s3];
+                      s0 = s1;
+                    } else {
+                      peg$currPos = s0;
+                      s0 = peg$FAILED;
+                    }
+                  } else {
+                    peg$currPos = s0;
+                    s0 = peg$FAILED;
+                  }
+                } else {
+                  peg$currPos = s0;
+                  s0 = peg$FAILED;
+                }
+                if (s0 === peg$FAILED) {
+                  if (input.substr(peg$currPos, 2) === peg$c117) {
+                    s0 = peg$c117;
+                    peg$currPos += 2;
+                  } else {
+                    s0 = peg$FAILED;
+                    if (peg$silentFails === 0) { peg$fail(peg$c118); }
+                  }
+                  if (s0 === peg$FAILED) {
+                    if (peg$c119.test(input.charAt(peg$currPos))) {
+                      s0 = input.charAt(peg$currPos);
+                      peg$currPos++;
+                    } else {
+                      s0 = peg$FAILED;
+                      if (peg$silentFails === 0) { peg$fail(peg$c120); }
+                    }
+                  }
+                }
+              }
+            }
+          }
+        }
+      }
+
+      return s0;
+    }
+
+    function peg$parseNestedToken() {
+      var s0, s1, s2, s3;
+
+      s0 = peg$parseStringLiteral();
+      if (s0 === peg$FAILED) {
+        s0 = peg$parseTemplateLiteral();
+        if (s0 === peg$FAILED) {
+          s0 = peg$parseObjectLiteral();
+          if (s0 === peg$FAILED) {
+            s0 = peg$parseRegexLiteral();
+            if (s0 === peg$FAILED) {
+              s0 = peg$currPos;
+              if (input.charCodeAt(peg$currPos) === 40) {
+                s1 = peg$c109;
+                peg$currPos++;
+              } else {
+                s1 = peg$FAILED;
+                if (peg$silentFails === 0) { peg$fail(peg$c110); }
+              }
+              if (s1 !== peg$FAILED) {
+                s2 = [];
+                s3 = peg$parseNestedToken();
+                while (s3 !== peg$FAILED) {
+                  s2.push(s3);
+                  s3 = peg$parseNestedToken();
+                }
+                if (s2 !== peg$FAILED) {
+                  if (input.charCodeAt(peg$currPos) === 41) {
+                    s3 = peg$c111;
+                    peg$currPos++;
+                  } else {
+                    s3 = peg$FAILED;
+                    if (peg$silentFails === 0) { peg$fail(peg$c112); }
+                  }
+                  if (s3 !== peg$FAILED) {
+                    s1 = [s1, s2, s3];
+                    s0 = s1;
+                  } else {
+                    peg$currPos = s0;
+                    s0 = peg$FAILED;
+                  }
+                } else {
+                  peg$currPos = s0;
+                  s0 = peg$FAILED;
+                }
+              } else {
+                peg$currPos = s0;
+                s0 = peg$FAILED;
+              }
+              if (s0 === peg$FAILED) {
+                s0 = peg$currPos;
+                if (input.charCodeAt(peg$currPos) === 91) {
+                  s1 = peg$c113;
+                  peg$currPos++;
+                } else {
+                  s1 = peg$FAILED;
+                  if (peg$silentFails === 0) { peg$fail(peg$c114); }
+                }
+                if (s1 !== peg$FAILED) {
+                  s2 = [];
+                  s3 = peg$parseNestedToken();
+                  while (s3 !== peg$FAILED) {
+                    s2.push(s3);
+                    s3 = peg$parseNestedToken();
+                  }
+                  if (s2 !== peg$FAILED) {
+                    if (input.charCodeAt(peg$currPos) === 93) {
+                      s3 = peg$c115;
+                      peg$currPos++;
+                    } else {
+                      s3 = peg$FAILED;
+                      if (peg$silentFails === 0) { peg$fail(peg$c116); }
+                    }
+                    if (s3 !== peg$FAILED) {
+                      s1 = [s1, s2, s3];
+                      s0 = s1;
+                    } else {
+                      peg$currPos = s0;
+                      s0 = peg$FAILED;
+                    }
+                  } else {
+                    peg$currPos = s0;
+                    s0 = peg$FAILED;
+                  }
+                } else {
+                  peg$currPos = s0;
+                  s0 = peg$FAILED;
+                }
+                if (s0 === peg$FAILED) {
+                  if (peg$c121.test(input.charAt(peg$currPos))) {
+                    s0 = input.charAt(peg$currPos);
+                    peg$currPos++;
+                  } else {
+                    s0 = peg$FAILED;
+                    if (peg$silentFails === 0) { peg$fail(peg$c122); }
+                  }
+                }
+              }
+            }
+          }
+        }
+      }
+
+      return s0;
+    }
+
+    function peg$parseFilter() {
+      var s0, s1, s2, s3, s4, s5, s6;
+
+      peg$silentFails++;
+      s0 = peg$currPos;
+      if (input.charCodeAt(peg$currPos) === 124) {
+        s1 = peg$c124;
+        peg$currPos++;
+      } else {
+        s1 = peg$FAILED;
+        if (peg$silentFails === 0) { peg$fail(peg$c125); }
+      }
+      if (s1 !== peg$FAILED) {
+        s2 = [];
+        s3 = peg$parsews();
+        while (s3 !== peg$FAILED) {
+          s2.push(s3);
+          s3 = peg$parsews();
+        }
+        if (s2 !== peg$FAILED) {
+          s3 = peg$parseFilterName();
+          if (s3 !== peg$FAILED) {
+            s4 = peg$parseFilterArgs();
+            if (s4 === peg$FAILED) {
+              s4 = null;
+            }
+            if (s4 !== peg$FAILED) {
+              s5 = [];
+              s6 = peg$parsews();
+              while (s6 !== peg$FAILED) {
+                s5.push(s6);
+                s6 = peg$parsews();
+              }
+              if (s5 !== peg$FAILED) {
+                peg$savedPos = s0;
+                s1 = peg$c126(s3, s4);
+                s0 = s1;
+              } else {
+                peg$currPos = s0;
+                s0 = peg$FAILED;
+              }
+            } else {
+              peg$currPos = s0;
+              s0 = peg$FAILED;
+            }
+          } else {
+            peg$currPos = s0;
+            s0 = peg$FAILED;
+          }
+        } else {
+          peg$currPos = s0;
+          s0 = peg$FAILED;
+        }
+      } else {
+        peg$currPos = s0;
+        s0 = peg$FAILED;
+      }
+      peg$silentFails--;
+      if (s0 === peg$FAILED) {
+        s1 = peg$FAILED;
+        if (peg$silentFails === 0) { peg$fail(peg$c123); }
+      }
+
+      return s0;
+    }
+
+    function peg$parseFilterName() {
+      var s0, s1, s2, s3, s4;
+
+      peg$silentFails++;
+      s0 = peg$currPos;
+      s1 = peg$currPos;
+      if (peg$c128.test(input.charAt(peg$currPos))) {
+        s2 = input.charAt(peg$currPos);
+        peg$currPos++;
+      } else {
+        s2 = peg$FAILED;
+        if (peg$silentFails === 0) { peg$fail(peg$c129); }
+      }
+      if (s2 !== peg$FAILED) {
+        s3 = [];
+        if (peg$c130.test(input.charAt(peg$currPos))) {
+          s4 = input.charAt(peg$currPos);
+          peg$currPos++;
+        } else {
+          s4 = peg$FAILED;
+          if (peg$silentFails === 0) { peg$fail(peg$c131); }
+        }
+        while (s4 !== peg$FAILED) {
+          s3.push(s4);
+          if (peg$c130.test(input.charAt(peg$currPos))) {
+            s4 = input.charAt(peg$currPos);
+            peg$currPos++;
+          } else {
+            s4 = peg$FAILED;
+            if (peg$silentFails === 0) { peg$fail(peg$c131); }
+          }
+        }
+        if (s3 !== peg$FAILED) {
+          s2 = [s2, s3];
+          s1 = s2;
+        } else {
+          peg$currPos = s1;
+          s1 = peg$FAILED;
+        }
+      } else {
+        peg$currPos = s1;
+        s1 = peg$FAILED;
+      }
+      if (s1 !== peg$FAILED) {
+        s0 = input.substring(s0, peg$currPos);
+      } else {
+        s0 = s1;
+      }
+      peg$silentFails--;
+      if (s0 === peg$FAILED) {
+        s1 = peg$FAILED;
+        if (peg$silentFails === 0) { peg$fail(peg$c127); }
+      }
+
+      return s0;
+    }
+
+    function peg$parseFilterArgs() {
+      var s0, s1, s2, s3, s4;
+
+      s0 = peg$currPos;
+      if (input.charCodeAt(peg$currPos) === 40) {
+        s1 = peg$c109;
+        peg$currPos++;
+      } else {
+        s1 = peg$FAILED;
+        if (peg$silentFails === 0) { peg$fail(peg$c110); }
+      }
+      if (s1 !== peg$FAILED) {
+        s2 = peg$currPos;
+        s3 = [];
+        s4 = peg$parseFilterArgToken();
+        while (s4 !== peg$FAILED) {
+          s3.push(s4);
+          s4 = peg$parseFilterArgToken();
+        }
+        if (s3 !== peg$FAILED) {
+          s2 = input.substring(s2, peg$currPos);
+        } else {
+          s2 = s3;
+        }
+        if (s2 !== peg$FAILED) {
+          if (input.charCodeAt(peg$currPos) === 41) {
+            s3 = peg$c111;
+            peg$currPos++;
+          } else {
+            s3 = peg$FAILED;
+            if (peg$silentFails === 0) { peg$fail(peg$c112); }
+          }
+          if (s3 !== peg$FAILED) {
+            peg$savedPos = s0;
+            s1 = peg$c132(s2);
+            s0 = s1;
+          } else {
+            peg$currPos = s0;
+            s0 = peg$FAILED;
+          }
+        } else {
+          peg$currPos = s0;
+          s0 = peg$FAILED;
+        }
+      } else {
+        peg$currPos = s0;
+        s0 = peg$FAILED;
+      }
+
+      return s0;
+    }
+
+    function peg$parseFilterArgToken() {
+      var s0, s1, s2, s3;
+
+      s0 = peg$parseStringLiteral();
+      if (s0 === peg$FAILED) {
+        s0 = peg$parseTemplateLiteral();
+        if (s0 === peg$FAILED) {
+          s0 = peg$parseObjectLiteral();
+          if (s0 === peg$FAILED) {
+            s0 = peg$parseRegexLiteral();
+            if (s0 === peg$FAILED) {
+              s0 = peg$currPos;
+              if (input.charCodeAt(peg$currPos) === 40) {
+                s1 = peg$c109;
+                peg$currPos++;
+              } else {
+                s1 = peg$FAILED;
+                if (peg$silentFails === 0) { peg$fail(peg$c110); }
+              }
+              if (s1 !== peg$FAILED) {
+                s2 = [];
+                s3 = peg$parseFilterArgToken();
+                while (s3 !== peg$FAILED) {
+                  s2.push(s3);
+                  s3 = peg$parseFilterArgToken();
+                }
+                if (s2 !== peg$FAILED) {
+                  if (input.charCodeAt(peg$currPos) === 41) {
+                    s3 = peg$c111;
+                    peg$currPos++;
+                  } else {
+                    s3 = peg$FAILED;
+                    if (peg$silentFails === 0) { peg$fail(peg$c112); }
+                  }
+                  if (s3 !== peg$FAILED) {
+                    s1 = [s1, s2, s3];
+                    s0 = s1;
+                  } else {
+                    peg$currPos = s0;
+                    s0 = peg$FAILED;
+                  }
+                } else {
+                  peg$currPos = s0;
+                  s0 = peg$FAILED;
+                }
+              } else {
+                peg$currPos = s0;
+                s0 = peg$FAILED;
+              }
+              if (s0 === peg$FAILED) {
+                if (peg$c133.test(input.charAt(peg$currPos))) {
+                  s0 = input.charAt(peg$currPos);
+                  peg$currPos++;
+                } else {
+                  s0 = peg$FAILED;
+                  if (peg$silentFails === 0) { peg$fail(peg$c134); }
+                }
+              }
+            }
+          }
+        }
+      }
+
+      return s0;
+    }
+
+    function peg$parseTopLevelPipe() {
+      var s0, s1, s2, s3, s4;
+
+      s0 = peg$currPos;
+      s1 = [];
+      s2 = peg$parseFilteredToken();
+      if (s2 === peg$FAILED) {
+        if (input.charCodeAt(peg$currPos) === 60) {
+          s2 = peg$c45;
+          peg$currPos++;
+        } else {
+          s2 = peg$FAILED;
+          if (peg$silentFails === 0) { peg$fail(peg$c46); }
+        }
+      }
+      while (s2 !== peg$FAILED) {
+        s1.push(s2);
+        s2 = peg$parseFilteredToken();
+        if (s2 === peg$FAILED) {
+          if (input.charCodeAt(peg$currPos) === 60) {
+            s2 = peg$c45;
+            peg$currPos++;
+          } else {
+            s2 = peg$FAILED;
+            if (peg$silentFails === 0) { peg$fail(peg$c46); }
+          }
+        }
+      }
+      if (s1 !== peg$FAILED) {
+        if (input.charCodeAt(peg$currPos) === 124) {
+          s2 = peg$c124;
+          peg$currPos++;
+        } else {
+          s2 = peg$FAILED;
+          if (peg$silentFails === 0) { peg$fail(peg$c125); }
+        }
+        if (s2 !== peg$FAILED) {
+          s3 = [];
+          if (input.length > peg$currPos) {
+            s4 = input.charAt(peg$currPos);
+            peg$currPos++;
+          } else {
+            s4 = peg$FAILED;
+            if (peg$silentFails === 0) { peg$fail(peg$c91); }
+          }
+          while (s4 !== peg$FAILED) {
+            s3.push(s4);
+            if (input.length > peg$currPos) {
+              s4 = input.charAt(peg$currPos);
+              peg$currPos++;
+            } else {
+              s4 = peg$FAILED;
+              if (peg$silentFails === 0) { peg$fail(peg$c91); }
+            }
+          }
+          if (s3 !== peg$FAILED) {
+            s1 = [s1, s2, s3];
+            s0 = s1;
+          } else {
+            peg$currPos = s0;
+            s0 = peg$FAILED;
+          }
+        } else {
+          peg$currPos = s0;
+          s0 = peg$FAILED;
+        }
+      } else {
+        peg$currPos = s0;
+        s0 = peg$FAILED;
+      }
+
+      return s0;
+    }
+
+    function peg$parseRegexLiteral() {
+      var s0, s1, s2, s3, s4, s5, s6, s7;
+
+      peg$silentFails++;
+      s0 = peg$currPos;
+      peg$savedPos = peg$currPos;
+      s1 = peg$c136();
+      if (s1) {
+        s1 = void 0;
+      } else {
+        s1 = peg$FAILED;
+      }
+      if (s1 !== peg$FAILED) {
+        if (input.charCodeAt(peg$currPos) === 47) {
+          s2 = peg$c137;
+          peg$currPos++;
+        } else {
+          s2 = peg$FAILED;
+          if (peg$silentFails === 0) { peg$fail(peg$c138); }
+        }
+        if (s2 !== peg$FAILED) {
+          s3 = peg$currPos;
+          peg$silentFails++;
+          if (peg$c139.test(input.charAt(peg$currPos))) {
+            s4 = input.charAt(peg$currPos);
+            peg$currPos++;
+          } else {
+            s4 = peg$FAILED;
+            if (peg$silentFails === 0) { peg$fail(peg$c140); }
+          }
+          peg$silentFails--;
+          if (s4 === peg$FAILED) {
+            s3 = void 0;
+          } else {
+            peg$currPos = s3;
+            s3 = peg$FAILED;
+          }
+          if (s3 !== peg$FAILED) {
+            s4 = [];
+            s5 = peg$parseRegexCharacter();
+            if (s5 !== peg$FAILED) {
+              while (s5 !== peg$FAILED) {
+                s4.push(s5);
+                s5 = peg$parseRegexCharacter();
+              }
+            } else {
+              s4 = peg$FAILED;
+            }
+            if (s4 !== peg$FAILED) {
+              if (input.charCodeAt(peg$currPos) === 47) {
+                s5 = peg$c137;
+                peg$currPos++;
+              } else {
+                s5 = peg$FAILED;
+                if (peg$silentFails === 0) { peg$fail(peg$c138); }
+              }
+              if (s5 !== peg$FAILED) {
+                s6 = [];
+                if (peg$c141.test(input.charAt(peg$currPos))) {
+                  s7 = input.charAt(peg$currPos);
+                  peg$currPos++;
+                } else {
+                  s7 = peg$FAILED;
+                  if (peg$silentFails === 0) { peg$fail(peg$c142); }
+                }
+                while (s7 !== peg$FAILED) {
+                  s6.push(s7);
+                  if (peg$c141.test(input.charAt(peg$currPos))) {
+                    s7 = input.charAt(peg$currPos);
+                    peg$currPos++;
+                  } else {
+                    s7 = peg$FAILED;
+                    if (peg$silentFails === 0) { peg$fail(peg$c142); }
+                  }
+                }
+                if (s6 !== peg$FAILED) {
+                  s1 = [s1, s2, s3, s4, s5, s6];
+                  s0 = s1;
+                } else {
+                  peg$currPos = s0;
+                  s0 = peg$FAILED;
+                }
+              } else {
+                peg$currPos = s0;
+                s0 = peg$FAILED;
+              }
+            } else {
+              peg$currPos = s0;
+              s0 = peg$FAILED;
+            }
+          } else {
+            peg$currPos = s0;
+            s0 = peg$FAILED;
+          }
+        } else {
+          peg$currPos = s0;
+          s0 = peg$FAILED;
+        }
+      } else {
+        peg$currPos = s0;
+        s0 = peg$FAILED;
+      }
+      peg$silentFails--;
+      if (s0 === peg$FAILED) {
+        s1 = peg$FAILED;
+        if (peg$silentFails === 0) { peg$fail(peg$c135); }
+      }
+
+      return s0;
+    }
+
+    function peg$parseRegexCharacter() {
+      var s0, s1, s2, s3;
+
+      s0 = peg$currPos;
+      if (input.charCodeAt(peg$currPos) === 92) {
+        s1 = peg$c143;
+        peg$currPos++;
+      } else {
+        s1 = peg$FAILED;
+        if (peg$silentFails === 0) { peg$fail(peg$c144); }
+      }
+      if (s1 !== peg$FAILED) {
+        if (peg$c145.test(input.charAt(peg$currPos))) {
+          s2 = input.charAt(peg$currPos);
+          peg$currPos++;
+        } else {
+          s2 = peg$FAILED;
+          if (peg$silentFails === 0) { peg$fail(peg$c146); }
+        }
+        if (s2 !== peg$FAILED) {
+          s1 = [s1, s2];
+          s0 = s1;
+        } else {
+          peg$currPos = s0;
+          s0 = peg$FAILED;
+        }
+      } else {
+        peg$currPos = s0;
+        s0 = peg$FAILED;
+      }
+      if (s0 === peg$FAILED) {
+        s0 = peg$currPos;
+        if (input.charCodeAt(peg$currPos) === 91) {
+          s1 = peg$c113;
+          peg$currPos++;
+        } else {
+          s1 = peg$FAILED;
+          if (peg$silentFails === 0) { peg$fail(peg$c114); }
+        }
+        if (s1 !== peg$FAILED) {
+          s2 = [];
+          s3 = peg$parseRegexClassCharacter();
+          while (s3 !== peg$FAILED) {
+            s2.push(s3);
+            s3 = peg$parseRegexClassCharacter();
+          }
+          if (s2 !== peg$FAILED) {
+            if (input.charCodeAt(peg$currPos) === 93) {
+              s3 = peg$c115;
+              peg$currPos++;
+            } else {
+              s3 = peg$FAILED;
+              if (peg$silentFails === 0) { peg$fail(peg$c116); }
+            }
+            if (s3 !== peg$FAILED) {
+              s1 = [s1, s2, s3];
+              s0 = s1;
+            } else {
+              peg$currPos = s0;
+              s0 = peg$FAILED;
+            }
+          } else {
+            peg$currPos = s0;
+            s0 = peg$FAILED;
+          }
+        } else {
+          peg$currPos = s0;
+          s0 = peg$FAILED;
+        }
+        if (s0 === peg$FAILED) {
+          if (peg$c147.test(input.charAt(peg$currPos))) {
+            s0 = input.charAt(peg$currPos);
+            peg$currPos++;
+          } else {
+            s0 = peg$FAILED;
+            if (peg$silentFails === 0) { peg$fail(peg$c148); }
+          }
+        }
+      }
+
+      return s0;
+    }
+
+    function peg$parseRegexClassCharacter() {
+      var s0, s1, s2;
+
+      s0 = peg$currPos;
+      if (input.charCodeAt(peg$currPos) === 92) {
+        s1 = peg$c143;
+        peg$currPos++;
+      } else {
+        s1 = peg$FAILED;
+        if (peg$silentFails === 0) { peg$fail(peg$c144); }
+      }
+      if (s1 !== peg$FAILED) {
+        if (peg$c145.test(input.charAt(peg$currPos))) {
+          s2 = input.charAt(peg$currPos);
+          peg$currPos++;
+        } else {
+          s2 = peg$FAILED;
+          if (peg$silentFails === 0) { peg$fail(peg$c146); }
+        }
+        if (s2 !== peg$FAILED) {
+          s1 = [s1, s2];
+          s0 = s1;
+        } else {
+          peg$currPos = s0;
+          s0 = peg$FAILED;
+        }
+      } else {
+        peg$currPos = s0;
+        s0 = peg$FAILED;
+      }
+      if (s0 === peg$FAILED) {
+        if (peg$c149.test(input.charAt(peg$currPos))) {
+          s0 = input.charAt(peg$currPos);
+          peg$currPos++;
+        } else {
+          s0 = peg$FAILED;
+          if (peg$silentFails === 0) { peg$fail(peg$c150); }
+        }
+      }
+
+      return s0;
+    }
+
+    function peg$parseExpressionTokens() {
+      var s0, s1;
+
+      s0 = [];
+      s1 = peg$parseExpressionToken();
+      if (s1 !== peg$FAILED) {
+        while (s1 !== peg$FAILED) {
+          s0.push(s1);
+          s1 = peg$parseExpressionToken();
+        }
+      } else {
+        s0 = peg$FAILED;
+      }
+
+      return s0;
+    }
+
+    function peg$parseExpressionToken() {
+      var s0;
+
+      s0 = peg$parseStringLiteral();
+      if (s0 === peg$FAILED) {
+        s0 = peg$parseTemplateLiteral();
+        if (s0 === peg$FAILED) {
+          s0 = peg$parseObjectLiteral();
+          if (s0 === peg$FAILED) {
+            if (peg$c151.test(input.charAt(peg$currPos))) {
+              s0 = input.charAt(peg$currPos);
+              peg$currPos++;
+            } else {
+              s0 = peg$FAILED;
+              if (peg$silentFails === 0) { peg$fail(peg$c152); }
+            }
+          }
+        }
+      }
+
+      return s0;
+    }
+
+    function peg$parseObjectLiteral() {
+      var s0, s1, s2, s3;
+
+      s0 = peg$currPos;
+      if (input.charCodeAt(peg$currPos) === 123) {
+        s1 = peg$c153;
+        peg$currPos++;
+      } else {
+        s1 = peg$FAILED;
+        if (peg$silentFails === 0) { peg$fail(peg$c154); }
+      }
+      if (s1 !== peg$FAILED) {
+        s2 = peg$parseExpressionTokens();
+        if (s2 !== peg$FAILED) {
+          if (input.charCodeAt(peg$currPos) === 125) {
+            s3 = peg$c102;
+            peg$currPos++;
+          } else {
+            s3 = peg$FAILED;
+            if (peg$silentFails === 0) { peg$fail(peg$c103); }
+          }
+          if (s3 !== peg$FAILED) {
+            s1 = [s1, s2, s3];
+            s0 = s1;
+          } else {
+            peg$currPos = s0;
+            s0 = peg$FAILED;
+          }
+        } else {
+          peg$currPos = s0;
+          s0 = peg$FAILED;
+        }
+      } else {
+        peg$currPos = s0;
+        s0 = peg$FAILED;
+      }
+
+      return s0;
+    }
+
+    function peg$parseFlowControl() {
+      var s0;
+
+      s0 = peg$parseIfStatement();
+      if (s0 === peg$FAILED) {
+        s0 = peg$parseSwitchStatement();
+        if (s0 === peg$FAILED) {
+          s0 = peg$parseEachStatement();
+          if (s0 === peg$FAILED) {
+            s0 = peg$parseLoopControl();
+          }
+        }
+      }
+
+      return s0;
+    }
+
+    function peg$parseIfStatement() {
+      var s0, s1;
+
+      peg$silentFails++;
+      s0 = peg$parseIfStandalone();
+      if (s0 === peg$FAILED) {
+        s0 = peg$parseIfCompound();
+      }
+      peg$silentFails--;
+      if (s0 === peg$FAILED) {
+        s1 = peg$FAILED;
+        if (peg$silentFails === 0) { peg$fail(peg$c155); }
+      }
+
+      return s0;
+    }
+
+    function peg$parseIfStandalone() {
+      var s0, s1, s2, s3, s4, s5, s6, s7, s8, s9, s10, s11;
+
+      s0 = peg$currPos;
+      if (input.substr(peg$currPos, 3) === peg$c156) {
+        s1 = peg$c156;
+        peg$currPos += 3;
+      } else {
+        s1 = peg$FAILED;
+        if (peg$silentFails === 0) { peg$fail(peg$c157); }
+      }
+      if (s1 !== peg$FAILED) {
+        s2 = [];
+        s3 = peg$parsews();
+        if (s3 !== peg$FAILED) {
+          while (s3 !== peg$FAILED) {
+            s2.push(s3);
+            s3 = peg$parsews();
+          }
+        } else {
+          s2 = peg$FAILED;
+        }
+        if (s2 !== peg$FAILED) {
+          if (input.substr(peg$currPos, 4) === peg$c158) {
+            s3 = peg$c158;
+            peg$currPos += 4;
+          } else {
+            s3 = peg$FAILED;
+            if (peg$silentFails === 0) { peg$fail(peg$c159); }
+          }
+          if (s3 !== peg$FAILED) {
+            s4 = [];
+            s5 = peg$parsews();
+            while (s5 !== peg$FAILED) {
+              s4.push(s5);
+              s5 = peg$parsews();
+            }
+            if (s4 !== peg$FAILED) {
+              if (input.charCodeAt(peg$currPos) === 61) {
+                s5 = peg$c15;
+                peg$currPos++;
+              } else {
+                s5 = peg$FAILED;
+                if (peg$silentFails === 0) { peg$fail(peg$c16); }
+              }
+              if (s5 !== peg$FAILED) {
+                s6 = [];
+                s7 = peg$parsews();
+                while (s7 !== peg$FAILED) {
+                  s6.push(s7);
+                  s7 = peg$parsews();
+                }
+                if (s6 !== peg$FAILED) {
+                  s7 = peg$parseExprValue();
+                  if (s7 !== peg$FAILED) {
+                    s8 = [];
+                    s9 = peg$parsews();
+                    while (s9 !== peg$FAILED) {
+                      s8.push(s9);
+                      s9 = peg$parsews();
+                    }
+                    if (s8 !== peg$FAILED) {
+                      if (input.charCodeAt(peg$currPos) === 62) {
+                        s9 = peg$c6;
+                        peg$currPos++;
+                      } else {
+                        s9 = peg$FAILED;
+                        if (peg$silentFails === 0) { peg$fail(peg$c7); }
+                      }
+                      if (s9 !== peg$FAILED) {
+                        s10 = peg$parseNodes();
+                        if (s10 !== peg$FAILED) {
+                          if (input.substr(peg$currPos, 5) === peg$c160) {
+                            s11 = peg$c160;
+                            peg$currPos += 5;
+                          } else {
+                            s11 = peg$FAILED;
+                            if (peg$silentFails === 0) { peg$fail(peg$c161); }
+                          }
+                          if (s11 !== peg$FAILED) {
+                            peg$savedPos = s0;
+                            s1 = peg$c162(s7, s10);
+                            s0 = s1;
+                          } else {
+                            peg$currPos = s0;
+                            s0 = peg$FAILED;
+                          }
+                        } else {
+                          peg$currPos = s0;
+                          s0 = peg$FAILED;
+                        }
+                      } else {
+                        peg$currPos = s0;
+                        s0 = peg$FAILED;
+                      }
+                    } else {
+                      peg$currPos = s0;
+                      s0 = peg$FAILED;
+                    }
+                  } else {
+                    peg$currPos = s0;
+                    s0 = peg$FAILED;
+                  }
+                } else {
+                  peg$currPos = s0;
+                  s0 = peg$FAILED;
+                }
+              } else {
+                peg$currPos = s0;
+                s0 = peg$FAILED;
+              }
+            } else {
+              peg$currPos = s0;
+              s0 = peg$FAILED;
+            }
+          } else {
+            peg$currPos = s0;
+            s0 = peg$FAILED;
+          }
+        } else {
+          peg$currPos = s0;
+          s0 = peg$FAILED;
+        }
+      } else {
+        peg$currPos = s0;
+        s0 = peg$FAILED;
+      }
+
+      return s0;
+    }
+
+    function peg$parseIfCompound() {
+      var s0, s1, s2, s3, s4, s5;
+
+      s0 = peg$currPos;
+      if (input.substr(peg$currPos, 4) === peg$c163) {
+        s1 = peg$c163;
+        peg$currPos += 4;
+      } else {
+        s1 = peg$FAILED;
+        if (peg$silentFails === 0) { peg$fail(peg$c164); }
+      }
+      if (s1 !== peg$FAILED) {
+        s2 = [];
+        s3 = peg$parsews();
+        while (s3 !== peg$FAILED) {
+          s2.push(s3);
+          s3 = peg$parsews();
+        }
+        if (s2 !== peg$FAILED) {
+          s3 = [];
+          s4 = peg$parseWhen();
+          if (s4 !== peg$FAILED) {
+            while (s4 !== peg$FAILED) {
+              s3.push(s4);
+              s4 = peg$parseWhen();
+            }
+          } else {
+            s3 = peg$FAILED;
+          }
+          if (s3 !== peg$FAILED) {
+            s4 = peg$parseOtherwise();
+            if (s4 === peg$FAILED) {
+              s4 = null;
+            }
+            if (s4 !== peg$FAILED) {
+              if (input.substr(peg$currPos, 5) === peg$c160) {
+                s5 = peg$c160;
+                peg$currPos += 5;
+              } else {
+                s5 = peg$FAILED;
+                if (peg$silentFails === 0) { peg$fail(peg$c161); }
+              }
+              if (s5 !== peg$FAILED) {
+                peg$savedPos = s0;
+                s1 = peg$c165(s3, s4);
+                s0 = s1;
+              } else {
+                peg$currPos = s0;
+                s0 = peg$FAILED;
+              }
+            } else {
+              peg$currPos = s0;
+              s0 = peg$FAILED;
+            }
+          } else {
+            peg$currPos = s0;
+            s0 = peg$FAILED;
+          }
+        } else {
+          peg$currPos = s0;
+          s0 = peg$FAILED;
+        }
+      } else {
+        peg$currPos = s0;
+        s0 = peg$FAILED;
+      }
+
+      return s0;
+    }
+
+    function peg$parseWhen() {
+      var s0, s1, s2, s3, s4, s5, s6, s7, s8, s9, s10, s11, s12, s13;
+
+      peg$silentFails++;
+      s0 = peg$currPos;
+      if (input.substr(peg$currPos, 5) === peg$c167) {
+        s1 = peg$c167;
+        peg$currPos += 5;
+      } else {
+        s1 = peg$FAILED;
+        if (peg$silentFails === 0) { peg$fail(peg$c168); }
+      }
+      if (s1 !== peg$FAILED) {
+        s2 = [];
+        s3 = peg$parsews();
+        if (s3 !== peg$FAILED) {
+          while (s3 !== peg$FAILED) {
+            s2.push(s3);
+            s3 = peg$parsews();
+          }
+        } else {
+          s2 = peg$FAILED;
+        }
+        if (s2 !== peg$FAILED) {
+          if (input.substr(peg$currPos, 4) === peg$c158) {
+            s3 = peg$c158;
+            peg$currPos += 4;
+          } else {
+            s3 = peg$FAILED;
+            if (peg$silentFails === 0) { peg$fail(peg$c159); }
+          }
+          if (s3 !== peg$FAILED) {
+            s4 = [];
+            s5 = peg$parsews();
+            while (s5 !== peg$FAILED) {
+              s4.push(s5);
+              s5 = peg$parsews();
+            }
+            if (s4 !== peg$FAILED) {
+              if (input.charCodeAt(peg$currPos) === 61) {
+                s5 = peg$c15;
+                peg$currPos++;
+              } else {
+                s5 = peg$FAILED;
+                if (peg$silentFails === 0) { peg$fail(peg$c16); }
+              }
+              if (s5 !== peg$FAILED) {
+                s6 = [];
+                s7 = peg$parsews();
+                while (s7 !== peg$FAILED) {
+                  s6.push(s7);
+                  s7 = peg$parsews();
+                }
+                if (s6 !== peg$FAILED) {
+                  s7 = peg$parseExprValue();
+                  if (s7 !== peg$FAILED) {
+                    s8 = [];
+                    s9 = peg$parsews();
+                    while (s9 !== peg$FAILED) {
+                      s8.push(s9);
+                      s9 = peg$parsews();
+                    }
+                    if (s8 !== peg$FAILED) {
+                      if (input.charCodeAt(peg$currPos) === 62) {
+                        s9 = peg$c6;
+                        peg$currPos++;
+                      } else {
+                        s9 = peg$FAILED;
+                        if (peg$silentFails === 0) { peg$fail(peg$c7); }
+                      }
+                      if (s9 !== peg$FAILED) {
+                        s10 = peg$parseNodes();
+                        if (s10 !== peg$FAILED) {
+                          if (input.substr(peg$currPos, 7) === peg$c169) {
+                            s11 = peg$c169;
+                            peg$currPos += 7;
+                          } else {
+                            s11 = peg$FAILED;
+                            if (peg$silentFails === 0) { peg$fail(peg$c170); }
+                          }
+                          if (s11 !== peg$FAILED) {
+                            s12 = [];
+                            s13 = peg$parsews();
+                            while (s13 !== peg$FAILED) {
+                              s12.push(s13);
+                              s13 = peg$parsews();
+                            }
+                            if (s12 !== peg$FAILED) {
+                              peg$savedPos = s0;
+                              s1 = peg$c171(s7, s10);
+                              s0 = s1;
+                            } else {
+                              peg$currPos = s0;
+                              s0 = peg$FAILED;
+                            }
+                          } else {
+                            peg$currPos = s0;
+                            s0 = peg$FAILED;
+                          }
+                        } else {
+                          peg$currPos = s0;
+                          s0 = peg$FAILED;
+                        }
+                      } else {
+                        peg$currPos = s0;
+                        s0 = peg$FAILED;
+                      }
+                    } else {
+                      peg$currPos = s0;
+                      s0 = peg$FAILED;
+                    }
+                  } else {
+                    peg$currPos = s0;
+                    s0 = peg$FAILED;
+                  }
+                } else {
+                  peg$currPos = s0;
+                  s0 = peg$FAILED;
+                }
+              } else {
+                peg$currPos = s0;
+                s0 = peg$FAILED;
+              }
+            } else {
+              peg$currPos = s0;
+              s0 = peg$FAILED;
+            }
+          } else {
+            peg$currPos = s0;
+            s0 = peg$FAILED;
+          }
+        } else {
+          peg$currPos = s0;
+          s0 = peg$FAILED;
+        }
+      } else {
+        peg$currPos = s0;
+        s0 = peg$FAILED;
+      }
+      peg$silentFails--;
+      if (s0 === peg$FAILED) {
+        s1 = peg$FAILED;
+        if (peg$silentFails === 0) { peg$fail(peg$c166); }
+      }
+
+      return s0;
+    }
+
+    function peg$parseOtherwise() {
+      var s0, s1, s2, s3, s4, s5;
+
+      peg$silentFails++;
+      s0 = peg$currPos;
+      if (input.substr(peg$currPos, 11) === peg$c173) {
+        s1 = peg$c173;
+        peg$currPos += 11;
+      } else {
+        s1 = peg$FAILED;
+        if (peg$silentFails === 0) { peg$fail(peg$c174); }
+      }
+      if (s1 !== peg$FAILED) {
+        s2 = peg$parseNodes();
+        if (s2 !== peg$FAILED) {
+          if (input.substr(peg$currPos, 12) === peg$c175) {
+            s3 = peg$c175;
+            peg$currPos += 12;
+          } else {
+            s3 = peg$FAILED;
+            if (peg$silentFails === 0) { peg$fail(peg$c176); }
+          }
+          if (s3 !== peg$FAILED) {
+            s4 = [];
+            s5 = peg$parsews();
+            while (s5 !== peg$FAILED) {
+              s4.push(s5);
+              s5 = peg$parsews();
+            }
+            if (s4 !== peg$FAILED) {
+              peg$savedPos = s0;
+              s1 = peg$c177(s2);
+              s0 = s1;
+            } else {
+              peg$currPos = s0;
+              s0 = peg$FAILED;
+            }
+          } else {
+            peg$currPos = s0;
+            s0 = peg$FAILED;
+          }
+        } else {
+          peg$currPos = s0;
+          s0 = peg$FAILED;
+        }
+      } else {
+        peg$currPos = s0;
+        s0 = peg$FAILED;
+      }
+      peg$silentFails--;
+      if (s0 === peg$FAILED) {
+        s1 = peg$FAILED;
+        if (peg$silentFails === 0) { peg$fail(peg$c172); }
+      }
+
+      return s0;
+    }
+
+    function peg$parseSwitchStatement() {
+      var s0, s1, s2, s3, s4, s5, s6, s7, s8, s9, s10, s11, s12, s13, s14, s15;
+
+      peg$silentFails++;
+      s0 = peg$currPos;
+      if (input.substr(peg$currPos, 7) === peg$c179) {
+        s1 = peg$c179;
+        peg$currPos += 7;
+      } else {
+        s1 = peg$FAILED;
+        if (peg$silentFails === 0) { peg$fail(peg$c180); }
+      }
+      if (s1 !== peg$FAILED) {
+        s2 = [];
+        s3 = peg$parsews();
+        if (s3 !== peg$FAILED) {
+          while (s3 !== peg$FAILED) {
+            s2.push(s3);
+            s3 = peg$parsews();
+          }
+        } else {
+          s2 = peg$FAILED;
+        }
+        if (s2 !== peg$FAILED) {
+          if (input.substr(peg$currPos, 4) === peg$c158) {
+            s3 = peg$c158;
+            peg$currPos += 4;
+          } else {
+            s3 = peg$FAILED;
+            if (peg$silentFails === 0) { peg$fail(peg$c159); }
+          }
+          if (s3 !== peg$FAILED) {
+            s4 = [];
+            s5 = peg$parsews();
+            while (s5 !== peg$FAILED) {
+              s4.push(s5);
+              s5 = peg$parsews();
+            }
+            if (s4 !== peg$FAILED) {
+              if (input.charCodeAt(peg$currPos) === 61) {
+                s5 = peg$c15;
+                peg$currPos++;
+              } else {
+                s5 = peg$FAILED;
+                if (peg$silentFails === 0) { peg$fail(peg$c16); }
+              }
+              if (s5 !== peg$FAILED) {
+                s6 = [];
+                s7 = peg$parsews();
+                while (s7 !== peg$FAILED) {
+                  s6.push(s7);
+                  s7 = peg$parsews();
+                }
+                if (s6 !== peg$FAILED) {
+                  s7 = peg$parseExprValue();
+                  if (s7 !== peg$FAILED) {
+                    s8 = [];
+                    s9 = peg$parsews();
+                    while (s9 !== peg$FAILED) {
+                      s8.push(s9);
+                      s9 = peg$parsews();
+                    }
+                    if (s8 !== peg$FAILED) {
+                      if (input.charCodeAt(peg$currPos) === 62) {
+                        s9 = peg$c6;
+                        peg$currPos++;
+                      } else {
+                        s9 = peg$FAILED;
+                        if (peg$silentFails === 0) { peg$fail(peg$c7); }
+                      }
+                      if (s9 !== peg$FAILED) {
+                        s10 = [];
+                        s11 = peg$parsews();
+                        while (s11 !== peg$FAILED) {
+                          s10.push(s11);
+                          s11 = peg$parsews();
+                        }
+                        if (s10 !== peg$FAILED) {
+                          s11 = peg$parseSwitchEnter();
+                          if (s11 !== peg$FAILED) {
+                            s12 = [];
+                            s13 = peg$parseCase();
+                            while (s13 !== peg$FAILED) {
+                              s12.push(s13);
+                              s13 = peg$parseCase();
+                            }
+                            if (s12 !== peg$FAILED) {
+                              s13 = peg$parseSwitchDefault();
+                              if (s13 === peg$FAILED) {
+                                s13 = null;
+                              }
+                              if (s13 !== peg$FAILED) {
+                                s14 = peg$parseSwitchLeave();
+                                if (s14 !== peg$FAILED) {
+                                  if (input.substr(peg$currPos, 9) === peg$c181) {
+                                    s15 = peg$c181;
+                                    peg$currPos += 9;
+                                  } else {
+                                    s15 = peg$FAILED;
+                                    if (peg$silentFails === 0) { peg$fail(peg$c182); }
+                                  }
+                                  if (s15 !== peg$FAILED) {
+                                    peg$savedPos = s0;
+                                    s1 = peg$c183(s7, s12, s13);
+                                    s0 = s1;
+                                  } else {
+                                    peg$currPos = s0;
+                                    s0 = peg$FAILED;
+                                  }
+                                } else {
+                                  peg$currPos = s0;
+                                  s0 = peg$FAILED;
+                                }
+                              } else {
+                                peg$currPos = s0;
+                                s0 = peg$FAILED;
+                              }
+                            } else {
+                              peg$currPos = s0;
+                              s0 = peg$FAILED;
+                            }
+                          } else {
+                            peg$currPos = s0;
+                            s0 = peg$FAILED;
+                          }
+                        } else {
+                          peg$currPos = s0;
+                          s0 = peg$FAILED;
+                        }
+                      } else {
+                        peg$currPos = s0;
+                        s0 = peg$FAILED;
+                      }
+                    } else {
+                      peg$currPos = s0;
+                      s0 = peg$FAILED;
+                    }
+                  } else {
+                    peg$currPos = s0;
+                    s0 = peg$FAILED;
+                  }
+                } else {
+                  peg$currPos = s0;
+                  s0 = peg$FAILED;
+                }
+              } else {
+                peg$currPos = s0;
+                s0 = peg$FAILED;
+              }
+            } else {
+              peg$currPos = s0;
+              s0 = peg$FAILED;
+            }
+          } else {
+            peg$currPos = s0;
+            s0 = peg$FAILED;
+          }
+        } else {
+          peg$currPos = s0;
+          s0 = peg$FAILED;
+        }
+      } else {
+        peg$currPos = s0;
+        s0 = peg$FAILED;
       }
       peg$silentFails--;
       if (s0 === peg$FAILED) {
         s1 = peg$FAILED;
-        if (peg$silentFails === 0) { peg$fail(peg$c72); }
+        if (peg$silentFails === 0) { peg$fail(peg$c178); }
       }
 
       return s0;
     }
 
-    function peg$parseIfStandalone() {
-      var s0, s1, s2, s3, s4, s5, s6, s7, s8, s9, s10, s11;
+    function peg$parseCase() {
+      var s0, s1, s2, s3, s4, s5, s6, s7, s8, s9, s10, s11, s12, s13;
 
+      peg$silentFails++;
       s0 = peg$currPos;
-      if (input.substr(peg$currPos, 3) === peg$c73) {
-        s1 = peg$c73;
-        peg$currPos += 3;
+      if (input.substr(peg$currPos, 5) === peg$c185) {
+        s1 = peg$c185;
+        peg$currPos += 5;
       } else {
         s1 = peg$FAILED;
-        if (peg$silentFails === 0) { peg$fail(peg$c74); }
+        if (peg$silentFails === 0) { peg$fail(peg$c186); }
       }
       if (s1 !== peg$FAILED) {
         s2 = [];
@@ -1721,12 +4472,12 @@ module.exports = (function() {
           s2 = peg$FAILED;
         }
         if (s2 !== peg$FAILED) {
-          if (input.substr(peg$currPos, 4) === peg$c75) {
-            s3 = peg$c75;
-            peg$currPos += 4;
+          if (input.substr(peg$currPos, 5) === peg$c187) {
+            s3 = peg$c187;
+            peg$currPos += 5;
           } else {
             s3 = peg$FAILED;
-            if (peg$silentFails === 0) { peg$fail(peg$c76); }
+            if (peg$silentFails === 0) { peg$fail(peg$c188); }
           }
           if (s3 !== peg$FAILED) {
             s4 = [];
@@ -1737,11 +4488,11 @@ module.exports = (function() {
             }
             if (s4 !== peg$FAILED) {
               if (input.charCodeAt(peg$currPos) === 61) {
-                s5 = peg$c13;
+                s5 = peg$c15;
                 peg$currPos++;
               } else {
                 s5 = peg$FAILED;
-                if (peg$silentFails === 0) { peg$fail(peg$c14); }
+                if (peg$silentFails === 0) { peg$fail(peg$c16); }
               }
               if (s5 !== peg$FAILED) {
                 s6 = [];
@@ -1751,7 +4502,7 @@ module.exports = (function() {
                   s7 = peg$parsews();
                 }
                 if (s6 !== peg$FAILED) {
-                  s7 = peg$parseAttrValue();
+                  s7 = peg$parseExprValue();
                   if (s7 !== peg$FAILED) {
                     s8 = [];
                     s9 = peg$parsews();
@@ -1761,26 +4512,37 @@ module.exports = (function() {
                     }
                     if (s8 !== peg$FAILED) {
                       if (input.charCodeAt(peg$currPos) === 62) {
-                        s9 = peg$c4;
+                        s9 = peg$c6;
                         peg$currPos++;
                       } else {
                         s9 = peg$FAILED;
-                        if (peg$silentFails === 0) { peg$fail(peg$c5); }
+                        if (peg$silentFails === 0) { peg$fail(peg$c7); }
                       }
                       if (s9 !== peg$FAILED) {
                         s10 = peg$parseNodes();
                         if (s10 !== peg$FAILED) {
-                          if (input.substr(peg$currPos, 5) === peg$c77) {
-                            s11 = peg$c77;
-                            peg$currPos += 5;
+                          if (input.substr(peg$currPos, 7) === peg$c189) {
+                            s11 = peg$c189;
+                            peg$currPos += 7;
                           } else {
                             s11 = peg$FAILED;
-                            if (peg$silentFails === 0) { peg$fail(peg$c78); }
+                            if (peg$silentFails === 0) { peg$fail(peg$c190); }
                           }
                           if (s11 !== peg$FAILED) {
-                            peg$savedPos = s0;
-                            s1 = peg$c79(s7, s10);
-                            s0 = s1;
+                            s12 = [];
+                            s13 = peg$parsews();
+                            while (s13 !== peg$FAILED) {
+                              s12.push(s13);
+                              s13 = peg$parsews();
+                            }
+                            if (s12 !== peg$FAILED) {
+                              peg$savedPos = s0;
+                              s1 = peg$c191(s7, s10);
+                              s0 = s1;
+                            } else {
+                              peg$currPos = s0;
+                              s0 = peg$FAILED;
+                            }
                           } else {
                             peg$currPos = s0;
                             s0 = peg$FAILED;
@@ -1825,60 +4587,105 @@ module.exports = (function() {
         peg$currPos = s0;
         s0 = peg$FAILED;
       }
+      peg$silentFails--;
+      if (s0 === peg$FAILED) {
+        s1 = peg$FAILED;
+        if (peg$silentFails === 0) { peg$fail(peg$c184); }
+      }
+
+      return s0;
+    }
+
+    function peg$parseSwitchEnter() {
+      var s0;
+
+      peg$savedPos = peg$currPos;
+      s0 = peg$c192();
+      if (s0) {
+        s0 = void 0;
+      } else {
+        s0 = peg$FAILED;
+      }
 
       return s0;
     }
 
-    function peg$parseIfCompound() {
-      var s0, s1, s2, s3, s4, s5;
+    function peg$parseSwitchLeave() {
+      var s0;
+
+      peg$savedPos = peg$currPos;
+      s0 = peg$c193();
+      if (s0) {
+        s0 = void 0;
+      } else {
+        s0 = peg$FAILED;
+      }
+
+      return s0;
+    }
+
+    function peg$parseSwitchTag() {
+      var s0, s1, s2, s3, s4;
 
       s0 = peg$currPos;
-      if (input.substr(peg$currPos, 4) === peg$c80) {
-        s1 = peg$c80;
-        peg$currPos += 4;
+      peg$savedPos = peg$currPos;
+      s1 = peg$c194();
+      if (s1) {
+        s1 = void 0;
       } else {
         s1 = peg$FAILED;
-        if (peg$silentFails === 0) { peg$fail(peg$c81); }
       }
       if (s1 !== peg$FAILED) {
-        s2 = [];
-        s3 = peg$parsews();
-        while (s3 !== peg$FAILED) {
-          s2.push(s3);
-          s3 = peg$parsews();
+        if (input.charCodeAt(peg$currPos) === 47) {
+          s2 = peg$c137;
+          peg$currPos++;
+        } else {
+          s2 = peg$FAILED;
+          if (peg$silentFails === 0) { peg$fail(peg$c138); }
+        }
+        if (s2 === peg$FAILED) {
+          s2 = null;
         }
         if (s2 !== peg$FAILED) {
-          s3 = [];
-          s4 = peg$parseWhen();
-          if (s4 !== peg$FAILED) {
-            while (s4 !== peg$FAILED) {
-              s3.push(s4);
-              s4 = peg$parseWhen();
-            }
+          if (input.substr(peg$currPos, 4) === peg$c195) {
+            s3 = peg$c195;
+            peg$currPos += 4;
           } else {
             s3 = peg$FAILED;
+            if (peg$silentFails === 0) { peg$fail(peg$c196); }
+          }
+          if (s3 === peg$FAILED) {
+            if (input.substr(peg$currPos, 7) === peg$c197) {
+              s3 = peg$c197;
+              peg$currPos += 7;
+            } else {
+              s3 = peg$FAILED;
+              if (peg$silentFails === 0) { peg$fail(peg$c198); }
+            }
           }
           if (s3 !== peg$FAILED) {
-            s4 = peg$parseOtherwise();
+            s4 = peg$parsews();
             if (s4 === peg$FAILED) {
-              s4 = null;
-            }
-            if (s4 !== peg$FAILED) {
-              if (input.substr(peg$currPos, 5) === peg$c77) {
-                s5 = peg$c77;
-                peg$currPos += 5;
+              if (input.charCodeAt(peg$currPos) === 47) {
+                s4 = peg$c137;
+                peg$currPos++;
               } else {
-                s5 = peg$FAILED;
-                if (peg$silentFails === 0) { peg$fail(peg$c78); }
+                s4 = peg$FAILED;
+                if (peg$silentFails === 0) { peg$fail(peg$c138); }
               }
-              if (s5 !== peg$FAILED) {
-                peg$savedPos = s0;
-                s1 = peg$c82(s3, s4);
-                s0 = s1;
-              } else {
-                peg$currPos = s0;
-                s0 = peg$FAILED;
+              if (s4 === peg$FAILED) {
+                if (input.charCodeAt(peg$currPos) === 62) {
+                  s4 = peg$c6;
+                  peg$currPos++;
+                } else {
+                  s4 = peg$FAILED;
+                  if (peg$silentFails === 0) { peg$fail(peg$c7); }
+                }
               }
+            }
+            if (s4 !== peg$FAILED) {
+              s1 = [s1, s2, s3, s4];
+              s0 = s1;
             } else {
               peg$currPos = s0;
               s0 = peg$FAILED;
@@ -1899,36 +4706,27 @@ module.exports = (function() {
       return s0;
     }
 
-    function peg$parseWhen() {
-      var s0, s1, s2, s3, s4, s5, s6, s7, s8, s9, s10, s11, s12, s13;
+    function peg$parseSwitchDefault() {
+      var s0, s1, s2, s3, s4, s5;
 
       peg$silentFails++;
       s0 = peg$currPos;
-      if (input.substr(peg$currPos, 5) === peg$c84) {
-        s1 = peg$c84;
-        peg$currPos += 5;
+      if (input.substr(peg$currPos, 9) === peg$c200) {
+        s1 = peg$c200;
+        peg$currPos += 9;
       } else {
         s1 = peg$FAILED;
-        if (peg$silentFails === 0) { peg$fail(peg$c85); }
+        if (peg$silentFails === 0) { peg$fail(peg$c201); }
       }
       if (s1 !== peg$FAILED) {
-        s2 = [];
-        s3 = peg$parsews();
-        if (s3 !== peg$FAILED) {
-          while (s3 !== peg$FAILED) {
-            s2.push(s3);
-            s3 = peg$parsews();
-          }
-        } else {
-          s2 = peg$FAILED;
-        }
+        s2 = peg$parseNodes();
         if (s2 !== peg$FAILED) {
-          if (input.substr(peg$currPos, 4) === peg$c75) {
-            s3 = peg$c75;
-            peg$currPos += 4;
+          if (input.substr(peg$currPos, 10) === peg$c202) {
+            s3 = peg$c202;
+            peg$currPos += 10;
           } else {
             s3 = peg$FAILED;
-            if (peg$silentFails === 0) { peg$fail(peg$c76); }
+            if (peg$silentFails === 0) { peg$fail(peg$c203); }
           }
           if (s3 !== peg$FAILED) {
             s4 = [];
@@ -1938,12 +4736,64 @@ module.exports = (function() {
               s5 = peg$parsews();
             }
             if (s4 !== peg$FAILED) {
-              if (input.charCodeAt(peg$currPos) === 61) {
-                s5 = peg$c13;
+              peg$savedPos = s0;
+              s1 = peg$c204(s2);
+              s0 = s1;
+            } else {
+              peg$currPos = s0;
+              s0 = peg$FAILED;
+            }
+          } else {
+            peg$currPos = s0;
+            s0 = peg$FAILED;
+          }
+        } else {
+          peg$currPos = s0;
+          s0 = peg$FAILED;
+        }
+      } else {
+        peg$currPos = s0;
+        s0 = peg$FAILED;
+      }
+      peg$silentFails--;
+      if (s0 === peg$FAILED) {
+        s1 = peg$FAILED;
+        if (peg$silentFails === 0) { peg$fail(peg$c199); }
+      }
+
+      return s0;
+    }
+
+    function peg$parseEachStatement() {
+      var s0, s1, s2, s3, s4, s5, s6, s7, s8, s9, s10, s11, s12, s13, s14;
+
+      peg$silentFails++;
+      s0 = peg$currPos;
+      if (input.substr(peg$currPos, 6) === peg$c206) {
+        s1 = peg$c206;
+        peg$currPos += 6;
+      } else {
+        s1 = peg$FAILED;
+        if (peg$silentFails === 0) { peg$fail(peg$c207); }
+      }
+      if (s1 !== peg$FAILED) {
+        s2 = peg$parseVarName();
+        if (s2 !== peg$FAILED) {
+          s3 = peg$parseAttrs();
+          if (s3 !== peg$FAILED) {
+            s4 = [];
+            s5 = peg$parsews();
+            while (s5 !== peg$FAILED) {
+              s4.push(s5);
+              s5 = peg$parsews();
+            }
+            if (s4 !== peg$FAILED) {
+              if (input.charCodeAt(peg$currPos) === 62) {
+                s5 = peg$c6;
                 peg$currPos++;
               } else {
                 s5 = peg$FAILED;
-                if (peg$silentFails === 0) { peg$fail(peg$c14); }
+                if (peg$silentFails === 0) { peg$fail(peg$c7); }
               }
               if (s5 !== peg$FAILED) {
                 s6 = [];
@@ -1953,43 +4803,54 @@ module.exports = (function() {
                   s7 = peg$parsews();
                 }
                 if (s6 !== peg$FAILED) {
-                  s7 = peg$parseAttrValue();
+                  s7 = peg$parseEachEnter();
                   if (s7 !== peg$FAILED) {
-                    s8 = [];
-                    s9 = peg$parsews();
-                    while (s9 !== peg$FAILED) {
-                      s8.push(s9);
-                      s9 = peg$parsews();
-                    }
+                    s8 = peg$parseNodes();
                     if (s8 !== peg$FAILED) {
-                      if (input.charCodeAt(peg$currPos) === 62) {
-                        s9 = peg$c4;
-                        peg$currPos++;
-                      } else {
-                        s9 = peg$FAILED;
-                        if (peg$silentFails === 0) { peg$fail(peg$c5); }
+                      s9 = peg$parseEachEmpty();
+                      if (s9 === peg$FAILED) {
+                        s9 = null;
                       }
                       if (s9 !== peg$FAILED) {
-                        s10 = peg$parseNodes();
+                        s10 = peg$parseEachLeave();
                         if (s10 !== peg$FAILED) {
-                          if (input.substr(peg$currPos, 7) === peg$c86) {
-                            s11 = peg$c86;
+                          if (input.substr(peg$currPos, 7) === peg$c208) {
+                            s11 = peg$c208;
                             peg$currPos += 7;
                           } else {
                             s11 = peg$FAILED;
-                            if (peg$silentFails === 0) { peg$fail(peg$c87); }
+                            if (peg$silentFails === 0) { peg$fail(peg$c209); }
                           }
                           if (s11 !== peg$FAILED) {
-                            s12 = [];
-                            s13 = peg$parsews();
-                            while (s13 !== peg$FAILED) {
-                              s12.push(s13);
-                              s13 = peg$parsews();
-                            }
+                            s12 = peg$parseVarName();
                             if (s12 !== peg$FAILED) {
-                              peg$savedPos = s0;
-                              s1 = peg$c88(s7, s10);
-                              s0 = s1;
+                              peg$savedPos = peg$currPos;
+                              s13 = peg$c210(s2, s3, s8, s9, s12);
+                              if (s13) {
+                                s13 = void 0;
+                              } else {
+                                s13 = peg$FAILED;
+                              }
+                              if (s13 !== peg$FAILED) {
+                                if (input.charCodeAt(peg$currPos) === 62) {
+                                  s14 = peg$c6;
+                                  peg$currPos++;
+                                } else {
+                                  s14 = peg$FAILED;
+                                  if (peg$silentFails === 0) { peg$fail(peg$c7); }
+                                }
+                                if (s14 !== peg$FAILED) {
+                                  peg$savedPos = s0;
+                                  s1 = peg$c211(s2, s3, s8, s9, s12);
+                                  s0 = s1;
+                                } else {
+                                  peg$currPos = s0;
+                                  s0 = peg$FAILED;
+                                }
+                              } else {
+                                peg$currPos = s0;
+                                s0 = peg$FAILED;
+                              }
                             } else {
                               peg$currPos = s0;
                               s0 = peg$FAILED;
@@ -2015,13 +4876,119 @@ module.exports = (function() {
                     s0 = peg$FAILED;
                   }
                 } else {
-                  peg$currPos = s0;
-                  s0 = peg$FAILED;
+                  peg$currPos = s0;
+                  s0 = peg$FAILED;
+                }
+              } else {
+                peg$currPos = s0;
+                s0 = peg$FAILED;
+              }
+            } else {
+              peg$currPos = s0;
+              s0 = peg$FAILED;
+            }
+          } else {
+            peg$currPos = s0;
+            s0 = peg$FAILED;
+          }
+        } else {
+          peg$currPos = s0;
+          s0 = peg$FAILED;
+        }
+      } else {
+        peg$currPos = s0;
+        s0 = peg$FAILED;
+      }
+      peg$silentFails--;
+      if (s0 === peg$FAILED) {
+        s1 = peg$FAILED;
+        if (peg$silentFails === 0) { peg$fail(peg$c205); }
+      }
+
+      return s0;
+    }
+
+    function peg$parseEachEnter() {
+      var s0;
+
+      peg$savedPos = peg$currPos;
+      s0 = peg$c212();
+      if (s0) {
+        s0 = void 0;
+      } else {
+        s0 = peg$FAILED;
+      }
+
+      return s0;
+    }
+
+    function peg$parseEachLeave() {
+      var s0;
+
+      peg$savedPos = peg$currPos;
+      s0 = peg$c213();
+      if (s0) {
+        s0 = void 0;
+      } else {
+        s0 = peg$FAILED;
+      }
+
+      return s0;
+    }
+
+    function peg$parseEachTag() {
+      var s0, s1, s2, s3, s4;
+
+      s0 = peg$currPos;
+      peg$savedPos = peg$currPos;
+      s1 = peg$c214();
+      if (s1) {
+        s1 = void 0;
+      } else {
+        s1 = peg$FAILED;
+      }
+      if (s1 !== peg$FAILED) {
+        if (input.charCodeAt(peg$currPos) === 47) {
+          s2 = peg$c137;
+          peg$currPos++;
+        } else {
+          s2 = peg$FAILED;
+          if (peg$silentFails === 0) { peg$fail(peg$c138); }
+        }
+        if (s2 === peg$FAILED) {
+          s2 = null;
+        }
+        if (s2 !== peg$FAILED) {
+          if (input.substr(peg$currPos, 5) === peg$c215) {
+            s3 = peg$c215;
+            peg$currPos += 5;
+          } else {
+            s3 = peg$FAILED;
+            if (peg$silentFails === 0) { peg$fail(peg$c216); }
+          }
+          if (s3 !== peg$FAILED) {
+            s4 = peg$parsews();
+            if (s4 === peg$FAILED) {
+              if (input.charCodeAt(peg$currPos) === 47) {
+                s4 = peg$c137;
+                peg$currPos++;
+              } else {
+                s4 = peg$FAILED;
+                if (peg$silentFails === 0) { peg$fail(peg$c138); }
+              }
+              if (s4 === peg$FAILED) {
+                if (input.charCodeAt(peg$currPos) === 62) {
+                  s4 = peg$c6;
+                  peg$currPos++;
+                } else {
+                  s4 = peg$FAILED;
+                  if (peg$silentFails === 0) { peg$fail(peg$c7); }
                 }
-              } else {
-                peg$currPos = s0;
-                s0 = peg$FAILED;
               }
+            }
+            if (s4 !== peg$FAILED) {
+              s1 = [s1, s2, s3, s4];
+              s0 = s1;
             } else {
               peg$currPos = s0;
               s0 = peg$FAILED;
@@ -2038,36 +5005,31 @@ module.exports = (function() {
         peg$currPos = s0;
         s0 = peg$FAILED;
       }
-      peg$silentFails--;
-      if (s0 === peg$FAILED) {
-        s1 = peg$FAILED;
-        if (peg$silentFails === 0) { peg$fail(peg$c83); }
-      }
 
       return s0;
     }
 
-    function peg$parseOtherwise() {
+    function peg$parseEachEmpty() {
       var s0, s1, s2, s3, s4, s5;
 
       peg$silentFails++;
       s0 = peg$currPos;
-      if (input.substr(peg$currPos, 11) === peg$c90) {
-        s1 = peg$c90;
-        peg$currPos += 11;
+      if (input.substr(peg$currPos, 7) === peg$c218) {
+        s1 = peg$c218;
+        peg$currPos += 7;
       } else {
         s1 = peg$FAILED;
-        if (peg$silentFails === 0) { peg$fail(peg$c91); }
+        if (peg$silentFails === 0) { peg$fail(peg$c219); }
       }
       if (s1 !== peg$FAILED) {
         s2 = peg$parseNodes();
         if (s2 !== peg$FAILED) {
-          if (input.substr(peg$currPos, 12) === peg$c92) {
-            s3 = peg$c92;
-            peg$currPos += 12;
+          if (input.substr(peg$currPos, 8) === peg$c220) {
+            s3 = peg$c220;
+            peg$currPos += 8;
           } else {
             s3 = peg$FAILED;
-            if (peg$silentFails === 0) { peg$fail(peg$c93); }
+            if (peg$silentFails === 0) { peg$fail(peg$c221); }
           }
           if (s3 !== peg$FAILED) {
             s4 = [];
@@ -2078,7 +5040,7 @@ module.exports = (function() {
             }
             if (s4 !== peg$FAILED) {
               peg$savedPos = s0;
-              s1 = peg$c94(s2);
+              s1 = peg$c222(s2);
               s0 = s1;
             } else {
               peg$currPos = s0;
@@ -2099,44 +5061,130 @@ module.exports = (function() {
       peg$silentFails--;
       if (s0 === peg$FAILED) {
         s1 = peg$FAILED;
-        if (peg$silentFails === 0) { peg$fail(peg$c89); }
+        if (peg$silentFails === 0) { peg$fail(peg$c217); }
       }
 
       return s0;
     }
 
-    function peg$parseEachStatement() {
-      var s0, s1, s2, s3, s4, s5, s6, s7, s8, s9, s10, s11, s12, s13, s14, s15, s16;
+    function peg$parseLoopControl() {
+      var s0, s1, s2, s3, s4, s5;
 
       peg$silentFails++;
       s0 = peg$currPos;
-      if (input.substr(peg$currPos, 6) === peg$c96) {
-        s1 = peg$c96;
-        peg$currPos += 6;
+      if (input.charCodeAt(peg$currPos) === 60) {
+        s1 = peg$c45;
+        peg$currPos++;
       } else {
         s1 = peg$FAILED;
-        if (peg$silentFails === 0) { peg$fail(peg$c97); }
+        if (peg$silentFails === 0) { peg$fail(peg$c46); }
       }
       if (s1 !== peg$FAILED) {
-        s2 = peg$parseVarName();
+        if (input.substr(peg$currPos, 5) === peg$c224) {
+          s2 = peg$c224;
+          peg$currPos += 5;
+        } else {
+          s2 = peg$FAILED;
+          if (peg$silentFails === 0) { peg$fail(peg$c225); }
+        }
+        if (s2 === peg$FAILED) {
+          if (input.substr(peg$currPos, 8) === peg$c226) {
+            s2 = peg$c226;
+            peg$currPos += 8;
+          } else {
+            s2 = peg$FAILED;
+            if (peg$silentFails === 0) { peg$fail(peg$c227); }
+          }
+        }
         if (s2 !== peg$FAILED) {
-          s3 = [];
-          s4 = peg$parsews();
-          if (s4 !== peg$FAILED) {
-            while (s4 !== peg$FAILED) {
-              s3.push(s4);
-              s4 = peg$parsews();
+          s3 = peg$parseLoopControlIf();
+          if (s3 === peg$FAILED) {
+            s3 = null;
+          }
+          if (s3 !== peg$FAILED) {
+            s4 = [];
+            s5 = peg$parsews();
+            while (s5 !== peg$FAILED) {
+              s4.push(s5);
+              s5 = peg$parsews();
+            }
+            if (s4 !== peg$FAILED) {
+              if (input.substr(peg$currPos, 2) === peg$c3) {
+                s5 = peg$c3;
+                peg$currPos += 2;
+              } else {
+                s5 = peg$FAILED;
+                if (peg$silentFails === 0) { peg$fail(peg$c4); }
+              }
+              if (s5 !== peg$FAILED) {
+                peg$savedPos = s0;
+                s1 = peg$c228(s2, s3);
+                s0 = s1;
+              } else {
+                peg$currPos = s0;
+                s0 = peg$FAILED;
+              }
+            } else {
+              peg$currPos = s0;
+              s0 = peg$FAILED;
             }
           } else {
-            s3 = peg$FAILED;
+            peg$currPos = s0;
+            s0 = peg$FAILED;
+          }
+        } else {
+          peg$currPos = s0;
+          s0 = peg$FAILED;
+        }
+      } else {
+        peg$currPos = s0;
+        s0 = peg$FAILED;
+      }
+      peg$silentFails--;
+      if (s0 === peg$FAILED) {
+        s1 = peg$FAILED;
+        if (peg$silentFails === 0) { peg$fail(peg$c223); }
+      }
+
+      return s0;
+    }
+
+    function peg$parseLoopControlIf() {
+      var s0, s1, s2, s3, s4, s5, s6;
+
+      s0 = peg$currPos;
+      s1 = [];
+      s2 = peg$parsews();
+      if (s2 !== peg$FAILED) {
+        while (s2 !== peg$FAILED) {
+          s1.push(s2);
+          s2 = peg$parsews();
+        }
+      } else {
+        s1 = peg$FAILED;
+      }
+      if (s1 !== peg$FAILED) {
+        if (input.substr(peg$currPos, 2) === peg$c229) {
+          s2 = peg$c229;
+          peg$currPos += 2;
+        } else {
+          s2 = peg$FAILED;
+          if (peg$silentFails === 0) { peg$fail(peg$c230); }
+        }
+        if (s2 !== peg$FAILED) {
+          s3 = [];
+          s4 = peg$parsews();
+          while (s4 !== peg$FAILED) {
+            s3.push(s4);
+            s4 = peg$parsews();
           }
           if (s3 !== peg$FAILED) {
-            if (input.substr(peg$currPos, 2) === peg$c98) {
-              s4 = peg$c98;
-              peg$currPos += 2;
+            if (input.charCodeAt(peg$currPos) === 61) {
+              s4 = peg$c15;
+              peg$currPos++;
             } else {
               s4 = peg$FAILED;
-              if (peg$silentFails === 0) { peg$fail(peg$c99); }
+              if (peg$silentFails === 0) { peg$fail(peg$c16); }
             }
             if (s4 !== peg$FAILED) {
               s5 = [];
@@ -2146,116 +5194,11 @@ module.exports = (function() {
                 s6 = peg$parsews();
               }
               if (s5 !== peg$FAILED) {
-                if (input.charCodeAt(peg$currPos) === 61) {
-                  s6 = peg$c13;
-                  peg$currPos++;
-                } else {
-                  s6 = peg$FAILED;
-                  if (peg$silentFails === 0) { peg$fail(peg$c14); }
-                }
+                s6 = peg$parseExprValue();
                 if (s6 !== peg$FAILED) {
-                  s7 = [];
-                  s8 = peg$parsews();
-                  while (s8 !== peg$FAILED) {
-                    s7.push(s8);
-                    s8 = peg$parsews();
-                  }
-                  if (s7 !== peg$FAILED) {
-                    s8 = peg$parseAttrValue();
-                    if (s8 !== peg$FAILED) {
-                      s9 = [];
-                      s10 = peg$parsews();
-                      while (s10 !== peg$FAILED) {
-                        s9.push(s10);
-                        s10 = peg$parsews();
-                      }
-                      if (s9 !== peg$FAILED) {
-                        if (input.charCodeAt(peg$currPos) === 62) {
-                          s10 = peg$c4;
-                          peg$currPos++;
-                        } else {
-                          s10 = peg$FAILED;
-                          if (peg$silentFails === 0) { peg$fail(peg$c5); }
-                        }
-                        if (s10 !== peg$FAILED) {
-                          s11 = [];
-                          s12 = peg$parsews();
-                          while (s12 !== peg$FAILED) {
-                            s11.push(s12);
-                            s12 = peg$parsews();
-                          }
-                          if (s11 !== peg$FAILED) {
-                            s12 = peg$parseNodes();
-                            if (s12 !== peg$FAILED) {
-                              if (input.substr(peg$currPos, 7) === peg$c100) {
-                                s13 = peg$c100;
-                                peg$currPos += 7;
-                              } else {
-                                s13 = peg$FAILED;
-                                if (peg$silentFails === 0) { peg$fail(peg$c101); }
-                              }
-                              if (s13 !== peg$FAILED) {
-                                s14 = peg$parseVarName();
-                                if (s14 !== peg$FAILED) {
-                                  peg$savedPos = peg$currPos;
-                                  s15 = peg$c102(s2, s8, s12, s14);
-                                  if (s15) {
-                                    s15 = void 0;
-                                  } else {
-                                    s15 = peg$FAILED;
-                                  }
-                                  if (s15 !== peg$FAILED) {
-                                    if (input.charCodeAt(peg$currPos) === 62) {
-                                      s16 = peg$c4;
-                                      peg$currPos++;
-                                    } else {
-                                      s16 = peg$FAILED;
-                                      if (peg$silentFails === 0) { peg$fail(peg$c5); }
-                                    }
-                                    if (s16 !== peg$FAILED) {
-                                      peg$savedPos = s0;
-                                      s1 = peg$c103(s2, s8, s12, s14);
-                                      s0 = s1;
-                                    } else {
-                                      peg$currPos = s0;
-                                      s0 = peg$FAILED;
-                                    }
-                                  } else {
-                                    peg$currPos = s0;
-                                    s0 = peg$FAILED;
-                                  }
-                                } else {
-                                  peg$currPos = s0;
-                                  s0 = peg$FAILED;
-                                }
-                              } else {
-                                peg$currPos = s0;
-                                s0 = peg$FAILED;
-                              }
-                            } else {
-                              peg$currPos = s0;
-                              s0 = peg$FAILED;
-                            }
-                          } else {
-                            peg$currPos = s0;
-                            s0 = peg$FAILED;
-                          }
-                        } else {
-                          peg$currPos = s0;
-                          s0 = peg$FAILED;
-                        }
-                      } else {
-                        peg$currPos = s0;
-                        s0 = peg$FAILED;
-                      }
-                    } else {
-                      peg$currPos = s0;
-                      s0 = peg$FAILED;
-                    }
-                  } else {
-                    peg$currPos = s0;
-                    s0 = peg$FAILED;
-                  }
+                  peg$savedPos = s0;
+                  s1 = peg$c84(s6);
+                  s0 = s1;
                 } else {
                   peg$currPos = s0;
                   s0 = peg$FAILED;
@@ -2280,11 +5223,6 @@ module.exports = (function() {
         peg$currPos = s0;
         s0 = peg$FAILED;
       }
-      peg$silentFails--;
-      if (s0 === peg$FAILED) {
-        s1 = peg$FAILED;
-        if (peg$silentFails === 0) { peg$fail(peg$c95); }
-      }
 
       return s0;
     }
@@ -2292,51 +5230,37 @@ module.exports = (function() {
     function peg$parseKeyword() {
       var s0, s1, s2;
 
-      if (input.substr(peg$currPos, 7) === peg$c104) {
-        s0 = peg$c104;
+      if (input.substr(peg$currPos, 7) === peg$c231) {
+        s0 = peg$c231;
         peg$currPos += 7;
       } else {
         s0 = peg$FAILED;
-        if (peg$silentFails === 0) { peg$fail(peg$c105); }
+        if (peg$silentFails === 0) { peg$fail(peg$c232); }
       }
       if (s0 === peg$FAILED) {
-        if (input.substr(peg$currPos, 6) === peg$c106) {
-          s0 = peg$c106;
+        if (input.substr(peg$currPos, 6) === peg$c233) {
+          s0 = peg$c233;
           peg$currPos += 6;
         } else {
           s0 = peg$FAILED;
-          if (peg$silentFails === 0) { peg$fail(peg$c107); }
+          if (peg$silentFails === 0) { peg$fail(peg$c234); }
         }
         if (s0 === peg$FAILED) {
-          s0 = peg$currPos;
-          if (input.substr(peg$currPos, 6) === peg$c108) {
-            s1 = peg$c108;
-            peg$currPos += 6;
-          } else {
-            s1 = peg$FAILED;
-            if (peg$silentFails === 0) { peg$fail(peg$c109); }
-          }
-          if (s1 !== peg$FAILED) {
-            s2 = peg$parseVarName();
-            if (s2 !== peg$FAILED) {
-              s1 = [s1, s2];
-              s0 = s1;
-            } else {
-              peg$currPos = s0;
-              s0 = peg$FAILED;
-            }
+          if (input.substr(peg$currPos, 9) === peg$c235) {
+            s0 = peg$c235;
+            peg$currPos += 9;
           } else {
-            peg$currPos = s0;
             s0 = peg$FAILED;
+            if (peg$silentFails === 0) { peg$fail(peg$c236); }
           }
           if (s0 === peg$FAILED) {
             s0 = peg$currPos;
-            if (input.substr(peg$currPos, 4) === peg$c110) {
-              s1 = peg$c110;
-              peg$currPos += 4;
+            if (input.substr(peg$currPos, 5) === peg$c237) {
+              s1 = peg$c237;
+              peg$currPos += 5;
             } else {
               s1 = peg$FAILED;
-              if (peg$silentFails === 0) { peg$fail(peg$c111); }
+              if (peg$silentFails === 0) { peg$fail(peg$c238); }
             }
             if (s1 !== peg$FAILED) {
               s2 = peg$parseVarName();
@@ -2353,12 +5277,12 @@ module.exports = (function() {
             }
             if (s0 === peg$FAILED) {
               s0 = peg$currPos;
-              if (input.substr(peg$currPos, 7) === peg$c112) {
-                s1 = peg$c112;
-                peg$currPos += 7;
+              if (input.substr(peg$currPos, 6) === peg$c239) {
+                s1 = peg$c239;
+                peg$currPos += 6;
               } else {
                 s1 = peg$FAILED;
-                if (peg$silentFails === 0) { peg$fail(peg$c113); }
+                if (peg$silentFails === 0) { peg$fail(peg$c240); }
               }
               if (s1 !== peg$FAILED) {
                 s2 = peg$parseVarName();
@@ -2374,59 +5298,87 @@ module.exports = (function() {
                 s0 = peg$FAILED;
               }
               if (s0 === peg$FAILED) {
-                s0 = peg$currPos;
-                if (input.substr(peg$currPos, 8) === peg$c114) {
-                  s1 = peg$c114;
-                  peg$currPos += 8;
-                } else {
-                  s1 = peg$FAILED;
-                  if (peg$silentFails === 0) { peg$fail(peg$c115); }
-                }
-                if (s1 !== peg$FAILED) {
-                  s2 = peg$parseVarName();
-                  if (s2 !== peg$FAILED) {
-                    s1 = [s1, s2];
-                    s0 = s1;
-                  } else {
-                    peg$currPos = s0;
-                    s0 = peg$FAILED;
-                  }
+                if (input.substr(peg$currPos, 6) === peg$c241) {
+                  s0 = peg$c241;
+                  peg$currPos += 6;
                 } else {
-                  peg$currPos = s0;
                   s0 = peg$FAILED;
+                  if (peg$silentFails === 0) { peg$fail(peg$c242); }
                 }
                 if (s0 === peg$FAILED) {
-                  if (input.substr(peg$currPos, 2) === peg$c116) {
-                    s0 = peg$c116;
-                    peg$currPos += 2;
+                  s0 = peg$currPos;
+                  if (input.substr(peg$currPos, 6) === peg$c243) {
+                    s1 = peg$c243;
+                    peg$currPos += 6;
+                  } else {
+                    s1 = peg$FAILED;
+                    if (peg$silentFails === 0) { peg$fail(peg$c244); }
+                  }
+                  if (s1 !== peg$FAILED) {
+                    s2 = peg$parseVarName();
+                    if (s2 !== peg$FAILED) {
+                      s1 = [s1, s2];
+                      s0 = s1;
+                    } else {
+                      peg$currPos = s0;
+                      s0 = peg$FAILED;
+                    }
                   } else {
+                    peg$currPos = s0;
                     s0 = peg$FAILED;
-                    if (peg$silentFails === 0) { peg$fail(peg$c117); }
                   }
                   if (s0 === peg$FAILED) {
-                    if (input.substr(peg$currPos, 4) === peg$c118) {
-                      s0 = peg$c118;
+                    s0 = peg$currPos;
+                    if (input.substr(peg$currPos, 4) === peg$c245) {
+                      s1 = peg$c245;
                       peg$currPos += 4;
                     } else {
+                      s1 = peg$FAILED;
+                      if (peg$silentFails === 0) { peg$fail(peg$c246); }
+                    }
+                    if (s1 !== peg$FAILED) {
+                      s2 = peg$parseVarName();
+                      if (s2 !== peg$FAILED) {
+                        s1 = [s1, s2];
+                        s0 = s1;
+                      } else {
+                        peg$currPos = s0;
+                        s0 = peg$FAILED;
+                      }
+                    } else {
+                      peg$currPos = s0;
                       s0 = peg$FAILED;
-                      if (peg$silentFails === 0) { peg$fail(peg$c119); }
                     }
                     if (s0 === peg$FAILED) {
-                      if (input.substr(peg$currPos, 9) === peg$c120) {
-                        s0 = peg$c120;
-                        peg$currPos += 9;
+                      s0 = peg$currPos;
+                      if (input.substr(peg$currPos, 7) === peg$c247) {
+                        s1 = peg$c247;
+                        peg$currPos += 7;
+                      } else {
+                        s1 = peg$FAILED;
+                        if (peg$silentFails === 0) { peg$fail(peg$c248); }
+                      }
+                      if (s1 !== peg$FAILED) {
+                        s2 = peg$parseVarName();
+                        if (s2 !== peg$FAILED) {
+                          s1 = [s1, s2];
+                          s0 = s1;
+                        } else {
+                          peg$currPos = s0;
+                          s0 = peg$FAILED;
+                        }
                       } else {
+                        peg$currPos = s0;
                         s0 = peg$FAILED;
-                        if (peg$silentFails === 0) { peg$fail(peg$c121); }
                       }
                       if (s0 === peg$FAILED) {
                         s0 = peg$currPos;
-                        if (input.substr(peg$currPos, 5) === peg$c122) {
-                          s1 = peg$c122;
-                          peg$currPos += 5;
+                        if (input.substr(peg$currPos, 8) === peg$c249) {
+                          s1 = peg$c249;
+                          peg$currPos += 8;
                         } else {
                           s1 = peg$FAILED;
-                          if (peg$silentFails === 0) { peg$fail(peg$c123); }
+                          if (peg$silentFails === 0) { peg$fail(peg$c250); }
                         }
                         if (s1 !== peg$FAILED) {
                           s2 = peg$parseVarName();
@@ -2442,26 +5394,94 @@ module.exports = (function() {
                           s0 = peg$FAILED;
                         }
                         if (s0 === peg$FAILED) {
-                          s0 = peg$currPos;
-                          if (input.substr(peg$currPos, 4) === peg$c124) {
-                            s1 = peg$c124;
-                            peg$currPos += 4;
+                          if (input.substr(peg$currPos, 2) === peg$c229) {
+                            s0 = peg$c229;
+                            peg$currPos += 2;
                           } else {
-                            s1 = peg$FAILED;
-                            if (peg$silentFails === 0) { peg$fail(peg$c125); }
+                            s0 = peg$FAILED;
+                            if (peg$silentFails === 0) { peg$fail(peg$c230); }
                           }
-                          if (s1 !== peg$FAILED) {
-                            s2 = peg$parseVarName();
-                            if (s2 !== peg$FAILED) {
-                              s1 = [s1, s2];
-                              s0 = s1;
+                          if (s0 === peg$FAILED) {
+                            if (input.substr(peg$currPos, 4) === peg$c251) {
+                              s0 = peg$c251;
+                              peg$currPos += 4;
                             } else {
-                              peg$currPos = s0;
                               s0 = peg$FAILED;
+                              if (peg$silentFails === 0) { peg$fail(peg$c252); }
+                            }
+                            if (s0 === peg$FAILED) {
+                              if (input.substr(peg$currPos, 9) === peg$c253) {
+                                s0 = peg$c253;
+                                peg$currPos += 9;
+                              } else {
+                                s0 = peg$FAILED;
+                                if (peg$silentFails === 0) { peg$fail(peg$c254); }
+                              }
+                              if (s0 === peg$FAILED) {
+                                s0 = peg$currPos;
+                                if (input.substr(peg$currPos, 5) === peg$c255) {
+                                  s1 = peg$c255;
+                                  peg$currPos += 5;
+                                } else {
+                                  s1 = peg$FAILED;
+                                  if (peg$silentFails === 0) { peg$fail(peg$c256); }
+                                }
+                                if (s1 !== peg$FAILED) {
+                                  s2 = peg$parseVarName();
+                                  if (s2 !== peg$FAILED) {
+                                    s1 = [s1, s2];
+                                    s0 = s1;
+                                  } else {
+                                    peg$currPos = s0;
+                                    s0 = peg$FAILED;
+                                  }
+                                } else {
+                                  peg$currPos = s0;
+                                  s0 = peg$FAILED;
+                                }
+                                if (s0 === peg$FAILED) {
+                                  if (input.substr(peg$currPos, 5) === peg$c224) {
+                                    s0 = peg$c224;
+                                    peg$currPos += 5;
+                                  } else {
+                                    s0 = peg$FAILED;
+                                    if (peg$silentFails === 0) { peg$fail(peg$c225); }
+                                  }
+                                  if (s0 === peg$FAILED) {
+                                    if (input.substr(peg$currPos, 8) === peg$c226) {
+                                      s0 = peg$c226;
+                                      peg$currPos += 8;
+                                    } else {
+                                      s0 = peg$FAILED;
+                                      if (peg$silentFails === 0) { peg$fail(peg$c227); }
+                                    }
+                                    if (s0 === peg$FAILED) {
+                                      s0 = peg$currPos;
+                                      if (input.substr(peg$currPos, 4) === peg$c257) {
+                                        s1 = peg$c257;
+                                        peg$currPos += 4;
+                                      } else {
+                                        s1 = peg$FAILED;
+                                        if (peg$silentFails === 0) { peg$fail(peg$c258); }
+                                      }
+                                      if (s1 !== peg$FAILED) {
+                                        s2 = peg$parseVarName();
+                                        if (s2 !== peg$FAILED) {
+                                          s1 = [s1, s2];
+                                          s0 = s1;
+                                        } else {
+                                          peg$currPos = s0;
+                                          s0 = peg$FAILED;
+                                        }
+                                      } else {
+                                        peg$currPos = s0;
+                                        s0 = peg$FAILED;
+                                      }
+                                    }
+                                  }
+                                }
+                              }
                             }
-                          } else {
-                            peg$currPos = s0;
-                            s0 = peg$FAILED;
                           }
                         }
                       }
@@ -2500,41 +5520,41 @@ module.exports = (function() {
       peg$silentFails--;
       if (s0 === peg$FAILED) {
         s1 = peg$FAILED;
-        if (peg$silentFails === 0) { peg$fail(peg$c126); }
+        if (peg$silentFails === 0) { peg$fail(peg$c259); }
       }
 
       return s0;
     }
 
     function peg$parsePlainToken() {
-      var s0, s1, s2, s3, s4, s5, s6;
+      var s0, s1, s2, s3, s4, s5, s6, s7, s8, s9, s10, s11;
 
-      if (peg$c127.test(input.charAt(peg$currPos))) {
+      if (peg$c260.test(input.charAt(peg$currPos))) {
         s0 = input.charAt(peg$currPos);
         peg$currPos++;
       } else {
         s0 = peg$FAILED;
-        if (peg$silentFails === 0) { peg$fail(peg$c128); }
+        if (peg$silentFails === 0) { peg$fail(peg$c261); }
       }
       if (s0 === peg$FAILED) {
         s0 = peg$currPos;
         if (input.charCodeAt(peg$currPos) === 60) {
-          s1 = peg$c22;
+          s1 = peg$c45;
           peg$currPos++;
         } else {
           s1 = peg$FAILED;
-          if (peg$silentFails === 0) { peg$fail(peg$c23); }
+          if (peg$silentFails === 0) { peg$fail(peg$c46); }
         }
         if (s1 !== peg$FAILED) {
           s2 = peg$currPos;
           peg$silentFails++;
           s3 = peg$currPos;
           if (input.charCodeAt(peg$currPos) === 47) {
-            s4 = peg$c129;
+            s4 = peg$c137;
             peg$currPos++;
           } else {
             s4 = peg$FAILED;
-            if (peg$silentFails === 0) { peg$fail(peg$c130); }
+            if (peg$silentFails === 0) { peg$fail(peg$c138); }
           }
           if (s4 === peg$FAILED) {
             s4 = null;
@@ -2545,19 +5565,19 @@ module.exports = (function() {
               s6 = peg$parsews();
               if (s6 === peg$FAILED) {
                 if (input.charCodeAt(peg$currPos) === 47) {
-                  s6 = peg$c129;
+                  s6 = peg$c137;
                   peg$currPos++;
                 } else {
                   s6 = peg$FAILED;
-                  if (peg$silentFails === 0) { peg$fail(peg$c130); }
+                  if (peg$silentFails === 0) { peg$fail(peg$c138); }
                 }
                 if (s6 === peg$FAILED) {
                   if (input.charCodeAt(peg$currPos) === 62) {
-                    s6 = peg$c4;
+                    s6 = peg$c6;
                     peg$currPos++;
                   } else {
                     s6 = peg$FAILED;
-                    if (peg$silentFails === 0) { peg$fail(peg$c5); }
+                    if (peg$silentFails === 0) { peg$fail(peg$c7); }
                   }
                 }
               }
@@ -2586,12 +5606,12 @@ module.exports = (function() {
           if (s2 !== peg$FAILED) {
             s3 = peg$currPos;
             peg$silentFails++;
-            if (input.substr(peg$currPos, 3) === peg$c131) {
-              s4 = peg$c131;
+            if (input.substr(peg$currPos, 3) === peg$c262) {
+              s4 = peg$c262;
               peg$currPos += 3;
             } else {
               s4 = peg$FAILED;
-              if (peg$silentFails === 0) { peg$fail(peg$c132); }
+              if (peg$silentFails === 0) { peg$fail(peg$c263); }
             }
             peg$silentFails--;
             if (s4 === peg$FAILED) {
@@ -2601,8 +5621,196 @@ module.exports = (function() {
               s3 = peg$FAILED;
             }
             if (s3 !== peg$FAILED) {
-              s1 = [s1, s2, s3];
-              s0 = s1;
+              s4 = peg$currPos;
+              peg$silentFails++;
+              s5 = peg$currPos;
+              if (input.substr(peg$currPos, 3) === peg$c264) {
+                s6 = peg$c264;
+                peg$currPos += 3;
+              } else {
+                s6 = peg$FAILED;
+                if (peg$silentFails === 0) { peg$fail(peg$c265); }
+              }
+              if (s6 !== peg$FAILED) {
+                s7 = [];
+                s8 = peg$parsews();
+                if (s8 !== peg$FAILED) {
+                  while (s8 !== peg$FAILED) {
+                    s7.push(s8);
+                    s8 = peg$parsews();
+                  }
+                } else {
+                  s7 = peg$FAILED;
+                }
+                if (s7 !== peg$FAILED) {
+                  if (input.substr(peg$currPos, 4) === peg$c13) {
+                    s8 = peg$c13;
+                    peg$currPos += 4;
+                  } else {
+                    s8 = peg$FAILED;
+                    if (peg$silentFails === 0) { peg$fail(peg$c14); }
+                  }
+                  if (s8 !== peg$FAILED) {
+                    s9 = [];
+                    s10 = peg$parsews();
+                    while (s10 !== peg$FAILED) {
+                      s9.push(s10);
+                      s10 = peg$parsews();
+                    }
+                    if (s9 !== peg$FAILED) {
+                      if (input.charCodeAt(peg$currPos) === 61) {
+                        s10 = peg$c15;
+                        peg$currPos++;
+                      } else {
+                        s10 = peg$FAILED;
+                        if (peg$silentFails === 0) { peg$fail(peg$c16); }
+                      }
+                      if (s10 !== peg$FAILED) {
+                        s6 = [s6, s7, s8, s9, s10];
+                        s5 = s6;
+                      } else {
+                        peg$currPos = s5;
+                        s5 = peg$FAILED;
+                      }
+                    } else {
+                      peg$currPos = s5;
+                      s5 = peg$FAILED;
+                    }
+                  } else {
+                    peg$currPos = s5;
+                    s5 = peg$FAILED;
+                  }
+                } else {
+                  peg$currPos = s5;
+                  s5 = peg$FAILED;
+                }
+              } else {
+                peg$currPos = s5;
+                s5 = peg$FAILED;
+              }
+              peg$silentFails--;
+              if (s5 === peg$FAILED) {
+                s4 = void 0;
+              } else {
+                peg$currPos = s4;
+                s4 = peg$FAILED;
+              }
+              if (s4 !== peg$FAILED) {
+                s5 = peg$currPos;
+                peg$silentFails++;
+                s6 = peg$currPos;
+                if (input.substr(peg$currPos, 6) === peg$c266) {
+                  s7 = peg$c266;
+                  peg$currPos += 6;
+                } else {
+                  s7 = peg$FAILED;
+                  if (peg$silentFails === 0) { peg$fail(peg$c267); }
+                }
+                if (s7 !== peg$FAILED) {
+                  s8 = [];
+                  s9 = peg$parsews();
+                  if (s9 !== peg$FAILED) {
+                    while (s9 !== peg$FAILED) {
+                      s8.push(s9);
+                      s9 = peg$parsews();
+                    }
+                  } else {
+                    s8 = peg$FAILED;
+                  }
+                  if (s8 !== peg$FAILED) {
+                    if (input.substr(peg$currPos, 4) === peg$c158) {
+                      s9 = peg$c158;
+                      peg$currPos += 4;
+                    } else {
+                      s9 = peg$FAILED;
+                      if (peg$silentFails === 0) { peg$fail(peg$c159); }
+                    }
+                    if (s9 !== peg$FAILED) {
+                      s10 = [];
+                      s11 = peg$parsews();
+                      while (s11 !== peg$FAILED) {
+                        s10.push(s11);
+                        s11 = peg$parsews();
+                      }
+                      if (s10 !== peg$FAILED) {
+                        if (input.charCodeAt(peg$currPos) === 61) {
+                          s11 = peg$c15;
+                          peg$currPos++;
+                        } else {
+                          s11 = peg$FAILED;
+                          if (peg$silentFails === 0) { peg$fail(peg$c16); }
+                        }
+                        if (s11 !== peg$FAILED) {
+                          s7 = [s7, s8, s9, s10, s11];
+                          s6 = s7;
+                        } else {
+                          peg$currPos = s6;
+                          s6 = peg$FAILED;
+                        }
+                      } else {
+                        peg$currPos = s6;
+                        s6 = peg$FAILED;
+                      }
+                    } else {
+                      peg$currPos = s6;
+                      s6 = peg$FAILED;
+                    }
+                  } else {
+                    peg$currPos = s6;
+                    s6 = peg$FAILED;
+                  }
+                } else {
+                  peg$currPos = s6;
+                  s6 = peg$FAILED;
+                }
+                peg$silentFails--;
+                if (s6 === peg$FAILED) {
+                  s5 = void 0;
+                } else {
+                  peg$currPos = s5;
+                  s5 = peg$FAILED;
+                }
+                if (s5 !== peg$FAILED) {
+                  s6 = peg$currPos;
+                  peg$silentFails++;
+                  s7 = peg$parseSwitchTag();
+                  peg$silentFails--;
+                  if (s7 === peg$FAILED) {
+                    s6 = void 0;
+                  } else {
+                    peg$currPos = s6;
+                    s6 = peg$FAILED;
+                  }
+                  if (s6 !== peg$FAILED) {
+                    s7 = peg$currPos;
+                    peg$silentFails++;
+                    s8 = peg$parseEachTag();
+                    peg$silentFails--;
+                    if (s8 === peg$FAILED) {
+                      s7 = void 0;
+                    } else {
+                      peg$currPos = s7;
+                      s7 = peg$FAILED;
+                    }
+                    if (s7 !== peg$FAILED) {
+                      s1 = [s1, s2, s3, s4, s5, s6, s7];
+                      s0 = s1;
+                    } else {
+                      peg$currPos = s0;
+                      s0 = peg$FAILED;
+                    }
+                  } else {
+                    peg$currPos = s0;
+                    s0 = peg$FAILED;
+                  }
+                } else {
+                  peg$currPos = s0;
+                  s0 = peg$FAILED;
+                }
+              } else {
+                peg$currPos = s0;
+                s0 = peg$FAILED;
+              }
             } else {
               peg$currPos = s0;
               s0 = peg$FAILED;
@@ -2617,77 +5825,276 @@ module.exports = (function() {
         }
         if (s0 === peg$FAILED) {
           s0 = peg$currPos;
-          if (peg$c133.test(input.charAt(peg$currPos))) {
+          if (peg$c268.test(input.charAt(peg$currPos))) {
             s1 = input.charAt(peg$currPos);
             peg$currPos++;
           } else {
             s1 = peg$FAILED;
-            if (peg$silentFails === 0) { peg$fail(peg$c134); }
+            if (peg$silentFails === 0) { peg$fail(peg$c269); }
           }
           if (s1 !== peg$FAILED) {
             s2 = peg$currPos;
             peg$silentFails++;
             if (input.charCodeAt(peg$currPos) === 123) {
-              s3 = peg$c70;
+              s3 = peg$c153;
               peg$currPos++;
             } else {
               s3 = peg$FAILED;
-              if (peg$silentFails === 0) { peg$fail(peg$c71); }
+              if (peg$silentFails === 0) { peg$fail(peg$c154); }
+            }
+            peg$silentFails--;
+            if (s3 === peg$FAILED) {
+              s2 = void 0;
+            } else {
+              peg$currPos = s2;
+              s2 = peg$FAILED;
+            }
+            if (s2 !== peg$FAILED) {
+              s1 = [s1, s2];
+              s0 = s1;
+            } else {
+              peg$currPos = s0;
+              s0 = peg$FAILED;
+            }
+          } else {
+            peg$currPos = s0;
+            s0 = peg$FAILED;
+          }
+        }
+      }
+
+      return s0;
+    }
+
+    function peg$parseVarName() {
+      var s0, s1, s2, s3, s4;
+
+      peg$silentFails++;
+      s0 = peg$currPos;
+      s1 = peg$currPos;
+      if (peg$c271.test(input.charAt(peg$currPos))) {
+        s2 = input.charAt(peg$currPos);
+        peg$currPos++;
+      } else {
+        s2 = peg$FAILED;
+        if (peg$silentFails === 0) { peg$fail(peg$c272); }
+      }
+      if (s2 !== peg$FAILED) {
+        s3 = [];
+        if (peg$c130.test(input.charAt(peg$currPos))) {
+          s4 = input.charAt(peg$currPos);
+          peg$currPos++;
+        } else {
+          s4 = peg$FAILED;
+          if (peg$silentFails === 0) { peg$fail(peg$c131); }
+        }
+        while (s4 !== peg$FAILED) {
+          s3.push(s4);
+          if (peg$c130.test(input.charAt(peg$currPos))) {
+            s4 = input.charAt(peg$currPos);
+            peg$currPos++;
+          } else {
+            s4 = peg$FAILED;
+            if (peg$silentFails === 0) { peg$fail(peg$c131); }
+          }
+        }
+        if (s3 !== peg$FAILED) {
+          s2 = [s2, s3];
+          s1 = s2;
+        } else {
+          peg$currPos = s1;
+          s1 = peg$FAILED;
+        }
+      } else {
+        peg$currPos = s1;
+        s1 = peg$FAILED;
+      }
+      if (s1 !== peg$FAILED) {
+        s0 = input.substring(s0, peg$currPos);
+      } else {
+        s0 = s1;
+      }
+      peg$silentFails--;
+      if (s0 === peg$FAILED) {
+        s1 = peg$FAILED;
+        if (peg$silentFails === 0) { peg$fail(peg$c270); }
+      }
+
+      return s0;
+    }
+
+    function peg$parseAttrs() {
+      var s0, s1, s2, s3, s4;
+
+      s0 = peg$currPos;
+      s1 = [];
+      s2 = peg$currPos;
+      s3 = [];
+      s4 = peg$parsews();
+      if (s4 !== peg$FAILED) {
+        while (s4 !== peg$FAILED) {
+          s3.push(s4);
+          s4 = peg$parsews();
+        }
+      } else {
+        s3 = peg$FAILED;
+      }
+      if (s3 !== peg$FAILED) {
+        s4 = peg$parseAttr();
+        if (s4 !== peg$FAILED) {
+          peg$savedPos = s2;
+          s3 = peg$c273(s4);
+          s2 = s3;
+        } else {
+          peg$currPos = s2;
+          s2 = peg$FAILED;
+        }
+      } else {
+        peg$currPos = s2;
+        s2 = peg$FAILED;
+      }
+      while (s2 !== peg$FAILED) {
+        s1.push(s2);
+        s2 = peg$currPos;
+        s3 = [];
+        s4 = peg$parsews();
+        if (s4 !== peg$FAILED) {
+          while (s4 !== peg$FAILED) {
+            s3.push(s4);
+            s4 = peg$parsews();
+          }
+        } else {
+          s3 = peg$FAILED;
+        }
+        if (s3 !== peg$FAILED) {
+          s4 = peg$parseAttr();
+          if (s4 !== peg$FAILED) {
+            peg$savedPos = s2;
+            s3 = peg$c273(s4);
+            s2 = s3;
+          } else {
+            peg$currPos = s2;
+            s2 = peg$FAILED;
+          }
+        } else {
+          peg$currPos = s2;
+          s2 = peg$FAILED;
+        }
+      }
+      if (s1 !== peg$FAILED) {
+        peg$savedPos = s0;
+        s1 = peg$c274(s1);
+      }
+      s0 = s1;
+
+      return s0;
+    }
+
+    function peg$parseAttr() {
+      var s0, s1, s2, s3, s4, s5, s6;
+
+      peg$silentFails++;
+      s0 = peg$currPos;
+      s1 = peg$parseAttrName();
+      if (s1 !== peg$FAILED) {
+        s2 = peg$currPos;
+        s3 = [];
+        s4 = peg$parsews();
+        while (s4 !== peg$FAILED) {
+          s3.push(s4);
+          s4 = peg$parsews();
+        }
+        if (s3 !== peg$FAILED) {
+          if (input.charCodeAt(peg$currPos) === 61) {
+            s4 = peg$c15;
+            peg$currPos++;
+          } else {
+            s4 = peg$FAILED;
+            if (peg$silentFails === 0) { peg$fail(peg$c16); }
+          }
+          if (s4 !== peg$FAILED) {
+            s5 = [];
+            s6 = peg$parsews();
+            while (s6 !== peg$FAILED) {
+              s5.push(s6);
+              s6 = peg$parsews();
             }
-            peg$silentFails--;
-            if (s3 === peg$FAILED) {
-              s2 = void 0;
+            if (s5 !== peg$FAILED) {
+              s6 = peg$parseAttrValue();
+              if (s6 !== peg$FAILED) {
+                peg$savedPos = s2;
+                s3 = peg$c276(s1, s6);
+                s2 = s3;
+              } else {
+                peg$currPos = s2;
+                s2 = peg$FAILED;
+              }
             } else {
               peg$currPos = s2;
               s2 = peg$FAILED;
             }
-            if (s2 !== peg$FAILED) {
-              s1 = [s1, s2];
-              s0 = s1;
-            } else {
-              peg$currPos = s0;
-              s0 = peg$FAILED;
-            }
           } else {
-            peg$currPos = s0;
-            s0 = peg$FAILED;
+            peg$currPos = s2;
+            s2 = peg$FAILED;
           }
+        } else {
+          peg$currPos = s2;
+          s2 = peg$FAILED;
+        }
+        if (s2 === peg$FAILED) {
+          s2 = null;
+        }
+        if (s2 !== peg$FAILED) {
+          peg$savedPos = s0;
+          s1 = peg$c277(s1, s2);
+          s0 = s1;
+        } else {
+          peg$currPos = s0;
+          s0 = peg$FAILED;
         }
+      } else {
+        peg$currPos = s0;
+        s0 = peg$FAILED;
+      }
+      peg$silentFails--;
+      if (s0 === peg$FAILED) {
+        s1 = peg$FAILED;
+        if (peg$silentFails === 0) { peg$fail(peg$c275); }
       }
 
       return s0;
     }
 
-    function peg$parseVarName() {
+    function peg$parseAttrName() {
       var s0, s1, s2, s3, s4;
 
       peg$silentFails++;
       s0 = peg$currPos;
       s1 = peg$currPos;
-      if (peg$c136.test(input.charAt(peg$currPos))) {
+      if (peg$c128.test(input.charAt(peg$currPos))) {
         s2 = input.charAt(peg$currPos);
         peg$currPos++;
       } else {
         s2 = peg$FAILED;
-        if (peg$silentFails === 0) { peg$fail(peg$c137); }
+        if (peg$silentFails === 0) { peg$fail(peg$c129); }
       }
       if (s2 !== peg$FAILED) {
         s3 = [];
-        if (peg$c138.test(input.charAt(peg$currPos))) {
+        if (peg$c279.test(input.charAt(peg$currPos))) {
           s4 = input.charAt(peg$currPos);
           peg$currPos++;
         } else {
           s4 = peg$FAILED;
-          if (peg$silentFails === 0) { peg$fail(peg$c139); }
+          if (peg$silentFails === 0) { peg$fail(peg$c280); }
         }
         while (s4 !== peg$FAILED) {
           s3.push(s4);
-          if (peg$c138.test(input.charAt(peg$currPos))) {
+          if (peg$c279.test(input.charAt(peg$currPos))) {
             s4 = input.charAt(peg$currPos);
             peg$currPos++;
           } else {
             s4 = peg$FAILED;
-            if (peg$silentFails === 0) { peg$fail(peg$c139); }
+            if (peg$silentFails === 0) { peg$fail(peg$c280); }
           }
         }
         if (s3 !== peg$FAILED) {
@@ -2709,8 +6116,99 @@ module.exports = (function() {
       peg$silentFails--;
       if (s0 === peg$FAILED) {
         s1 = peg$FAILED;
-        if (peg$silentFails === 0) { peg$fail(peg$c135); }
+        if (peg$silentFails === 0) { peg$fail(peg$c278); }
+      }
+
+      return s0;
+    }
+
+    function peg$parseQuotedVarName() {
+      var s0, s1, s2, s3;
+
+      s0 = peg$currPos;
+      if (input.charCodeAt(peg$currPos) === 39) {
+        s1 = peg$c281;
+        peg$currPos++;
+      } else {
+        s1 = peg$FAILED;
+        if (peg$silentFails === 0) { peg$fail(peg$c282); }
+      }
+      if (s1 !== peg$FAILED) {
+        s2 = peg$parseVarName();
+        if (s2 !== peg$FAILED) {
+          if (input.charCodeAt(peg$currPos) === 39) {
+            s3 = peg$c281;
+            peg$currPos++;
+          } else {
+            s3 = peg$FAILED;
+            if (peg$silentFails === 0) { peg$fail(peg$c282); }
+          }
+          if (s3 !== peg$FAILED) {
+            peg$savedPos = s0;
+            s1 = peg$c56(s2);
+            s0 = s1;
+          } else {
+            peg$currPos = s0;
+            s0 = peg$FAILED;
+          }
+        } else {
+          peg$currPos = s0;
+          s0 = peg$FAILED;
+        }
+      } else {
+        peg$currPos = s0;
+        s0 = peg$FAILED;
+      }
+      if (s0 === peg$FAILED) {
+        s0 = peg$currPos;
+        if (input.charCodeAt(peg$currPos) === 34) {
+          s1 = peg$c283;
+          peg$currPos++;
+        } else {
+          s1 = peg$FAILED;
+          if (peg$silentFails === 0) { peg$fail(peg$c284); }
+        }
+        if (s1 !== peg$FAILED) {
+          s2 = peg$parseVarName();
+          if (s2 !== peg$FAILED) {
+            if (input.charCodeAt(peg$currPos) === 34) {
+              s3 = peg$c283;
+              peg$currPos++;
+            } else {
+              s3 = peg$FAILED;
+              if (peg$silentFails === 0) { peg$fail(peg$c284); }
+            }
+            if (s3 !== peg$FAILED) {
+              peg$savedPos = s0;
+              s1 = peg$c56(s2);
+              s0 = s1;
+            } else {
+              peg$currPos = s0;
+              s0 = peg$FAILED;
+            }
+          } else {
+            peg$currPos = s0;
+            s0 = peg$FAILED;
+          }
+        } else {
+          peg$currPos = s0;
+          s0 = peg$FAILED;
+        }
+      }
+
+      return s0;
+    }
+
+    function peg$parseExprValue() {
+      var s0, s1;
+
+      s0 = peg$currPos;
+      s1 = peg$parseAttrValue();
+      if (s1 !== peg$FAILED) {
+        peg$savedPos = s0;
+        s1 = peg$c285(s1);
       }
+      s0 = s1;
 
       return s0;
     }
@@ -2726,7 +6224,7 @@ module.exports = (function() {
       peg$silentFails--;
       if (s0 === peg$FAILED) {
         s1 = peg$FAILED;
-        if (peg$silentFails === 0) { peg$fail(peg$c140); }
+        if (peg$silentFails === 0) { peg$fail(peg$c286); }
       }
 
       return s0;
@@ -2738,30 +6236,30 @@ module.exports = (function() {
       peg$silentFails++;
       s0 = peg$currPos;
       if (input.charCodeAt(peg$currPos) === 39) {
-        s1 = peg$c142;
+        s1 = peg$c281;
         peg$currPos++;
       } else {
         s1 = peg$FAILED;
-        if (peg$silentFails === 0) { peg$fail(peg$c143); }
+        if (peg$silentFails === 0) { peg$fail(peg$c282); }
       }
       if (s1 !== peg$FAILED) {
         s2 = peg$currPos;
         s3 = [];
-        if (peg$c144.test(input.charAt(peg$currPos))) {
+        if (peg$c288.test(input.charAt(peg$currPos))) {
           s4 = input.charAt(peg$currPos);
           peg$currPos++;
         } else {
           s4 = peg$FAILED;
-          if (peg$silentFails === 0) { peg$fail(peg$c145); }
+          if (peg$silentFails === 0) { peg$fail(peg$c289); }
         }
         while (s4 !== peg$FAILED) {
           s3.push(s4);
-          if (peg$c144.test(input.charAt(peg$currPos))) {
+          if (peg$c288.test(input.charAt(peg$currPos))) {
             s4 = input.charAt(peg$currPos);
             peg$currPos++;
           } else {
             s4 = peg$FAILED;
-            if (peg$silentFails === 0) { peg$fail(peg$c145); }
+            if (peg$silentFails === 0) { peg$fail(peg$c289); }
           }
         }
         if (s3 !== peg$FAILED) {
@@ -2771,15 +6269,15 @@ module.exports = (function() {
         }
         if (s2 !== peg$FAILED) {
           if (input.charCodeAt(peg$currPos) === 39) {
-            s3 = peg$c142;
+            s3 = peg$c281;
             peg$currPos++;
           } else {
             s3 = peg$FAILED;
-            if (peg$silentFails === 0) { peg$fail(peg$c143); }
+            if (peg$silentFails === 0) { peg$fail(peg$c282); }
           }
           if (s3 !== peg$FAILED) {
             peg$savedPos = s0;
-            s1 = peg$c146(s2);
+            s1 = peg$c290(s2);
             s0 = s1;
           } else {
             peg$currPos = s0;
@@ -2796,7 +6294,7 @@ module.exports = (function() {
       peg$silentFails--;
       if (s0 === peg$FAILED) {
         s1 = peg$FAILED;
-        if (peg$silentFails === 0) { peg$fail(peg$c141); }
+        if (peg$silentFails === 0) { peg$fail(peg$c287); }
       }
 
       return s0;
@@ -2808,30 +6306,30 @@ module.exports = (function() {
       peg$silentFails++;
       s0 = peg$currPos;
       if (input.charCodeAt(peg$currPos) === 34) {
-        s1 = peg$c147;
+        s1 = peg$c283;
         peg$currPos++;
       } else {
         s1 = peg$FAILED;
-        if (peg$silentFails === 0) { peg$fail(peg$c148); }
+        if (peg$silentFails === 0) { peg$fail(peg$c284); }
       }
       if (s1 !== peg$FAILED) {
         s2 = peg$currPos;
         s3 = [];
-        if (peg$c149.test(input.charAt(peg$currPos))) {
+        if (peg$c291.test(input.charAt(peg$currPos))) {
           s4 = input.charAt(peg$currPos);
           peg$currPos++;
         } else {
           s4 = peg$FAILED;
-          if (peg$silentFails === 0) { peg$fail(peg$c150); }
+          if (peg$silentFails === 0) { peg$fail(peg$c292); }
         }
         while (s4 !== peg$FAILED) {
           s3.push(s4);
-          if (peg$c149.test(input.charAt(peg$currPos))) {
+          if (peg$c291.test(input.charAt(peg$currPos))) {
             s4 = input.charAt(peg$currPos);
             peg$currPos++;
           } else {
             s4 = peg$FAILED;
-            if (peg$silentFails === 0) { peg$fail(peg$c150); }
+            if (peg$silentFails === 0) { peg$fail(peg$c292); }
           }
         }
         if (s3 !== peg$FAILED) {
@@ -2841,15 +6339,66 @@ module.exports = (function() {
         }
         if (s2 !== peg$FAILED) {
           if (input.charCodeAt(peg$currPos) === 34) {
-            s3 = peg$c147;
+            s3 = peg$c283;
             peg$currPos++;
           } else {
             s3 = peg$FAILED;
-            if (peg$silentFails === 0) { peg$fail(peg$c148); }
+            if (peg$silentFails === 0) { peg$fail(peg$c284); }
           }
           if (s3 !== peg$FAILED) {
             peg$savedPos = s0;
-            s1 = peg$c146(s2);
+            s1 = peg$c290(s2);
+            s0 = s1;
+          } else {
+            peg$currPos = s0;
+            s0 = peg$FAILED;
+          }
+        } else {
+          peg$currPos = s0;
+          s0 = peg$FAILED;
+        }
+      } else {
+        peg$currPos = s0;
+        s0 = peg$FAILED;
+      }
+      peg$silentFails--;
+      if (s0 === peg$FAILED) {
+        s1 = peg$FAILED;
+        if (peg$silentFails === 0) { peg$fail(peg$c287); }
+      }
+
+      return s0;
+    }
+
+    function peg$parseTemplateLiteral() {
+      var s0, s1, s2, s3;
+
+      peg$silentFails++;
+      s0 = peg$currPos;
+      if (input.charCodeAt(peg$currPos) === 96) {
+        s1 = peg$c294;
+        peg$currPos++;
+      } else {
+        s1 = peg$FAILED;
+        if (peg$silentFails === 0) { peg$fail(peg$c295); }
+      }
+      if (s1 !== peg$FAILED) {
+        s2 = [];
+        s3 = peg$parseTemplateCharacter();
+        while (s3 !== peg$FAILED) {
+          s2.push(s3);
+          s3 = peg$parseTemplateCharacter();
+        }
+        if (s2 !== peg$FAILED) {
+          if (input.charCodeAt(peg$currPos) === 96) {
+            s3 = peg$c294;
+            peg$currPos++;
+          } else {
+            s3 = peg$FAILED;
+            if (peg$silentFails === 0) { peg$fail(peg$c295); }
+          }
+          if (s3 !== peg$FAILED) {
+            s1 = [s1, s2, s3];
             s0 = s1;
           } else {
             peg$currPos = s0;
@@ -2866,7 +6415,107 @@ module.exports = (function() {
       peg$silentFails--;
       if (s0 === peg$FAILED) {
         s1 = peg$FAILED;
-        if (peg$silentFails === 0) { peg$fail(peg$c141); }
+        if (peg$silentFails === 0) { peg$fail(peg$c293); }
+      }
+
+      return s0;
+    }
+
+    function peg$parseTemplateCharacter() {
+      var s0, s1, s2, s3;
+
+      s0 = peg$currPos;
+      if (input.substr(peg$currPos, 2) === peg$c296) {
+        s1 = peg$c296;
+        peg$currPos += 2;
+      } else {
+        s1 = peg$FAILED;
+        if (peg$silentFails === 0) { peg$fail(peg$c297); }
+      }
+      if (s1 !== peg$FAILED) {
+        s2 = [];
+        s3 = peg$parseNestedToken();
+        while (s3 !== peg$FAILED) {
+          s2.push(s3);
+          s3 = peg$parseNestedToken();
+        }
+        if (s2 !== peg$FAILED) {
+          if (input.charCodeAt(peg$currPos) === 125) {
+            s3 = peg$c102;
+            peg$currPos++;
+          } else {
+            s3 = peg$FAILED;
+            if (peg$silentFails === 0) { peg$fail(peg$c103); }
+          }
+          if (s3 !== peg$FAILED) {
+            s1 = [s1, s2, s3];
+            s0 = s1;
+          } else {
+            peg$currPos = s0;
+            s0 = peg$FAILED;
+          }
+        } else {
+          peg$currPos = s0;
+          s0 = peg$FAILED;
+        }
+      } else {
+        peg$currPos = s0;
+        s0 = peg$FAILED;
+      }
+      if (s0 === peg$FAILED) {
+        s0 = peg$currPos;
+        if (input.charCodeAt(peg$currPos) === 92) {
+          s1 = peg$c143;
+          peg$currPos++;
+        } else {
+          s1 = peg$FAILED;
+          if (peg$silentFails === 0) { peg$fail(peg$c144); }
+        }
+        if (s1 !== peg$FAILED) {
+          s2 = peg$parseSourceCharacter();
+          if (s2 !== peg$FAILED) {
+            s1 = [s1, s2];
+            s0 = s1;
+          } else {
+            peg$currPos = s0;
+            s0 = peg$FAILED;
+          }
+        } else {
+          peg$currPos = s0;
+          s0 = peg$FAILED;
+        }
+        if (s0 === peg$FAILED) {
+          s0 = peg$currPos;
+          s1 = peg$currPos;
+          peg$silentFails++;
+          if (input.charCodeAt(peg$currPos) === 96) {
+            s2 = peg$c294;
+            peg$currPos++;
+          } else {
+            s2 = peg$FAILED;
+            if (peg$silentFails === 0) { peg$fail(peg$c295); }
+          }
+          peg$silentFails--;
+          if (s2 === peg$FAILED) {
+            s1 = void 0;
+          } else {
+            peg$currPos = s1;
+            s1 = peg$FAILED;
+          }
+          if (s1 !== peg$FAILED) {
+            s2 = peg$parseSourceCharacter();
+            if (s2 !== peg$FAILED) {
+              s1 = [s1, s2];
+              s0 = s1;
+            } else {
+              peg$currPos = s0;
+              s0 = peg$FAILED;
+            }
+          } else {
+            peg$currPos = s0;
+            s0 = peg$FAILED;
+          }
+        }
       }
 
       return s0;
@@ -2878,11 +6527,11 @@ module.exports = (function() {
       peg$silentFails++;
       s0 = peg$currPos;
       if (input.charCodeAt(peg$currPos) === 34) {
-        s1 = peg$c147;
+        s1 = peg$c283;
         peg$currPos++;
       } else {
         s1 = peg$FAILED;
-        if (peg$silentFails === 0) { peg$fail(peg$c148); }
+        if (peg$silentFails === 0) { peg$fail(peg$c284); }
       }
       if (s1 !== peg$FAILED) {
         s2 = [];
@@ -2893,11 +6542,11 @@ module.exports = (function() {
         }
         if (s2 !== peg$FAILED) {
           if (input.charCodeAt(peg$currPos) === 34) {
-            s3 = peg$c147;
+            s3 = peg$c283;
             peg$currPos++;
           } else {
             s3 = peg$FAILED;
-            if (peg$silentFails === 0) { peg$fail(peg$c148); }
+            if (peg$silentFails === 0) { peg$fail(peg$c284); }
           }
           if (s3 !== peg$FAILED) {
             s1 = [s1, s2, s3];
@@ -2917,11 +6566,11 @@ module.exports = (function() {
       if (s0 === peg$FAILED) {
         s0 = peg$currPos;
         if (input.charCodeAt(peg$currPos) === 39) {
-          s1 = peg$c142;
+          s1 = peg$c281;
           peg$currPos++;
         } else {
           s1 = peg$FAILED;
-          if (peg$silentFails === 0) { peg$fail(peg$c143); }
+          if (peg$silentFails === 0) { peg$fail(peg$c282); }
         }
         if (s1 !== peg$FAILED) {
           s2 = [];
@@ -2932,11 +6581,11 @@ module.exports = (function() {
           }
           if (s2 !== peg$FAILED) {
             if (input.charCodeAt(peg$currPos) === 39) {
-              s3 = peg$c142;
+              s3 = peg$c281;
               peg$currPos++;
             } else {
               s3 = peg$FAILED;
-              if (peg$silentFails === 0) { peg$fail(peg$c143); }
+              if (peg$silentFails === 0) { peg$fail(peg$c282); }
             }
             if (s3 !== peg$FAILED) {
               s1 = [s1, s2, s3];
@@ -2957,7 +6606,7 @@ module.exports = (function() {
       peg$silentFails--;
       if (s0 === peg$FAILED) {
         s1 = peg$FAILED;
-        if (peg$silentFails === 0) { peg$fail(peg$c141); }
+        if (peg$silentFails === 0) { peg$fail(peg$c287); }
       }
 
       return s0;
@@ -2970,11 +6619,11 @@ module.exports = (function() {
       s1 = peg$currPos;
       peg$silentFails++;
       if (input.charCodeAt(peg$currPos) === 34) {
-        s2 = peg$c147;
+        s2 = peg$c283;
         peg$currPos++;
       } else {
         s2 = peg$FAILED;
-        if (peg$silentFails === 0) { peg$fail(peg$c148); }
+        if (peg$silentFails === 0) { peg$fail(peg$c284); }
       }
       peg$silentFails--;
       if (s2 === peg$FAILED) {
@@ -2987,11 +6636,11 @@ module.exports = (function() {
         s2 = peg$currPos;
         peg$silentFails++;
         if (input.charCodeAt(peg$currPos) === 92) {
-          s3 = peg$c151;
+          s3 = peg$c143;
           peg$currPos++;
         } else {
           s3 = peg$FAILED;
-          if (peg$silentFails === 0) { peg$fail(peg$c152); }
+          if (peg$silentFails === 0) { peg$fail(peg$c144); }
         }
         peg$silentFails--;
         if (s3 === peg$FAILED) {
@@ -3031,11 +6680,11 @@ module.exports = (function() {
       s1 = peg$currPos;
       peg$silentFails++;
       if (input.charCodeAt(peg$currPos) === 39) {
-        s2 = peg$c142;
+        s2 = peg$c281;
         peg$currPos++;
       } else {
         s2 = peg$FAILED;
-        if (peg$silentFails === 0) { peg$fail(peg$c143); }
+        if (peg$silentFails === 0) { peg$fail(peg$c282); }
       }
       peg$silentFails--;
       if (s2 === peg$FAILED) {
@@ -3048,11 +6697,11 @@ module.exports = (function() {
         s2 = peg$currPos;
         peg$silentFails++;
         if (input.charCodeAt(peg$currPos) === 92) {
-          s3 = peg$c151;
+          s3 = peg$c143;
           peg$currPos++;
         } else {
           s3 = peg$FAILED;
-          if (peg$silentFails === 0) { peg$fail(peg$c152); }
+          if (peg$silentFails === 0) { peg$fail(peg$c144); }
         }
         peg$silentFails--;
         if (s3 === peg$FAILED) {
@@ -3088,12 +6737,12 @@ module.exports = (function() {
     function peg$parseSourceCharacter() {
       var s0;
 
-      if (peg$c153.test(input.charAt(peg$currPos))) {
+      if (peg$c298.test(input.charAt(peg$currPos))) {
         s0 = input.charAt(peg$currPos);
         peg$currPos++;
       } else {
         s0 = peg$FAILED;
-        if (peg$silentFails === 0) { peg$fail(peg$c154); }
+        if (peg$silentFails === 0) { peg$fail(peg$c299); }
       }
 
       return s0;
@@ -3104,11 +6753,11 @@ module.exports = (function() {
 
       s0 = peg$currPos;
       if (input.charCodeAt(peg$currPos) === 92) {
-        s1 = peg$c151;
+        s1 = peg$c143;
         peg$currPos++;
       } else {
         s1 = peg$FAILED;
-        if (peg$silentFails === 0) { peg$fail(peg$c152); }
+        if (peg$silentFails === 0) { peg$fail(peg$c144); }
       }
       if (s1 !== peg$FAILED) {
         s2 = peg$parseSourceCharacter();
@@ -3131,22 +6780,70 @@ module.exports = (function() {
       var s0, s1;
 
       peg$silentFails++;
-      if (peg$c156.test(input.charAt(peg$currPos))) {
+      if (peg$c301.test(input.charAt(peg$currPos))) {
         s0 = input.charAt(peg$currPos);
         peg$currPos++;
       } else {
         s0 = peg$FAILED;
-        if (peg$silentFails === 0) { peg$fail(peg$c157); }
+        if (peg$silentFails === 0) { peg$fail(peg$c302); }
       }
       peg$silentFails--;
       if (s0 === peg$FAILED) {
         s1 = peg$FAILED;
-        if (peg$silentFails === 0) { peg$fail(peg$c155); }
+        if (peg$silentFails === 0) { peg$fail(peg$c300); }
       }
 
       return s0;
     }
 
+
+      // Depth of statements being parsed, their inner tags are not plain text only inside them
+      var depth = {
+        'switch': 0,
+        each: 0
+      };
+
+      // Keywords after which `/` starts a regular expression rather than division
+      var REGEX_KEYWORDS = ['typeof', 'instanceof', 'in', 'void', 'delete', 'new', 'return'];
+
+      // `/` after closing brackets and quotes is division (the brace is escaped for PEG.js)
+      var OPERAND_END = /[)\]\u007d"'`]/;
+
+      // Tells if `/` at current position starts a regular expression, judging by the code before it
+      function regexAllowed() {
+        var end = location().start.offset;
+        while (end > 0 && /\s/.test(input.charAt(end - 1))) {
+          end--;
+        }
+        var start = end;
+        while (start > 0 && /[\w$]/.test(input.charAt(start - 1))) {
+          start--;
+        }
+        if (start < end) {
+          return REGEX_KEYWORDS.indexOf(input.slice(start, end)) != -1;
+        }
+        return !OPERAND_END.test(input.charAt(end - 1));
+      }
+
+      // Expressions in attributes take no filters, and `|` in them would be bitwise OR unnoticed
+      function checkPipes(expr) {
+        try {
+          peg$parse(expr, { startRule: 'TopLevelPipe' });
+        } catch (e) {
+          return;
+        }
+        error('Filters are not supported in attributes (wrap bitwise OR in parentheses)');
+      }
+
+      function loc() {
+        var start = location().start;
+        return {
+          line: start.line,
+          column: start.column
+        }
+      }
+
+
     peg$result = peg$startRuleFunction();
 
     if (peg$result !== peg$FAILED && peg$currPos === input.length) {
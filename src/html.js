@@ -0,0 +1,494 @@
+'use strict';
+
+/**
+ * Tracks HTML context of the output while template text is processed,
+ * so that each expression could be escaped according to where it appears.
+ *
+ * States are immutable plain objects, so that branches of flow control
+ * tags could start from the same state.
+ *
+ * @private
+ */
+
+// Elements, the contents of which is not parsed as HTML
+const RAW_TEXT = ['script', 'style', 'textarea', 'title'];
+
+// Attributes with URL values
+const URL_ATTRS = ['href', 'src', 'action', 'formaction', 'cite', 'poster', 'background',
+    'longdesc', 'usemap', 'codebase', 'data', 'manifest', 'icon', 'srcset', 'xlink:href'];
+
+// Contexts between tag name and attribute value, which are treated alike
+const TAG = ['tagName', 'tag', 'attrName', 'afterAttrName'];
+
+// Keywords after which `/` starts a regular expression, rather than division
+const REGEX_KEYWORDS = ['return', 'typeof', 'instanceof', 'in', 'of', 'new', 'delete', 'void',
+    'throw', 'case', 'do', 'else', 'yield', 'await'];
+
+// JavaScript states, in which expressions cannot be written
+const JS_ERRORS = {
+    '//': 'JavaScript comments',
+    '/*': 'JavaScript comments',
+    '/': 'JavaScript regular expressions',
+    '/[': 'JavaScript regular expressions'
+};
+
+/**
+ * Initial state: the text of HTML document.
+ */
+exports.initial = function() {
+    return state({});
+};
+
+/**
+ * Returns the state after `text` is written in `current` state.
+ */
+exports.advance = function(current, text) {
+    const s = Object.assign({}, current);
+    for (let i = 0; i < text.length; i++) {
+        const c = text[i];
+        switch (s.context) {
+            case 'text':
+                if (text.substr(i, 4) === '<!--') {
+                    s.context = 'comment';
+                    i += 3;
+                } else if (c === '<' && /[a-zA-Z]/.test(text[i + 1] || '')) {
+                    startTag(s, false);
+                } else if (text.substr(i, 2) === '</' && /[a-zA-Z]/.test(text[i + 2] || '')) {
+                    startTag(s, true);
+                    i++;
+                }
+                break;
+            case 'comment':
+                if (text.substr(i, 3) === '-->') {
+                    s.context = 'text';
+                    i += 2;
+                }
+                break;
+            case 'rawText':
+                if (text.substr(i, s.tag.length + 2).toLowerCase() === '</' + s.tag &&
+                        /^[\s/>]?$/.test(text[i + s.tag.length + 2] || '')) {
+                    checkScriptEnd(s);
+                    const tag = s.tag;
+                    startTag(s, true);
+                    s.context = 'tag';
+                    s.tag = tag;
+                    i += tag.length + 1;
+                } else if (s.tag === 'script') {
+                    i = scanScript(s, text, i);
+                }
+                break;
+            case 'tagName':
+                if (/[\w:-]/.test(c)) {
+                    s.tag += c.toLowerCase();
+                } else {
+                    i = inTag(s, c, i);
+                }
+                break;
+            case 'tag':
+                if (!/[\s/>]/.test(c)) {
+                    s.context = 'attrName';
+                    s.attr = c.toLowerCase();
+                } else {
+                    i = inTag(s, c, i);
+                }
+                break;
+            case 'attrName':
+                if (c === '=') {
+                    s.context = 'beforeValue';
+                } else if (/\s/.test(c)) {
+                    s.context = 'afterAttrName';
+                } else if (/[/>]/.test(c)) {
+                    i = inTag(s, c, i);
+                } else {
+                    s.attr += c.toLowerCase();
+                }
+                break;
+            case 'afterAttrName':
+                if (c === '=') {
+                    s.context = 'beforeValue';
+                } else if (!/[\s/>]/.test(c)) {
+                    s.context = 'attrName';
+                    s.attr = c.toLowerCase();
+                } else {
+                    i = inTag(s, c, i);
+                }
+                break;
+            case 'beforeValue':
+                if (c === '"' || c === '\'') {
+                    startValue(s, c);
+                } else if (c === '>') {
+                    i = inTag(s, c, i);
+                } else if (!/\s/.test(c)) {
+                    startValue(s, '');
+                    i = inValue(s, text, i);
+                }
+                break;
+            case 'value':
+                i = inValue(s, text, i);
+                break;
+        }
+    }
+    return state(s);
+};
+
+/**
+ * Returns the state after an expression is written in `current` state
+ * (its output is not known at compile time, but it is escaped,
+ * so it cannot change the context).
+ */
+exports.afterExpr = function(current) {
+    switch (current.context) {
+        case 'beforeValue':
+            return state(Object.assign({}, current, {
+                context: 'value',
+                quote: '',
+                url: 'path',
+                js: null
+            }));
+        case 'value':
+            if (attrKind(current.attr) === 'script') {
+                return afterScriptExpr(current);
+            }
+            return current.url === 'start' ?
+                state(Object.assign({}, current, { url: 'path' })) :
+                current;
+        case 'rawText':
+            return current.tag === 'script' ? afterScriptExpr(current) : current;
+        default:
+            return current;
+    }
+};
+
+/**
+ * Returns the state at the start of loop body, which is written in `current` state.
+ * Body may be repeated, so in JavaScript it is not known what precedes it.
+ */
+exports.loop = function(current) {
+    return isScript(current) && current.js == null ?
+        state(Object.assign({}, current, { slash: 'ambiguous' })) :
+        current;
+};
+
+/**
+ * Returns the state after one of alternative branches (e.g. of `<if>`),
+ * which ended in `states`, or `null` if they are incompatible.
+ */
+exports.join = function(states) {
+    const first = states[0];
+    if (states.every(s => exports.same(s, first))) {
+        return first;
+    }
+    // Attributes may be written conditionally
+    if (states.every(s => TAG.indexOf(s.context) !== -1 && s.tag === first.tag && !s.closing)) {
+        return state({ context: 'tag', tag: first.tag });
+    }
+    // JavaScript code may end with different tokens, or be lost track of in some branches
+    const code = s => Object.assign({}, s, { js: s.js === '?' ? null : s.js, slash: null });
+    if (isScript(first) && states.every(s => exports.same(code(s), code(first)))) {
+        return state(Object.assign({}, first, {
+            js: states.some(s => s.js === '?') ? '?' : first.js,
+            slash: states.every(s => s.slash === first.slash) ? first.slash : 'ambiguous'
+        }));
+    }
+    // Parts of URL may be written conditionally: escape the rest most strictly
+    const base = s => Object.assign({}, s, { url: null });
+    if (first.context === 'value' && states.every(s => exports.same(base(s), base(first)))) {
+        const url = ['start', 'query', 'path'].filter(url => states.some(s => s.url === url))[0];
+        return state(Object.assign({}, first, { url }));
+    }
+    return null;
+};
+
+exports.same = function(a, b) {
+    return JSON.stringify(a) === JSON.stringify(b);
+};
+
+/**
+ * Describes the context of `s` in a human-readable way (for error messages).
+ */
+exports.describe = function(s) {
+    switch (s.context) {
+        case 'rawText':
+            return '<' + s.tag + '> element';
+        case 'beforeValue':
+        case 'value':
+            return 'value of ' + s.attr + ' attribute';
+        case 'text':
+            return 'text';
+        case 'comment':
+            return 'comment';
+        default:
+            return '<' + s.tag + '> tag';
+    }
+};
+
+/**
+ * Returns the names of runtime functions which should be applied
+ * (in order) to the value of expression written in state `s`.
+ *
+ * @param {*} s
+ * @param {*} options
+ * @param {boolean} options.allowUnsafeUrls - do not filter URL schemes
+ */
+exports.escapers = function(s, options) {
+    switch (s.context) {
+        case 'text':
+        case 'comment':
+            return ['escapeHtml'];
+        case 'rawText':
+            if (s.tag === 'script') {
+                return [scriptEscaper(s)];
+            }
+            return [s.tag === 'style' ? 'filterCss' : 'escapeHtml'];
+        case 'beforeValue':
+            return valueEscapers(Object.assign({}, s, { quote: '', url: 'start' }), options);
+        case 'value':
+            return valueEscapers(s, options);
+        default:
+            // Attribute names or tag name
+            return ['filterName'];
+    }
+};
+
+function valueEscapers(s, options) {
+    const escapers = [];
+    switch (attrKind(s.attr)) {
+        case 'url':
+            if (s.url === 'query') {
+                escapers.push('encodeURIComponent');
+            } else if (s.url === 'start' && s.attr === 'srcset') {
+                // Value may be the whole list of image candidates
+                escapers.push(options.allowUnsafeUrls ? 'normalizeSrcset' : 'filterSrcset');
+            } else if (s.url === 'start' && !options.allowUnsafeUrls) {
+                escapers.push('filterUrl');
+            } else {
+                escapers.push('normalizeUrl');
+            }
+            break;
+        case 'script':
+            escapers.push(scriptEscaper(s));
+            break;
+        case 'style':
+            escapers.push('filterCss');
+            break;
+    }
+    escapers.push(s.quote ? 'escapeHtml' : 'escapeAttr');
+    return escapers;
+}
+
+/**
+ * Throws if the value of expression cannot be safely written in JavaScript state `s`.
+ */
+function scriptEscaper(s) {
+    if (s.js == null) {
+        return 'escapeScript';
+    }
+    if (s.js === '"' || s.js === '\'' || s.js === '`') {
+        return 'escapeScriptString';
+    }
+    if (JS_ERRORS[s.js]) {
+        throw new Error('Expressions are not allowed in ' + JS_ERRORS[s.js]);
+    }
+    throw new Error('Cannot tell where expression is written in JavaScript ' +
+        '(after ambiguous `/`, `${` or character reference), use a variable instead');
+}
+
+function isScript(s) {
+    return s.context === 'rawText' ? s.tag === 'script' :
+        s.context === 'value' && attrKind(s.attr) === 'script';
+}
+
+function afterScriptExpr(s) {
+    // Value of expression is an operand, so `/` after it is division
+    return s.js == null ? state(Object.assign({}, s, { slash: 'div' })) : s;
+}
+
+function attrKind(attr) {
+    if (URL_ATTRS.indexOf(attr) !== -1) {
+        return 'url';
+    }
+    if (/^on/.test(attr)) {
+        return 'script';
+    }
+    return attr === 'style' ? 'style' : 'normal';
+}
+
+/**
+ * Normalizes state, so that states could be compared.
+ */
+function state(s) {
+    return {
+        context: s.context || 'text',
+        tag: s.tag || null,
+        closing: !!s.closing,
+        attr: s.attr || null,
+        quote: s.quote == null ? null : s.quote,
+        url: s.url || null,
+        js: s.js || null,
+        slash: s.slash || null
+    };
+}
+
+function startTag(s, closing) {
+    s.context = 'tagName';
+    s.tag = '';
+    s.closing = closing;
+    s.attr = null;
+    s.quote = null;
+    s.url = null;
+    s.js = null;
+    s.slash = null;
+}
+
+function startValue(s, quote) {
+    s.context = 'value';
+    s.quote = quote;
+    s.url = 'start';
+    s.js = null;
+    s.slash = null;
+}
+
+/**
+ * Handles whitespace, `/` and `>` inside tag.
+ */
+function inTag(s, c, i) {
+    if (c === '>') {
+        s.context = !s.closing && RAW_TEXT.indexOf(s.tag) !== -1 ? 'rawText' : 'text';
+        if (s.context === 'text') {
+            s.tag = null;
+        }
+        s.closing = false;
+        s.attr = null;
+        s.quote = null;
+        s.url = null;
+        s.js = null;
+        s.slash = null;
+    } else {
+        s.context = 'tag';
+    }
+    return i;
+}
+
+function inValue(s, text, i) {
+    const c = text[i];
+    if (s.quote ? c === s.quote : /[\s>]/.test(c)) {
+        if (attrKind(s.attr) === 'script') {
+            checkScriptEnd(s);
+        }
+        s.quote = null;
+        s.url = null;
+        s.js = null;
+        s.slash = null;
+        s.context = 'tag';
+        return c === '>' ? inTag(s, c, i) : i;
+    }
+    if (attrKind(s.attr) === 'script') {
+        return scanScript(s, text, i);
+    }
+    if (s.attr === 'srcset' && (c === ',' || (s.url === 'start' && /\s/.test(c)))) {
+        // Next image candidate
+        s.url = 'start';
+    } else if (c === '?' || c === '#') {
+        s.url = 'query';
+    } else if (s.url === 'start') {
+        s.url = 'path';
+    }
+    return i;
+}
+
+/**
+ * Tracks JavaScript string literals, comments and regular expressions.
+ *
+ * `s.js` is the quote of string, `//` or `/*` in comments, `/` or `/[`
+ * in regular expressions, `?` when it is not known, or `null` in code.
+ * `s.slash` tells what `/` means in code: `null` (regular expression),
+ * `div` or `ambiguous`.
+ */
+function scanScript(s, text, i) {
+    const c = text[i];
+    switch (s.js) {
+        case null:
+            return scanCode(s, text, i);
+        case '//':
+            if (/[\n\r\u2028\u2029]/.test(c)) {
+                s.js = null;
+            }
+            return i;
+        case '/*':
+            if (text.substr(i, 2) === '*/') {
+                s.js = null;
+                return i + 1;
+            }
+            return i;
+        case '/':
+        case '/[':
+            if (c === '\\') {
+                return i + 1;
+            }
+            if (s.js === '/[') {
+                s.js = c === ']' ? '/' : s.js;
+            } else if (c === '[') {
+                s.js = '/[';
+            } else if (c === '/') {
+                s.js = null;
+                s.slash = 'div';
+            }
+            return i;
+        case '?':
+            return i;
+        default:
+            if (c === '\\') {
+                return i + 1;
+            }
+            if (s.js === '`' && text.substr(i, 2) === '${') {
+                // Substitutions may nest strings and braces, so they are not tracked
+                s.js = '?';
+            } else if (c === s.js) {
+                s.js = null;
+                s.slash = 'div';
+            }
+            return i;
+    }
+}
+
+function scanCode(s, text, i) {
+    const c = text[i];
+    if (s.context === 'value' && /^&(#?\w+);/.test(text.substr(i))) {
+        // Browsers decode character references (e.g. `&quot;`) before running the code
+        s.js = '?';
+    } else if (c === '"' || c === '\'' || c === '`') {
+        s.js = c;
+    } else if (c === '/') {
+        const next = text[i + 1];
+        if (next === '/' || next === '*') {
+            s.js = '/' + next;
+            return i + 1;
+        }
+        s.js = s.slash == null ? '/' : s.slash === 'div' ? null : '?';
+        s.slash = null;
+    } else if (/[\w$]/.test(c)) {
+        // Identifiers are accumulated within a piece of text only
+        s.word = s.word && /[\w$]/.test(text[i - 1] || '') ? s.word + c : c;
+        s.slash = REGEX_KEYWORDS.indexOf(s.word) !== -1 ? null : 'div';
+    } else if (!/\s/.test(c)) {
+        s.word = null;
+        s.slash = c === ']' ? 'div' : /[)}+-]/.test(c) ? 'ambiguous' : null;
+    }
+    return i;
+}
+
+/**
+ * Throws unless JavaScript code of `s` can end here.
+ */
+function checkScriptEnd(s) {
+    const where = s.context === 'rawText' ? '<script> element' : s.attr + ' attribute';
+    if (s.js === '"' || s.js === '\'' || s.js === '`') {
+        throw new Error('Unterminated JavaScript string in ' + where);
+    }
+    if (s.js === '/*') {
+        throw new Error('Unterminated JavaScript comment in ' + where);
+    }
+    if (s.js === '/' || s.js === '/[') {
+        throw new Error('Unterminated JavaScript regular expression in ' + where);
+    }
+}
@@ -1,3 +1,12 @@
 'use strict';
 
+const errors = require('./errors');
+
 module.exports = require('./compiler');
+
+module.exports.loaders = require('./loaders');
+module.exports.express = require('./express');
+
+module.exports.ZenmillSyntaxError = errors.ZenmillSyntaxError;
+module.exports.ZenmillCompileError = errors.ZenmillCompileError;
+module.exports.ZenmillNotFoundError = errors.ZenmillNotFoundError;
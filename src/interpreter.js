@@ -0,0 +1,593 @@
+'use strict';
+
+const ast = require('./ast');
+const html = require('./html');
+const grammar = require('./expression');
+const runtime = require('./runtime');
+
+const NODE_TYPES = {
+    'plain': processPlain,
+    'comment': processComment,
+    'def': processDef,
+    'block': processBlock,
+    'include': processInclude,
+    'component': processComponent,
+    'use': processUse,
+    'macro': processMacro,
+    'import': processImport,
+    'inline': processInline,
+    'expr': processExpr,
+    'var': processVar,
+    'if': processIf,
+    'switch': processSwitch,
+    'each': processEach,
+    'break': processLoopControl,
+    'continue': processLoopControl
+};
+
+const UNARY = {
+    '!': a => !a,
+    '-': a => -a,
+    '+': a => +a,
+    'typeof': a => typeof a
+};
+
+const BINARY = {
+    '===': (a, b) => a === b,
+    '!==': (a, b) => a !== b,
+    '==': (a, b) => looseEquals(a, b),
+    '!=': (a, b) => !looseEquals(a, b),
+    '<': (a, b) => a < b,
+    '<=': (a, b) => a <= b,
+    '>': (a, b) => a > b,
+    '>=': (a, b) => a >= b,
+    '+': (a, b) => a + b,
+    '-': (a, b) => a - b,
+    '*': (a, b) => a * b,
+    '/': (a, b) => a / b,
+    '%': (a, b) => a % b
+};
+
+/**
+ * Compares values the way `==` does (see Abstract Equality Comparison in the spec).
+ */
+function looseEquals(a, b) {
+    if (typeof a === typeof b) {
+        return a === b;
+    }
+    const nullish = value => value === null || value === undefined;
+    if (nullish(a) || nullish(b)) {
+        return nullish(a) && nullish(b);
+    }
+    if (typeof a === 'boolean') {
+        return looseEquals(Number(a), b);
+    }
+    if (typeof b === 'boolean') {
+        return looseEquals(a, Number(b));
+    }
+    if (isObject(a) || isObject(b)) {
+        // Objects of different types (i.e. functions and other objects) are never equal
+        return !(isObject(a) && isObject(b)) &&
+            looseEquals(isObject(a) ? toPrimitive(a) : a, isObject(b) ? toPrimitive(b) : b);
+    }
+    if (typeof a === 'bigint' || typeof b === 'bigint') {
+        const big = typeof a === 'bigint' ? a : b;
+        const other = big === a ? b : a;
+        // `BigInt` itself is unknown to the linter
+        const toBigInt = big.constructor;
+        if (typeof other === 'string') {
+            try {
+                return big === toBigInt(other);
+            } catch (e) {
+                return false;
+            }
+        }
+        return typeof other === 'number' && Number.isInteger(other) && big === toBigInt(other);
+    }
+    // Numbers and strings are compared as numbers, symbols are equal only to themselves
+    return typeof a !== 'symbol' && typeof b !== 'symbol' && Number(a) === Number(b);
+}
+
+function isObject(value) {
+    return value !== null && (typeof value === 'object' || typeof value === 'function');
+}
+
+function toPrimitive(value) {
+    const exotic = value[Symbol.toPrimitive];
+    if (exotic !== undefined && exotic !== null) {
+        const result = exotic.call(value, 'default');
+        if (!isObject(result)) {
+            return result;
+        }
+    } else {
+        // `toString` is called only if `valueOf` does not return a primitive
+        let result = null;
+        const found = ['valueOf', 'toString'].some(name => {
+            if (typeof value[name] !== 'function') {
+                return false;
+            }
+            result = value[name]();
+            return !isObject(result);
+        });
+        if (found) {
+            return result;
+        }
+    }
+    throw new TypeError('Cannot convert object to primitive value');
+}
+
+/**
+ * Creates template function which renders the template compiled by `job`
+ * by walking its AST, without `new Function` (e.g. for pages
+ * with Content Security Policy which disallows `eval`).
+ *
+ * Nodes are walked just the way `Job` compiles them, so that the output
+ * is identical. Static work (loading, resolving, checking, tracking HTML contexts
+ * through alternative branches) is done by the job beforehand.
+ * Expressions must be safe, their AST is interpreted as well.
+ *
+ * @private
+ */
+module.exports = function interpret(job) {
+    // Parsed expressions and HTML contexts after text nodes are shared by renders
+    const cache = {
+        exprs: new Map(),
+        states: new Map()
+    };
+    return function(locals, options) {
+        return new Interpreter(job, cache, options).render(locals);
+    };
+};
+
+/**
+ * Holds the state of a single render: output, template stack
+ * and HTML context of the output.
+ */
+const Interpreter = function(job, cache, options) {
+    this.job = job;
+    this.cache = cache;
+    this.globals = runtime.resolveGlobals(runtime.safeGlobals, options);
+    this.calls = runtime.callables(this.globals);
+    this.filters = runtime.extend({}, runtime.filters, options && options.filters);
+    this.stack = [job.file];
+    this.out = [];
+    this.html = html.initial();
+};
+
+Interpreter.prototype.render = function(locals) {
+    const ctx = {
+        file: this.job.file,
+        defs: {}
+    };
+    this.processFile(this.job.file, ctx, runtime.extend({}, this.globals, locals));
+    return this.out.join('');
+};
+
+Interpreter.prototype.processFile = function(file, ctx, locals) {
+    this.processNodes(this.job.cachedNodes[file], ctx, locals);
+};
+
+Interpreter.prototype.processNodes = function(nodes, ctx, locals) {
+    nodes = nodes.filter(ast.isHoisted).concat(nodes.filter(node => !ast.isHoisted(node)));
+    nodes.forEach(node => this.processNode(node, ctx, locals));
+};
+
+Interpreter.prototype.processNode = function(node, ctx, locals) {
+    if (typeof node == 'string') {
+        return processPlain.call(this, node);
+    }
+    return NODE_TYPES[node.type].call(this, node, ctx, locals);
+};
+
+/**
+ * Evaluates expression `source` against `locals`,
+ * errors are reported just like in compiled templates.
+ */
+Interpreter.prototype.evaluate = function(source, location, ctx, locals, filters) {
+    source = source.trim();
+    filters = filters || [];
+    // Filter arguments are evaluated along with the value
+    const parts = [source].concat(filters.map(filter => '[' + (filter.args || '') + ']'))
+        .map(part => this.parse(part));
+    try {
+        const values = parts.map(part => evaluate(part, locals, this.calls));
+        return filters.length ?
+            runtime.applyFilters(this.filters, filters.map(filter => filter.name), values) :
+            values[0];
+    } catch (e) {
+        throw runtime.renderError(e, {
+            source: filters.reduce((source, filter) => source + ' | ' + filter.name +
+                (filter.args == null ? '' : '(' + filter.args + ')'), source),
+            file: ctx.file,
+            line: location.line,
+            column: location.column
+        }, this.stack);
+    }
+};
+
+Interpreter.prototype.parse = function(source) {
+    let expr = this.cache.exprs.get(source);
+    if (!expr) {
+        expr = grammar.parse(source);
+        this.cache.exprs.set(source, expr);
+    }
+    return expr;
+};
+
+/**
+ * Writes `value` escaped according to current HTML context.
+ */
+Interpreter.prototype.bufferEscaped = function(value) {
+    const escapers = html.escapers(this.html, { allowUnsafeUrls: this.job.allowUnsafeUrls });
+    this.html = html.afterExpr(this.html);
+    this.out.push(escapers.reduce((value, escaper) => runtime[escaper](value), value));
+};
+
+/**
+ * Sets HTML context after flow control `node`, which started in `start` context,
+ * to the one the job has settled on for all of its branches.
+ */
+Interpreter.prototype.join = function(node, start) {
+    this.html = this.job.joins.get(node)[JSON.stringify(start)];
+};
+
+/**
+ * Processes the body of a loop, restoring template stack
+ * when it is left by `<break/>` or `<continue/>`.
+ */
+Interpreter.prototype.processLoopBody = function(node, start, ctx, locals) {
+    const depth = this.stack.length;
+    this.html = html.loop(start);
+    try {
+        this.processNodes(node.nodes, ctx, locals);
+    } catch (e) {
+        this.stack.length = depth;
+        throw e;
+    }
+};
+
+function processPlain(text) {
+    let states = this.cache.states.get(text);
+    if (!states) {
+        states = {};
+        this.cache.states.set(text, states);
+    }
+    const key = JSON.stringify(this.html);
+    if (!states[key]) {
+        states[key] = html.advance(this.html, text);
+    }
+    this.html = states[key];
+    this.out.push(text);
+}
+
+function processComment(node) {
+    if (!this.job.stripComments) {
+        processPlain.call(this, '<!--' + node.content + '-->');
+    }
+}
+
+function processDef(node, ctx) {
+    const defCtx = {
+        parent: ctx.parent,
+        file: ctx.file,
+        defs: {},
+        isolated: ctx.isolated
+    };
+    // Definitions passed to components are rendered in caller's scope
+    const scope = ctx.scope;
+    const render = (locals, slot) => {
+        if (node.as) {
+            locals = Object.create(scope || locals);
+            locals[node.as] = slot;
+        } else if (scope) {
+            locals = Object.create(scope);
+        }
+        this.processNodes(node.nodes, defCtx, locals);
+    };
+    const def = ctx.defs[node.name];
+    let parts = [render];
+    if (def) {
+        switch (def.mode) {
+            case 'append':
+                parts = [def.render, render];
+                break;
+            case 'prepend':
+                parts = [render, def.render];
+                break;
+        }
+    }
+    ctx.defs[node.name] = {
+        mode: node.mode,
+        render: (locals, slot) => parts.forEach(part => part(locals, slot)),
+        slot: !!node.as || !!(def && def.slot)
+    };
+}
+
+function processBlock(node, ctx, locals) {
+    const def = ast.findDefinition(node.name, ctx);
+    this.stack.push('block:' + node.name);
+    const slot = def && def.slot && node.with ?
+        this.evaluate(node.with, node.location, ctx, locals) :
+        undefined;
+    const content = () => this.processNodes(node.nodes, ctx, locals);
+    const render = () => def.render(locals, slot);
+    let parts = [content];
+    if (def) {
+        switch (def.mode) {
+            case 'append':
+                parts = [content, render];
+                break;
+            case 'prepend':
+                parts = [render, content];
+                break;
+            default:
+                parts = [render];
+        }
+    }
+    parts.forEach(part => part());
+    this.stack.pop();
+}
+
+function processInclude(node, ctx, locals) {
+    const newCtx = {
+        parent: ctx,
+        file: ctx.file,
+        defs: {}
+    };
+    locals = Object.create(locals);
+    this.processNodes(node.nodes, newCtx, locals);
+    newCtx.file = this.job.resolve(node.file, ctx.file);
+    this.stack.push(newCtx.file);
+    this.processFile(newCtx.file, newCtx, locals);
+    this.stack.pop();
+}
+
+function processComponent(node, ctx, locals) {
+    node.props
+        .filter(prop => prop.default != null && locals[prop.name] === undefined)
+        .forEach(prop => {
+            locals[prop.name] = this.evaluate(prop.default, prop.location, ctx, locals);
+        });
+}
+
+function processUse(node, ctx, locals) {
+    const defs = {};
+    // Definitions are rendered in caller's context, but belong to component
+    const defsCtx = {
+        parent: ctx,
+        file: ctx.file,
+        defs,
+        scope: locals
+    };
+    // Component sees neither caller's locals nor caller's definitions
+    const newCtx = {
+        parent: ctx,
+        file: this.job.resolve(node.file, ctx.file),
+        defs,
+        isolated: true
+    };
+    const props = {};
+    node.props.forEach(prop => {
+        props[prop.name] = this.evaluate(prop.expr, node.location, ctx, locals);
+    });
+    this.processNodes(node.nodes, defsCtx, locals);
+    this.stack.push(newCtx.file);
+    this.processFile(newCtx.file, newCtx, runtime.extend({}, this.globals, props));
+    this.stack.pop();
+}
+
+function processMacro(node, ctx, locals) {
+    const args = ast.parseArgs(node.args, node, ctx);
+    const defaults = args.map(arg => arg.default == null ? null :
+        locals => this.evaluate(arg.default, node.location, ctx, locals));
+    const macroCtx = {
+        parent: ctx,
+        file: ctx.file,
+        defs: {}
+    };
+    locals[node.name] = runtime.macro(locals, args.map(arg => arg.name), defaults, (locals, out) => {
+        // Macros are called from expressions, so their output is assumed to be HTML
+        const state = {
+            out: this.out,
+            html: this.html
+        };
+        this.out = out;
+        this.html = html.initial();
+        this.stack.push('macro:' + node.name);
+        this.processNodes(node.nodes, macroCtx, locals);
+        this.stack.pop();
+        this.out = state.out;
+        this.html = state.html;
+    });
+}
+
+function processImport(node, ctx, locals) {
+    const newCtx = {
+        parent: ctx,
+        file: this.job.resolve(node.file, ctx.file),
+        defs: {},
+        isolated: true
+    };
+    const nodes = this.job.cachedNodes[newCtx.file].filter(ast.isHoisted);
+    const scope = runtime.extend({}, this.globals);
+    this.processNodes(nodes, newCtx, scope);
+    const macros = {};
+    nodes
+        .filter(node => node.type === 'macro')
+        .forEach(node => {
+            macros[node.name] = scope[node.name];
+        });
+    locals[node.name] = macros;
+}
+
+function processInline(node, ctx) {
+    const escaped = node.file.indexOf('!') !== 0;
+    const file = this.job.resolve(escaped ? node.file : node.file.substring(1), ctx.file);
+    const content = this.job.inlines[file];
+    if (escaped) {
+        this.bufferEscaped(content);
+    } else {
+        processPlain.call(this, content);
+    }
+}
+
+function processExpr(node, ctx, locals) {
+    const value = this.evaluate(node.expr, node.location, ctx, locals, node.filters);
+    if (node.escape) {
+        this.bufferEscaped(value);
+    } else {
+        this.out.push(value);
+    }
+}
+
+function processVar(node, ctx, locals) {
+    locals[node.name] = this.evaluate(node.expr, node.location, ctx, locals, node.filters);
+}
+
+function processIf(node, ctx, locals) {
+    const start = this.html;
+    locals = Object.create(locals);
+    let branch = node.otherwise;
+    node.when.some(when => {
+        if (this.evaluate(when.expr, when.location, ctx, locals)) {
+            branch = when;
+            return true;
+        }
+        return false;
+    });
+    if (branch) {
+        this.processNodes(branch.nodes, ctx, locals);
+    }
+    this.join(node, start);
+}
+
+function processSwitch(node, ctx, locals) {
+    const start = this.html;
+    locals = Object.create(locals);
+    // Discriminant is evaluated once, cases are matched with strict equality
+    const value = this.evaluate(node.expr, node.location, ctx, locals);
+    let branch = node.otherwise;
+    node.cases.some(c => {
+        if (this.evaluate('[' + c.value + ']', c.location, ctx, locals).indexOf(value) !== -1) {
+            branch = c;
+            return true;
+        }
+        return false;
+    });
+    if (branch) {
+        this.processNodes(branch.nodes, ctx, locals);
+    }
+    this.join(node, start);
+}
+
+function processEach(node, ctx, locals) {
+    if (node.range) {
+        return processRange.call(this, node, ctx, locals);
+    }
+    const start = this.html;
+    locals = Object.create(locals);
+    const sortBy = node.sortBy ?
+        locals => this.evaluate(node.sortBy, node.location, ctx, locals) :
+        null;
+    const value = this.evaluate(node.expr, node.location, ctx, locals);
+    const count = runtime.each(value, node.name, locals,
+        locals => this.processLoopBody(node, start, ctx, locals),
+        node.order || this.job.order, sortBy);
+    if (!count && node.empty) {
+        this.html = start;
+        this.processNodes(node.empty.nodes, ctx, locals);
+    }
+    this.join(node, start);
+}
+
+function processRange(node, ctx, locals) {
+    const range = node.range;
+    const start = this.html;
+    locals = Object.create(locals);
+    const from = this.evaluate(range.from, node.location, ctx, locals);
+    const step = range.step ? this.evaluate(range.step, node.location, ctx, locals) : 1;
+    const length = runtime.rangeLength(from, this.evaluate(range.to, node.location, ctx, locals), step);
+    const parent = locals.loop$;
+    for (let i = 0; i < length; i++) {
+        runtime.loopVars(locals, node.name, parent, from + i * step, i, i, length, i === length - 1);
+        try {
+            this.processLoopBody(node, start, ctx, Object.create(locals));
+        } catch (e) {
+            if (e === runtime.BREAK) {
+                break;
+            }
+            if (e !== runtime.CONTINUE) {
+                throw e;
+            }
+        }
+    }
+    if (!length && node.empty) {
+        this.html = start;
+        this.processNodes(node.empty.nodes, ctx, locals);
+    }
+    this.join(node, start);
+}
+
+function processLoopControl(node, ctx, locals) {
+    // Loops catch these to stop or to proceed to the next iteration
+    if (!node.expr || this.evaluate(node.expr, node.location, ctx, locals)) {
+        throw runtime[node.type.toUpperCase()];
+    }
+}
+
+/**
+ * Evaluates safe expression AST (see `expression.peg`) the same way
+ * as the code compiled from it (see `safe.js`). Only the functions
+ * in `calls` (see `runtime.callables`) and macros can be called or passed as arguments.
+ */
+function evaluate(node, locals, calls) {
+    switch (node.type) {
+        case 'literal':
+            return node.value;
+        case 'identifier':
+            return locals[node.name];
+        case 'member':
+            return runtime.getMember(evaluate(node.object, locals, calls),
+                evaluate(node.property, locals, calls));
+        case 'call':
+            if (node.callee.type === 'member') {
+                return runtime.callMethod(evaluate(node.callee.object, locals, calls),
+                    evaluate(node.callee.property, locals, calls), evaluateList(node.args, locals, calls),
+                    calls);
+            }
+            return runtime.callFunction(evaluate(node.callee, locals, calls), undefined,
+                evaluateList(node.args, locals, calls), calls);
+        case 'unary':
+            return UNARY[node.operator](evaluate(node.argument, locals, calls));
+        case 'binary':
+            return evaluateBinary(node, locals, calls);
+        case 'conditional':
+            return evaluate(node.test, locals, calls) ?
+                evaluate(node.consequent, locals, calls) :
+                evaluate(node.alternate, locals, calls);
+        case 'array':
+            return evaluateList(node.elements, locals, calls);
+        case 'object':
+            return node.properties.reduce((obj, prop) => {
+                obj[prop.key] = evaluate(prop.value, locals, calls);
+                return obj;
+            }, {});
+    }
+    throw new Error('Unknown expression type: ' + node.type);
+}
+
+function evaluateBinary(node, locals, calls) {
+    const left = evaluate(node.left, locals, calls);
+    switch (node.operator) {
+        case '&&':
+            return left && evaluate(node.right, locals, calls);
+        case '||':
+            return left || evaluate(node.right, locals, calls);
+        default:
+            return BINARY[node.operator](left, evaluate(node.right, locals, calls));
+    }
+}
+
+function evaluateList(nodes, locals, calls) {
+    return nodes.map(node => evaluate(node, locals, calls));
+}
@@ -2,9 +2,18 @@
 
 const path = require('path');
 const grammar = require('./grammar');
+const errors = require('./errors');
+const html = require('./html');
+const ast = require('./ast');
+const compileSafe = require('./safe');
+const interpret = require('./interpreter');
 const fs = require('fs'); // for brfs
 
-const runtime = fs.readFileSync(__dirname + '/runtime.js', 'utf-8');
+const runtime = parseRuntime(fs.readFileSync(__dirname + '/runtime.js', 'utf-8'));
+const builtinFilters = require('./runtime').filters;
+
+// Nodes which reference other files by `file` attribute
+const FILE_NODE_TYPES = ['include', 'use', 'import', 'inline'];
 
 const NODE_TYPES = {
     'plain': processPlain,
@@ -12,13 +21,52 @@ const NODE_TYPES = {
     'def': processDef,
     'block': processBlock,
     'include': processInclude,
+    'component': processComponent,
+    'use': processUse,
+    'macro': processMacro,
+    'import': processImport,
     'inline': processInline,
     'expr': processExpr,
     'var': processVar,
     'if': processIf,
-    'each': processEach
+    'switch': processSwitch,
+    'each': processEach,
+    'break': processLoopControl,
+    'continue': processLoopControl
+};
+
+const MODULE_FORMATS = {
+    'cjs': (code) => code +
+        '\nmodule.exports = render;\n',
+    'esm': (code) => code +
+        '\nexport default render;\n',
+    'umd': (code, file) =>
+        '(function(root, factory) {\n' +
+        'if (typeof define === "function" && define.amd) { define([], factory); }\n' +
+        'else if (typeof module === "object" && module.exports) { module.exports = factory(); }\n' +
+        'else { (root.zenmillTemplates = root.zenmillTemplates || {})[' +
+            JSON.stringify(file) + '] = factory(); }\n' +
+        '})(this, function() {\n' + code + '\nreturn render;\n});\n'
 };
 
+/**
+ * Supported orders of object keys in `each`: alphabetical (default),
+ * reverse alphabetical or as returned by `Object.keys`.
+ */
+const ORDERS = ['key', 'desc', 'insertion'];
+
+/**
+ * Expressions modes: arbitrary JavaScript evaluated with `with(locals)` (default)
+ * or restricted grammar compiled into direct lookups (see `safe.js`).
+ */
+const EXPRESSIONS = ['js', 'safe'];
+
+/**
+ * Template functions are either built from generated code with `new Function` (default)
+ * or interpret template AST at render time (see `interpreter.js`).
+ */
+const BACKENDS = ['function', 'interpreter'];
+
 /**
  * Unit of work of template compiler.
  *
@@ -31,58 +79,436 @@ const Job = module.exports = function(params) {
     this.file = params.file;
     this.load = params.load;
     this.stripComments = params.stripComments;
+    this.order = params.order || 'key';
+    this.allowUnsafeUrls = !!params.allowUnsafeUrls;
+    this.safe = params.expressions === 'safe';
+    // Safe expressions see only the whitelisted globals
+    this.globals = this.safe ? 'safeGlobals' : 'globals';
+    this.backend = params.backend || 'function';
+    // Custom filters, in addition to built-in ones
+    this.filters = params.filters || {};
+    // Custom globals and helpers, applied over built-in globals at render time
+    this.customGlobals = params.globals || {};
+    this.helpers = params.helpers || {};
+    this.filtered = false;
+    // Names of custom filters used by the template
+    this.customFilters = [];
+    this.roots = (params.roots || []).map(root => localPath('', root).replace(/\/+$/, ''));
     this.expressions = [];
     this.cachedNodes = {};
+    this.inlines = {};
+    this.dependencies = [];
+    // Promises of loaded files, keyed by their paths
+    this.fetched = {};
+    this.scopes = 0;
+    // HTML context at the point of output being compiled
+    this.html = html.initial();
+    // HTML contexts after flow control nodes, keyed by the contexts they start in
+    this.joins = new Map();
+    // Definitions are compiled lazily, the ones not rendered by any block are checked in the end
+    this.defs = [];
 };
 
+Job.ORDERS = ORDERS;
+Job.EXPRESSIONS = EXPRESSIONS;
+Job.BACKENDS = BACKENDS;
+
 Job.prototype.compile = function() {
-    const ctx = {
-        file: this.file,
-        defs: {}
+    return this.generate()
+        .then(code => {
+            // Code is generated anyway, so that templates are checked just the same
+            const fn = this.backend === 'interpreter' ?
+                interpret(this) :
+                new Function('locals', 'options', code.prelude + code.body);
+            return this.bindOptions(fn);
+        });
+};
+
+/**
+ * Makes template function use custom filters, globals and helpers of compiler,
+ * unless they are overridden by the options of particular render.
+ */
+Job.prototype.bindOptions = function(fn) {
+    const defaults = {
+        filters: this.filters,
+        globals: this.customGlobals,
+        helpers: this.helpers
+    };
+    const names = Object.keys(defaults).filter(name => Object.keys(defaults[name]).length);
+    if (!names.length) {
+        return fn;
+    }
+    return function(locals, options) {
+        const merged = Object.assign({}, options);
+        names.forEach(name => {
+            merged[name] = Object.assign({}, defaults[name], options && options[name]);
+        });
+        return fn(locals, merged);
     };
-    return this.processFile(this.file, ctx)
+};
+
+/**
+ * Compiles the definitions which no block renders (in text context, discarding the code),
+ * so that their errors are reported and the files they use become dependencies.
+ */
+Job.prototype.checkDefs = function() {
+    const def = this.defs.filter(def => !def.compiled)[0];
+    if (!def) {
+        return Promise.resolve();
+    }
+    const state = this.html;
+    this.html = html.initial();
+    return def.compile()
+        .then(() => {
+            this.html = state;
+            // Unused definitions may contain definitions of their own
+            return this.checkDefs();
+        });
+};
+
+/**
+ * Compiles template into the source of standalone JavaScript module
+ * (`cjs`, `esm` or `umd`), which exports the template function.
+ */
+Job.prototype.compileToSource = function(format) {
+    const wrap = MODULE_FORMATS[format];
+    if (!wrap) {
+        return Promise.reject(new Error('Unknown module format: ' + format));
+    }
+    if (format === 'esm' && !this.safe) {
+        return Promise.reject(new Error('ES modules are always strict, ' +
+            'while compiled expressions rely on `with` statement (use safe expressions)'));
+    }
+    return this.generate()
         .then(code => {
-            return new Function('locals', runtime +
+            // Modules do not carry custom filters, globals and helpers of the compiler,
+            // so renders must pass the ones in use (`checkOptions` tells which are missing)
+            const used = name => this.expressions.some(expr => mentions(expr.source, name));
+            const globals = Object.keys(this.customGlobals);
+            // Globals set to `undefined` only hide built-in ones, so they are built into the module
+            const hidden = globals.filter(name => this.customGlobals[name] === undefined);
+            const required = {
+                filters: this.customFilters,
+                globals: globals.filter(name => hidden.indexOf(name) === -1 && used(name)),
+                helpers: Object.keys(this.helpers).filter(used)
+            };
+            Object.keys(required).forEach(name => {
+                if (!required[name].length) {
+                    delete required[name];
+                }
+            });
+            const check = Object.keys(required).length ? 'checkOptions(required$, options);' : '';
+            const prelude = (check ?
+                runtimeFor(check) + '\nvar required$ = ' + JSON.stringify(required) + ';\n' :
+                '') +
+                code.prelude +
+                hidden.map(name => this.globals + '[' + JSON.stringify(name) + '] = undefined;\n').join('');
+            return wrap(prelude + '\nfunction render(locals, options) {' + check + code.body + '}\n', this.file);
+        });
+};
+
+/**
+ * Generates the code of template function.
+ *
+ * The `body` expects `locals` and `options` arguments (the latter may hold
+ * `filters`, `globals` and `helpers` to use in addition to built-in ones)
+ * and returns rendered content.
+ * The `prelude` holds render-independent declarations the body relies on:
+ * the pieces of runtime it actually uses and the expressions table.
+ */
+Job.prototype.generate = function() {
+    return Promise.resolve()
+        .then(() => {
+            this.file = this.resolve(this.file, '');
+            const ctx = {
+                file: this.file,
+                includes: [this.file],
+                defs: {}
+            };
+            return this.parseFile(this.file, ctx)
+                .then(nodes => this.preload(nodes, this.file, {}))
+                .then(() => this.processFile(this.file, ctx));
+        })
+        .then(code => this.checkDefs().then(() => code))
+        .then(code => {
+            const body = 'var stack = [' + JSON.stringify(this.file) + '];' +
                 'var out = [];' +
-                'locals = extend({}, globals, locals);' +
+                'var shared$ = resolveGlobals(' + this.globals + ', options);' +
+                'locals = extend({}, shared$, locals);' +
+                (this.safe ? 'var calls$ = callables(shared$);' : '') +
+                (this.filtered ? 'var filters$ = extend({}, filters, options && options.filters);' : '') +
                 code +
-                ';return out.join("");'
-            );
+                ';return out.join("");';
+            const prelude = runtimeFor(body) + '\n' +
+                'var expressions = ' + JSON.stringify(this.expressions) + ';\n';
+            return { prelude, body };
+        });
+};
+
+/**
+ * Resolves `file` referenced from `relativeTo` into the path
+ * relative to templates root (paths starting with `/` are resolved
+ * against templates root itself).
+ *
+ * Resolved paths must stay within templates root or one of explicitly
+ * allowed `roots`. Absolute OS paths and paths with NUL bytes are rejected.
+ *
+ * @param {string} file
+ * @param {string} relativeTo - path of the file with reference
+ * @param {*} node - referencing node, if any
+ * @param {*} ctx - context of referencing node, if any
+ */
+Job.prototype.resolve = function(file, relativeTo, node, ctx) {
+    let error = null;
+    let resolved = null;
+    if (file.indexOf('\0') !== -1) {
+        error = 'Path must not contain NUL bytes';
+    } else if (/^[a-zA-Z]:|^[\\/]{2}/.test(file)) {
+        error = `Absolute path ${file} is not allowed`;
+    } else {
+        resolved = localPath(relativeTo, file.replace(/\\/g, '/'));
+        const inside = resolved !== '..' && resolved.indexOf('../') !== 0;
+        if (!inside && !this.roots.some(root => resolved === root || resolved.indexOf(root + '/') === 0)) {
+            error = `Path ${file} is outside of templates root`;
+        }
+    }
+    if (error) {
+        throw new errors.ZenmillCompileError(error, {
+            file: ctx ? ctx.file : file,
+            chain: ctx ? ctx.includes : [],
+            location: node && node.location
         });
+    }
+    return resolved;
 };
 
-Job.prototype.load = function(file) {
-    if (file.indexOf('../') === 0) {
-        throw new Error(`${file} is outside scope`);
+/**
+ * Loads a file, recording it as a dependency of compiled template.
+ * Loaders are allowed to return content synchronously.
+ */
+Job.prototype.fetch = function(file) {
+    if (!this.fetched[file]) {
+        this.dependencies.push(file);
+        this.fetched[file] = Promise.resolve()
+            .then(() => this.load(file));
+    }
+    return this.fetched[file];
+};
+
+/**
+ * Loads and parses the files referenced by `nodes` of `file` (and the files
+ * referenced by them, and so on) in parallel, so that compiling nodes one by one
+ * does not wait for each file in turn.
+ *
+ * Errors are ignored: compilation runs into them again and reports them
+ * along with the place where the file is referenced.
+ */
+Job.prototype.preload = function(nodes, file, seen) {
+    return Promise.all(references(nodes).map(node => {
+        const inline = node.type === 'inline';
+        let target = null;
+        try {
+            target = this.resolve(inline ? node.file.replace(/^!/, '') : node.file, file);
+        } catch (e) {
+            return null;
+        }
+        // Only hoisted nodes of imported files are compiled
+        const key = (node.type === 'import' ? 'import:' : inline ? 'inline:' : '') + target;
+        if (seen[key]) {
+            return null;
+        }
+        seen[key] = true;
+        return this.fetch(target)
+            .then(content => {
+                if (inline) {
+                    return null;
+                }
+                const nodes = this.cachedNodes[target] || parse(content, target, { includes: [target] });
+                this.cachedNodes[target] = nodes;
+                return this.preload(node.type === 'import' ? nodes.filter(ast.isHoisted) : nodes, target, seen);
+            })
+            .catch(() => null);
+    }));
+};
+
+/**
+ * Wraps expression source into a statement which evaluates it against `locals`
+ * and applies `filters` (if any) to its value.
+ *
+ * Expression source and location are recorded, so that errors thrown
+ * at render time could be traced back to the template.
+ */
+Job.prototype.wrapExpr = function(expr, location, ctx, filters) {
+    const id = this.expressions.length;
+    expr = expr.trim();
+    filters = filters || [];
+    filters.forEach(filter => this.checkFilter(filter.name, location, ctx));
+    this.expressions.push({
+        source: filters.reduce((source, filter) => source + ' | ' + filter.name +
+            (filter.args == null ? '' : '(' + filter.args + ')'), expr),
+        file: ctx.file,
+        line: location.line,
+        column: location.column
+    });
+    // Filter arguments are evaluated along with the value
+    const value = filters.length ?
+        '[' + [expr].concat(filters.map(filter => '[' + (filter.args || '') + ']')).join(',') + ']' :
+        expr;
+    let code = this.safe ?
+        'return ' + this.compileSafe(value, expr, location, ctx) :
+        'with(locals) { return ' + value + ' }';
+    if (filters.length) {
+        this.filtered = true;
+        code = 'return applyFilters(filters$,' + JSON.stringify(filters.map(filter => filter.name)) + ',' +
+            '(function() { ' + code + ' })())';
+    }
+    return 'evaluate(stack,' + id + ',function() { ' + code + ' })';
+};
+
+Job.prototype.checkFilter = function(name, location, ctx) {
+    const has = (filters, name) => Object.prototype.hasOwnProperty.call(filters, name);
+    if (has(this.filters, name)) {
+        if (this.customFilters.indexOf(name) === -1) {
+            this.customFilters.push(name);
+        }
+    } else if (!has(builtinFilters, name)) {
+        throw new errors.ZenmillCompileError(`Unknown filter ${name}`, {
+            file: ctx.file,
+            chain: ctx.includes,
+            location
+        });
+    }
+};
+
+/**
+ * Compiles `source` of safe expression (which is `expr` or includes it).
+ */
+Job.prototype.compileSafe = function(source, expr, location, ctx) {
+    try {
+        return compileSafe(source);
+    } catch (e) {
+        throw new errors.ZenmillCompileError(`Invalid expression \`${expr}\`: ${e.message}`, {
+            file: ctx.file,
+            chain: ctx.includes,
+            location
+        });
     }
-    return this.load(file);
 };
 
 Job.prototype.processFile = function(file, ctx) {
-    const parentFile = ctx.parent && ctx.parent.file;
-    file = localPath(parentFile || '', file);
+    return this.parseFile(file, ctx)
+        .then(nodes => this.processNodes(nodes, ctx));
+};
+
+Job.prototype.parseFile = function(file, ctx) {
     // Check cache for parsed AST
     const cached = this.cachedNodes[file];
     if (cached) {
-        return this.processNodes(cached, ctx);
+        return Promise.resolve(cached);
     }
     // Load and parse template
-    return this.load(file)
+    return this.fetch(file)
         .then(content => {
-            const nodes = grammar.parse(content);
+            const nodes = parse(content, file, ctx);
             this.cachedNodes[file] = nodes;
-            return this.processNodes(nodes, ctx);
+            return nodes;
+        });
+};
+
+/**
+ * Runs alternative `branches` of flow control `node` (functions returning
+ * promises of code), each starting in the same HTML context.
+ * If `optional`, none of branches may be rendered at all.
+ *
+ * Branches must end in compatible contexts, so that the rest
+ * of template is escaped properly.
+ */
+Job.prototype.processBranches = function(branches, optional, node, ctx) {
+    const start = this.html;
+    const ends = optional ? [start] : [];
+    return series(branches.map(branch => () => {
+        this.html = start;
+        return branch()
+            .then(code => {
+                ends.push(this.html);
+                return code;
+            });
+    }))
+        .then(codes => {
+            this.html = html.join(ends);
+            if (!this.html) {
+                const contexts = ends.map(html.describe)
+                    .filter((context, i, contexts) => contexts.indexOf(context) === i);
+                throw new errors.ZenmillCompileError(
+                    `Content of <${node.type}> ends in different HTML contexts: ${contexts.join(', ')}`, {
+                        file: ctx.file,
+                        chain: ctx.includes,
+                        location: node.location
+                    });
+            }
+            // The interpreter renders only one of branches, but must end up in the same context
+            const joins = this.joins.get(node) || {};
+            joins[JSON.stringify(start)] = this.html;
+            this.joins.set(node, joins);
+            return codes;
         });
 };
 
+/**
+ * Processes the body of `<each>` (which may be repeated any number of times,
+ * so it must end in the HTML context it starts in) and its `<empty>` part.
+ */
+Job.prototype.processLoop = function(node, loopCtx, ctx) {
+    const branches = [() => {
+        this.html = html.loop(this.html);
+        return this.processNodes(node.nodes, loopCtx);
+    }];
+    if (node.empty) {
+        branches.push(() => this.processNodes(node.empty.nodes, ctx));
+    }
+    return this.processBranches(branches, true, node, ctx);
+};
+
+/**
+ * Writes the value of `code` escaped according to current HTML context.
+ */
+Job.prototype.bufferEscaped = function(code, location, ctx) {
+    const escapers = this.trackHtml(() => html.escapers(this.html, { allowUnsafeUrls: this.allowUnsafeUrls }),
+        location, ctx);
+    this.html = html.afterExpr(this.html);
+    return buffer(escapers.reduce((code, escaper) => escaper + '(' + code + ')', code));
+};
+
+/**
+ * Calls `fn`, reporting the errors of HTML context tracking as compile errors.
+ */
+Job.prototype.trackHtml = function(fn, location, ctx) {
+    try {
+        return fn();
+    } catch (e) {
+        throw new errors.ZenmillCompileError(e.message, {
+            file: ctx.file,
+            chain: ctx.includes,
+            location
+        });
+    }
+};
+
+/**
+ * Processes nodes one by one, in order of their output,
+ * so that HTML context is tracked along (the files they reference
+ * are loaded in advance, see `preload`).
+ */
 Job.prototype.processNodes = function(nodes, ctx) {
-    return Promise.all(nodes.map(node => this.processNode(node, ctx)))
+    // Macros and imports are hoisted, so that they can be used before declaration
+    nodes = nodes.filter(ast.isHoisted).concat(nodes.filter(node => !ast.isHoisted(node)));
+    return series(nodes.map(node => () => this.processNode(node, ctx)))
         .then(statements => statements.join(';'));
 };
 
 Job.prototype.processNode = function(node, ctx) {
     if (typeof node == 'string') {
-        return bufferText(node);
+        return processPlain.call(this, node, ctx);
     }
     const handler = NODE_TYPES[node.type];
     if (!handler) {
@@ -91,53 +517,89 @@ Job.prototype.processNode = function(node, ctx) {
     return handler.call(this, node, ctx);
 };
 
-function processPlain(text) {
+function processPlain(text, ctx) {
+    // Plain text has no location of its own
+    this.html = this.trackHtml(() => html.advance(this.html, text), null, ctx);
     return bufferText(text);
 }
 
-function processComment(node) {
+function processComment(node, ctx) {
     if (this.stripComments) {
         return;
     }
-    return bufferText('<!--' + node.content + '-->');
+    return processPlain.call(this, '<!--' + node.content + '-->', ctx);
 }
 
 function processDef(node, ctx) {
-    return this.processNodes(node.nodes, ctx)
+    // Definitions are compiled where they are rendered (i.e. in HTML context of the block),
+    // they do not see their siblings, so that they can refer to the blocks of the same name
+    const defCtx = {
+        parent: ctx.parent,
+        file: ctx.file,
+        includes: ctx.includes,
+        defs: {},
+        isolated: ctx.isolated
+    };
+    const entry = {
+        compiled: false,
+        compile: () => {
+            entry.compiled = true;
+            return compile();
+        }
+    };
+    this.defs.push(entry);
+    const compile = () => this.processNodes(node.nodes, defCtx)
         .then(code => {
-            const def = ctx.defs[node.name];
-            if (def) {
-                switch (def.mode) {
-                    case 'append':
-                        code = [def.code, code].join(';');
-                        break;
-                    case 'prepend':
-                        code = [code, def.code].join(';');
-                        break;
-                }
+            if (node.as) {
+                // Scoped slots receive the value passed by `<block with>` as `slot$`
+                return scoped('locals.' + node.as + ' = slot$;' + code, ctx.scope);
             }
-            ctx.defs[node.name] = {
-                mode: node.mode,
-                code: code
-            };
+            // Definitions passed to components are rendered in caller's scope
+            return ctx.scope ? scoped(code, ctx.scope) : code;
         });
+    const def = ctx.defs[node.name];
+    let parts = [entry.compile];
+    if (def) {
+        switch (def.mode) {
+            case 'append':
+                parts = [def.compile, entry.compile];
+                break;
+            case 'prepend':
+                parts = [entry.compile, def.compile];
+                break;
+        }
+    }
+    ctx.defs[node.name] = {
+        mode: node.mode,
+        compile: () => series(parts).then(codes => codes.join(';')),
+        slot: !!node.as || !!(def && def.slot)
+    };
 }
 
 function processBlock(node, ctx) {
-    const def = findDefinition(node.name, ctx);
-    return this.processNodes(node.nodes, ctx)
-        .then(code => {
-            if (!def) {
-                return code;
-            }
-            switch (def.mode) {
-                case 'append':
-                    return [code, def.code].join(';');
-                case 'prepend':
-                    return [def.code, code].join(';');
-                default:
-                    return def.code;
+    const def = ast.findDefinition(node.name, ctx);
+    const content = () => this.processNodes(node.nodes, ctx);
+    let parts = [content];
+    if (def) {
+        switch (def.mode) {
+            case 'append':
+                parts = [content, def.compile];
+                break;
+            case 'prepend':
+                parts = [def.compile, content];
+                break;
+            default:
+                parts = [def.compile];
+        }
+    }
+    return series(parts)
+        .then(codes => {
+            let code = codes.join(';');
+            if (def && def.slot) {
+                const value = node.with ? this.wrapExpr(node.with, node.location, ctx) : 'undefined';
+                code = '(function(slot$){' + code + '})(' + value + ')';
             }
+            return pushStack('block:' + node.name, code);
         });
 }
 
@@ -146,62 +608,356 @@ function processInclude(node, ctx) {
     const newCtx = {
         parent: ctx,
         file: ctx.file,
+        includes: ctx.includes,
         defs: {}
     };
-    const promises = node.nodes.map(node => this.processNode(node, newCtx));
-    return Promise.all(promises)
-        .then(_statements => {
-            _statements.forEach(st => statements.push(st));
-            newCtx.file = localPath(newCtx.file, node.file);
-            return this.processFile(node.file, newCtx);
+    return this.processNodes(node.nodes, newCtx)
+        .then(code => {
+            statements.push(code);
+            newCtx.file = this.resolve(node.file, ctx.file, node, ctx);
+            newCtx.includes = ctx.includes.concat(newCtx.file);
+            checkCycle(newCtx, node, ctx);
+            return this.processFile(newCtx.file, newCtx);
         })
-        .then(code => scoped(statements.concat([code]).join(';')));
+        .then(code => scoped(statements.concat([pushStack(newCtx.file, code)]).join(';')));
+}
+
+function processComponent(node, ctx) {
+    return node.props
+        .filter(prop => prop.default != null)
+        .map(prop => 'if (locals.' + prop.name + ' === undefined) locals.' + prop.name + ' = ' +
+            this.wrapExpr(prop.default, prop.location, ctx))
+        .join(';');
+}
+
+function processUse(node, ctx) {
+    const scope = 'scope$' + this.scopes++;
+    const defs = {};
+    // Definitions are compiled in caller's context, but belong to component
+    const defsCtx = {
+        parent: ctx,
+        file: ctx.file,
+        includes: ctx.includes,
+        defs,
+        scope
+    };
+    // Component sees neither caller's locals nor caller's definitions
+    const newCtx = {
+        parent: ctx,
+        file: ctx.file,
+        includes: ctx.includes,
+        defs,
+        isolated: true
+    };
+    const props = node.props.map(prop => JSON.stringify(prop.name) + ':' +
+        this.wrapExpr(prop.expr, node.location, ctx));
+    return this.processNodes(node.nodes, defsCtx)
+        .then(() => {
+            newCtx.file = this.resolve(node.file, ctx.file, node, ctx);
+            newCtx.includes = ctx.includes.concat(newCtx.file);
+            checkCycle(newCtx, node, ctx);
+            return this.parseFile(newCtx.file, newCtx);
+        })
+        .then(nodes => {
+            checkProps(nodes[0], node, newCtx.file, ctx);
+            return this.processNodes(nodes, newCtx);
+        })
+        .then(code => '(function(locals,' + scope + '){' + pushStack(newCtx.file, code) + '})' +
+            '(extend({}, shared$, {' + props.join(',') + '}), locals)');
+}
+
+function processMacro(node, ctx) {
+    const args = ast.parseArgs(node.args, node, ctx);
+    const names = args.map(arg => arg.name);
+    const defaults = args.map(arg => arg.default == null ? 'null' :
+        'function(locals) { return ' + this.wrapExpr(arg.default, node.location, ctx) + '}');
+    const macroCtx = {
+        parent: ctx,
+        file: ctx.file,
+        includes: ctx.includes,
+        defs: {},
+        // Macros are called from expressions, so they cannot break enclosing loops
+        loop: null
+    };
+    // Macros are called from expressions, so their output is assumed to be HTML
+    const state = this.html;
+    this.html = html.initial();
+    return this.processNodes(node.nodes, macroCtx)
+        .then(code => {
+            // Output of macros is spliced into HTML as is, so it must not leave anything open
+            if (!html.same(this.html, html.initial())) {
+                throw new errors.ZenmillCompileError(
+                    `Content of <macro:${node.name}> must end in text, ` +
+                    `but ends in ${html.describe(this.html)}`, {
+                        file: ctx.file,
+                        chain: ctx.includes,
+                        location: node.location
+                    });
+            }
+            this.html = state;
+            return code;
+        })
+        .then(code => 'locals.' + node.name + ' = macro(locals,' +
+            JSON.stringify(names) + ',' +
+            '[' + defaults.join(',') + '],' +
+            'function(locals, out) {' + pushStack('macro:' + node.name, code) + '})');
+}
+
+function processImport(node, ctx) {
+    const newCtx = {
+        parent: ctx,
+        file: this.resolve(node.file, ctx.file, node, ctx),
+        defs: {},
+        isolated: true
+    };
+    newCtx.includes = ctx.includes.concat(newCtx.file);
+    checkCycle(newCtx, node, ctx);
+    return this.parseFile(newCtx.file, newCtx)
+        .then(nodes => {
+            nodes = nodes.filter(ast.isHoisted);
+            const names = nodes
+                .filter(node => node.type === 'macro')
+                .map(node => JSON.stringify(node.name) + ': locals.' + node.name);
+            return this.processNodes(nodes, newCtx)
+                .then(code => 'locals.' + node.name + ' = (function(locals){' + code + ';' +
+                    'return {' + names.join(',') + '};' +
+                    '})(extend({}, shared$))');
+        });
 }
 
 function processInline(node, ctx) {
-    let escaped = true;
-    if (node.file.indexOf('!') === 0) {
-        escaped = false;
-        node.file = node.file.substring(1);
-    }
-    const file = localPath(ctx.file, node.file);
-    return this.load(file)
-        .then(content => escaped ? bufferEscapedText(content) : bufferText(content));
+    const escaped = node.file.indexOf('!') !== 0;
+    const file = this.resolve(escaped ? node.file : node.file.substring(1), ctx.file, node, ctx);
+    return this.fetch(file)
+        .then(content => {
+            this.inlines[file] = content;
+            if (!escaped) {
+                return processPlain.call(this, content, ctx);
+            }
+            return this.bufferEscaped(JSON.stringify(content), node.location, ctx);
+        });
 }
 
-function processExpr(node) {
-    const expr = wrapExpr(node.expr);
-    return node.escape ? bufferEscaped(expr) : buffer(expr);
+function processExpr(node, ctx) {
+    const expr = this.wrapExpr(node.expr, node.location, ctx, node.filters);
+    return node.escape ? this.bufferEscaped(expr, node.location, ctx) : buffer(expr);
 }
 
-function processVar(node) {
-    return 'locals.' + node.name + ' = ' + wrapExpr(node.expr);
+function processVar(node, ctx) {
+    return 'locals.' + node.name + ' = ' + this.wrapExpr(node.expr, node.location, ctx, node.filters);
 }
 
 function processIf(node, ctx) {
-    const promises = node.when.map(when => {
-        const ifCap = 'if (' + wrapExpr(when.expr) + ')';
-        return this.processNodes(when.nodes, ctx)
-            .then(code => ifCap + '{' + code + '}');
-    });
-    return Promise.all(promises)
-        .then(ifs => {
-            const statement = ifs.join(' else ');
-            if (!node.otherwise) {
-                return scoped(statement);
-            }
-            return this.processNodes(node.otherwise.nodes, ctx)
-                .then(code => scoped(statement + 'else {' + code + '}'));
+    const conditions = node.when.map(when => 'if (' + this.wrapExpr(when.expr, when.location, ctx) + ')');
+    const branches = node.when.concat(node.otherwise || [])
+        .map(branch => () => this.processNodes(branch.nodes, ctx));
+    return this.processBranches(branches, !node.otherwise, node, ctx)
+        .then(codes => {
+            const statements = codes.map((code, i) => (conditions[i] || '') + '{' + code + '}');
+            return scoped(statements.join(' else '));
+        });
+}
+
+function processSwitch(node, ctx) {
+    // Discriminant is evaluated once, cases are matched with strict equality
+    const statement = 'var switch$ = ' + this.wrapExpr(node.expr, node.location, ctx) + ';';
+    const conditions = node.cases.map(c => 'if (' + this.wrapExpr('[' + c.value + ']', c.location, ctx) +
+        '.indexOf(switch$) !== -1)');
+    const branches = node.cases.concat(node.otherwise || [])
+        .map(branch => () => this.processNodes(branch.nodes, ctx));
+    return this.processBranches(branches, !node.otherwise, node, ctx)
+        .then(codes => {
+            const statements = codes.map((code, i) => (conditions[i] || '') + '{' + code + '}');
+            return scoped(statement + statements.join(' else '));
         });
 }
 
 function processEach(node, ctx) {
-    const statement = 'each(' + wrapExpr(node.expr) + ',' +
+    if (node.range) {
+        return processRange.call(this, node, ctx);
+    }
+    const order = node.order || this.order;
+    if (ORDERS.indexOf(order) === -1) {
+        throw new errors.ZenmillCompileError(`Invalid order ${order} of each ${node.name}`, {
+            file: ctx.file,
+            chain: ctx.includes,
+            location: node.location
+        });
+    }
+    const options = [];
+    if (node.sortBy) {
+        options.push(JSON.stringify(order),
+            'function(locals) { return ' + this.wrapExpr(node.sortBy, node.location, ctx) + '}');
+    } else if (order !== 'key') {
+        options.push(JSON.stringify(order));
+    }
+    const statement = 'each(' + this.wrapExpr(node.expr, node.location, ctx) + ',' +
         JSON.stringify(node.name) + ',' +
         'locals,' +
         'function(locals) {';
-    return this.processNodes(node.nodes, ctx)
-        .then(code => scoped(statement + code + '})'));
+    const end = '}' + options.map(option => ',' + option).join('') + ')';
+    const loopCtx = createLoopCtx(ctx);
+    return this.processLoop(node, loopCtx, ctx)
+        .then(codes => {
+            let code = codes[0];
+            if (loopCtx.loop.controlled) {
+                code = unwindStack(code);
+            }
+            if (!node.empty) {
+                return scoped(statement + code + end);
+            }
+            // `each` returns the number of iterations
+            return scoped('if (!' + statement + code + end + ') {' + codes[1] + '}');
+        });
+}
+
+/**
+ * Compiles `<each:i from to step>` into a plain numeric loop
+ * (`to` is inclusive, `step` defaults to 1 and may be negative).
+ */
+function processRange(node, ctx) {
+    const range = node.range;
+    const step = range.step ? this.wrapExpr(range.step, node.location, ctx) : '1';
+    const statement = 'var from$ = ' + this.wrapExpr(range.from, node.location, ctx) + ';' +
+        'var step$ = ' + step + ';' +
+        'var length$ = rangeLength(from$,' + this.wrapExpr(range.to, node.location, ctx) + ', step$);' +
+        'var parent$ = locals.loop$;' +
+        'for (var i$ = 0; i$ < length$; i$++) {' +
+        'loopVars(locals,' + JSON.stringify(node.name) + ', parent$, from$ + i$ * step$, i$, i$, length$,' +
+        'i$ === length$ - 1);';
+    const loopCtx = createLoopCtx(ctx);
+    return this.processLoop(node, loopCtx, ctx)
+        .then(codes => {
+            let code = scoped(codes[0]);
+            if (loopCtx.loop.controlled) {
+                code = 'try {' + unwindStack(code) + '} catch (e) {' +
+                    'if (e === BREAK) break;' +
+                    'if (e !== CONTINUE) throw e;' +
+                    '}';
+            }
+            const loop = statement + code + '}';
+            if (!node.empty) {
+                return scoped(loop);
+            }
+            return scoped(loop + 'if (!length$) {' + codes[1] + '}');
+        });
+}
+
+function processLoopControl(node, ctx) {
+    const loop = findLoop(ctx);
+    if (!loop) {
+        throw new errors.ZenmillCompileError(`<${node.type}/> outside of each`, {
+            file: ctx.file,
+            chain: ctx.includes,
+            location: node.location
+        });
+    }
+    loop.controlled = true;
+    // Loops catch these to stop or to proceed to the next iteration
+    const statement = 'throw ' + node.type.toUpperCase();
+    if (!node.expr) {
+        return statement;
+    }
+    return 'if (' + this.wrapExpr(node.expr, node.location, ctx) + ') ' + statement;
+}
+
+/**
+ * Splits runtime source into top-level declarations, keyed by name
+ * (the trailing exports for the interpreter are left out).
+ */
+function parseRuntime(source) {
+    const pieces = {};
+    source.split(/\n(?=var |function |\/\/ |if )/).forEach(piece => {
+        const m = /^(?:var|function)\s+([\w$]+)/.exec(piece);
+        if (m) {
+            pieces[m[1]] = piece.trim();
+        }
+    });
+    return pieces;
+}
+
+/**
+ * Returns runtime declarations referenced by `code`, directly or transitively.
+ */
+function runtimeFor(code) {
+    const used = {};
+    function visit(source) {
+        Object.keys(runtime).forEach(name => {
+            if (!used[name] && new RegExp('\\b' + name.replace('$', '\\$') + '\\b').test(source)) {
+                used[name] = true;
+                visit(runtime[name]);
+            }
+        });
+    }
+    visit(code);
+    return Object.keys(runtime)
+        .filter(name => used[name])
+        .map(name => runtime[name] + '\n')
+        .join('\n');
+}
+
+function parse(content, file, ctx) {
+    try {
+        return grammar.parse(content);
+    } catch (e) {
+        if (!(e instanceof grammar.SyntaxError)) {
+            throw e;
+        }
+        throw new errors.ZenmillSyntaxError(e, {
+            file,
+            chain: ctx.includes,
+            content
+        });
+    }
+}
+
+/**
+ * Throws if the file of `ctx` is already being included by one of its parents.
+ */
+function checkCycle(ctx, node, parentCtx) {
+    const chain = ctx.includes;
+    const start = chain.indexOf(ctx.file);
+    if (start === chain.length - 1) {
+        return;
+    }
+    const err = new errors.ZenmillCompileError(
+        'Include cycle detected: ' + chain.slice(start).join(' -> '), {
+            file: parentCtx.file,
+            chain: parentCtx.includes,
+            location: node.location
+        });
+    err.cycle = chain.slice(start);
+    throw err;
+}
+
+/**
+ * Throws unless `component` declares every prop passed by `node`
+ * and every required prop of `component` is passed.
+ */
+function checkProps(component, node, file, ctx) {
+    let error = null;
+    if (!component || component.type !== 'component') {
+        error = `${file} is not a component`;
+    } else {
+        const passed = node.props.map(prop => prop.name);
+        const declared = component.props.map(prop => prop.name);
+        const unknown = passed.filter(name => declared.indexOf(name) === -1);
+        const missing = component.props
+            .filter(prop => prop.required && passed.indexOf(prop.name) === -1)
+            .map(prop => prop.name);
+        if (unknown.length) {
+            error = `Unknown prop(s) ${unknown.join(', ')} of component ${file}`;
+        } else if (missing.length) {
+            error = `Missing required prop(s) ${missing.join(', ')} of component ${file}`;
+        }
+    }
+    if (error) {
+        throw new errors.ZenmillCompileError(error, {
+            file: ctx.file,
+            chain: ctx.includes,
+            location: node.location
+        });
+    }
 }
 
 function localPath(relativeTo, file) {
@@ -211,32 +967,88 @@ function localPath(relativeTo, file) {
     return path.normalize(path.join(path.dirname(relativeTo), file));
 }
 
-function findDefinition(name, ctx) {
-    const def = ctx.defs[name];
-    if (def) {
-        return def;
+/**
+ * Creates the context of loop body, which `<break/>` and `<continue/>` refer to.
+ */
+function createLoopCtx(ctx) {
+    return {
+        parent: ctx,
+        file: ctx.file,
+        includes: ctx.includes,
+        defs: ctx.defs,
+        loop: {
+            controlled: false
+        }
+    };
+}
+
+function findLoop(ctx) {
+    if ('loop' in ctx) {
+        return ctx.loop;
     }
-    return ctx.parent ? findDefinition(name, ctx.parent) : null;
+    return ctx.parent && !ctx.isolated ? findLoop(ctx.parent) : null;
 }
 
-function scoped(code) {
-    return '(function(locals){' + code + '})(Object.create(locals))';
+/**
+ * Restores template stack when `code` is left by an exception
+ * (e.g. `<break/>` thrown from within blocks or includes).
+ */
+function unwindStack(code) {
+    return 'var depth$ = stack.length;' +
+        'try {' + code + '} catch (e) { stack.length = depth$; throw e; }';
 }
 
-function wrapExpr(expr) {
-    return '(function() { with(locals) { return ' + expr.trim() + ' }})()';
+/**
+ * Runs `tasks` (functions returning promises) one after another,
+ * resolves with the array of their results.
+ */
+/**
+ * Tells if expression `source` may refer to variable `name`
+ * (strings are not told from code, so this errs on the safe side).
+ */
+function mentions(source, name) {
+    const escaped = name.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    return new RegExp('(^|[^\\w$.])' + escaped + '(?![\\w$])').test(source);
 }
 
-function bufferText(str) {
-    return buffer(JSON.stringify(str));
+/**
+ * Returns the nodes which reference other files, found among `nodes`
+ * and their descendants (statements keep them in `nodes`, `when`, `cases`, etc.).
+ */
+function references(nodes) {
+    const found = [];
+    function visit(value) {
+        if (Array.isArray(value)) {
+            value.forEach(visit);
+        } else if (value && typeof value == 'object') {
+            if (FILE_NODE_TYPES.indexOf(value.type) !== -1 && typeof value.file == 'string') {
+                found.push(value);
+            }
+            Object.keys(value).forEach(key => visit(value[key]));
+        }
+    }
+    visit(nodes);
+    return found;
+}
+
+function series(tasks) {
+    const results = [];
+    return tasks.reduce((promise, task) => promise
+        .then(task)
+        .then(result => results.push(result)), Promise.resolve())
+        .then(() => results);
 }
 
-function bufferEscapedText(str) {
-    return bufferEscaped(JSON.stringify(str));
+function scoped(code, scope) {
+    return '(function(locals){' + code + '})(Object.create(' + (scope || 'locals') + '))';
 }
 
-function bufferEscaped(code) {
-    return buffer('escapeHtml(' + code + ')');
+function pushStack(frame, code) {
+    return 'stack.push(' + JSON.stringify(frame) + ');' + code + ';stack.pop()';
+}
+
+function bufferText(str) {
+    return buffer(JSON.stringify(str));
 }
 
 function buffer(code) {
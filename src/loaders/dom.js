@@ -0,0 +1,28 @@
+'use strict';
+
+const errors = require('../errors');
+
+/**
+ * Creates a loader which reads templates from the elements of `document`
+ * (`<script type="text/zenmill">` tags by default), looking them up
+ * by `data-file` or `id` attribute.
+ *
+ * @param {Document} document
+ * @param {*} options
+ * @param {string} options.selector - selector of template elements
+ */
+module.exports = function domLoader(document, options) {
+    options = options || {};
+    const selector = options.selector || 'script[type="text/zenmill"]';
+
+    return function load(file) {
+        const elems = document.querySelectorAll(selector);
+        for (let i = 0; i < elems.length; i++) {
+            const elem = elems[i];
+            if (elem.getAttribute('data-file') === file || elem.getAttribute('id') === file) {
+                return Promise.resolve(elem.textContent);
+            }
+        }
+        return Promise.reject(new errors.ZenmillNotFoundError(file, `no ${selector} element`));
+    };
+};
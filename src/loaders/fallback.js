@@ -0,0 +1,53 @@
+'use strict';
+
+const errors = require('../errors');
+
+/**
+ * Creates a loader which tries each of `layers` in order, until template is found.
+ *
+ * Each layer is either a loader function or an object `{ name, load }`.
+ * A layer which rejects with not-found error (see `errors.isNotFound`)
+ * is skipped, any other error is propagated immediately.
+ *
+ * Resulting loader has `layerOf(file)` method, which returns the name
+ * (or the index, if unnamed) of the layer `file` was last resolved from.
+ *
+ * @param {Array} layers
+ */
+module.exports = function fallbackLoader(layers) {
+    layers = layers.map((layer, index) => {
+        return typeof layer == 'function' ?
+            { name: index, load: layer } :
+            { name: layer.name == null ? index : layer.name, load: layer.load };
+    });
+    const resolved = {};
+
+    function load(file) {
+        return layers.reduce((promise, layer) => {
+            return promise.catch(err => {
+                if (!errors.isNotFound(err)) {
+                    throw err;
+                }
+                return Promise.resolve()
+                    .then(() => layer.load(file))
+                    .then(content => {
+                        resolved[file] = layer.name;
+                        return content;
+                    });
+            });
+        }, Promise.reject(new errors.ZenmillNotFoundError(file)))
+            .catch(err => {
+                if (errors.isNotFound(err)) {
+                    throw new errors.ZenmillNotFoundError(file,
+                        'tried layers ' + layers.map(layer => layer.name).join(', '));
+                }
+                throw err;
+            });
+    }
+
+    load.layerOf = function(file) {
+        return resolved[file];
+    };
+
+    return load;
+};
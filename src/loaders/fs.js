@@ -0,0 +1,31 @@
+'use strict';
+
+const path = require('path');
+const fs = require('fs');
+const errors = require('../errors');
+
+/**
+ * Creates a loader which reads templates from `root` directory (Node only).
+ *
+ * @param {string} root
+ * @param {*} options
+ * @param {string} options.encoding - files encoding, `utf-8` by default
+ */
+module.exports = function fsLoader(root, options) {
+    options = options || {};
+    const encoding = options.encoding || 'utf-8';
+
+    return function load(file) {
+        return new Promise((resolve, reject) => {
+            fs.readFile(path.join(root, file), encoding, (err, content) => {
+                if (!err) {
+                    return resolve(content);
+                }
+                if (err.code === 'ENOENT' || err.code === 'EISDIR') {
+                    return reject(new errors.ZenmillNotFoundError(file));
+                }
+                reject(err);
+            });
+        });
+    };
+};
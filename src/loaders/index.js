@@ -0,0 +1,6 @@
+'use strict';
+
+exports.fallback = require('./fallback');
+exports.fs = require('./fs');
+exports.memory = require('./memory');
+exports.dom = require('./dom');
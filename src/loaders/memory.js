@@ -0,0 +1,18 @@
+'use strict';
+
+const errors = require('../errors');
+
+/**
+ * Creates a loader which serves templates from an object
+ * with template contents keyed by paths.
+ *
+ * @param {*} templates - e.g. `{ 'index.html': '<h1>Hello</h1>' }`
+ */
+module.exports = function memoryLoader(templates) {
+    return function load(file) {
+        if (!Object.prototype.hasOwnProperty.call(templates, file)) {
+            return Promise.reject(new errors.ZenmillNotFoundError(file));
+        }
+        return Promise.resolve(String(templates[file]));
+    };
+};
@@ -9,6 +9,16 @@ var globals = {
     Object: Object
 };
 
+var safeGlobals = {
+    encodeURI: encodeURI,
+    encodeURIComponent: encodeURIComponent,
+    decodeURI: decodeURI,
+    decodeURIComponent: decodeURIComponent,
+    Date: Date,
+    Math: Math,
+    JSON: JSON
+};
+
 function extend() {
     var argv = [].slice.call(arguments);
     return argv.reduce(function(result, current) {
@@ -19,36 +29,503 @@ function extend() {
     }, {});
 }
 
+function resolveGlobals(globals, options) {
+    // Globals set to `undefined` still shadow built-in ones (and the real globals in `with`)
+    return extend(globals, options && options.globals, options && options.helpers);
+}
+
 function escapeHtml(html) {
     return String(html)
         .replace(/&/g, '&amp;')
         .replace(/</g, '&lt;')
         .replace(/>/g, '&gt;')
-        .replace(/"/g, '&quot;');
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
+function escapeAttr(value) {
+    // Unquoted attribute values end with whitespace
+    return escapeHtml(value).replace(/[\s=`]/g, function(c) {
+        return '&#' + c.charCodeAt(0) + ';';
+    });
+}
+
+function escapeScript(value) {
+    var json = JSON.stringify(value);
+    return json === undefined ? 'undefined' : escapeUnicode(json, /[<>&\u2028\u2029]/g);
+}
+
+function escapeScriptString(value) {
+    return escapeUnicode(String(value), /[\\'"`$<>&\r\n\u2028\u2029]/g);
+}
+
+function escapeUnicode(str, chars) {
+    return str.replace(chars, function(c) {
+        return '\\u' + ('000' + c.charCodeAt(0).toString(16)).slice(-4);
+    });
+}
+
+var UNSAFE = 'zenmill-unsafe';
+
+function filterName(value) {
+    value = String(value);
+    return /^[\w:\s-]*$/.test(value) ? value : UNSAFE;
+}
+
+function filterCss(value) {
+    value = String(value);
+    return /^[\w.#%+,\s-]*$/.test(value) ? value : UNSAFE;
+}
+
+function filterUrl(url) {
+    url = String(url);
+    // Browsers ignore whitespace and control characters in schemes
+    var scheme = /^([^\/?#:]*):/.exec(url.replace(/[\u0000-\u0020\u007f]/g, ''));
+    if (scheme && !/^(https?|mailto|tel|ftp)$/i.test(scheme[1]) &&
+            !/^data:image\/(png|gif|jpeg|webp);base64,[\w+\/]+=*$/i.test(url)) {
+        return 'about:invalid#' + UNSAFE;
+    }
+    return normalizeUrl(url);
+}
+
+function normalizeUrl(url) {
+    try {
+        // Keep existing percent-encoded characters intact
+        return encodeURI(String(url)).replace(/%25([0-9a-fA-F]{2})/g, '%$1');
+    } catch (e) {
+        return 'about:invalid#' + UNSAFE;
+    }
+}
+
+function filterSrcset(srcset) {
+    return mapSrcset(srcset, filterUrl);
+}
+
+function normalizeSrcset(srcset) {
+    return mapSrcset(srcset, normalizeUrl);
+}
+
+function mapSrcset(srcset, fn) {
+    // Candidates are URLs followed by optional descriptors (e.g. `2x` or `640w`)
+    var str = String(srcset);
+    var candidates = [];
+    var i = 0;
+    var match;
+    while ((match = /^[\s,]*(\S+)/.exec(str.slice(i)))) {
+        i += match[0].length;
+        var url = match[1];
+        var descriptors = '';
+        if (/,$/.test(url)) {
+            url = url.replace(/,+$/, '');
+        } else {
+            descriptors = /^[^,]*/.exec(str.slice(i))[0];
+            i += descriptors.length;
+            descriptors = descriptors.trim();
+        }
+        if (!/^(\d*\.?\d+[wxh](\s+\d*\.?\d+[wxh])*)?$/.test(descriptors))
+            descriptors = '';
+        candidates.push(fn(url) + (descriptors ? ' ' + descriptors : ''));
+    }
+    return candidates.join(', ');
+}
+
+function evaluate(stack, id, fn) {
+    try {
+        return fn();
+    } catch (e) {
+        throw renderError(e, expressions[id], stack);
+    }
+}
+
+function renderError(cause, expr, stack) {
+    if (cause && cause.name == 'ZenmillRenderError') {
+        return cause;
+    }
+    var message = (cause && cause.message || String(cause)) +
+        ' in expression `' + expr.source + '`' +
+        ' (' + expr.file + ':' + expr.line + ':' + expr.column + ')' +
+        '\nTemplate stack: ' + stack.join(' -> ');
+    var err = new Error(message);
+    err.name = 'ZenmillRenderError';
+    err.file = expr.file;
+    err.line = expr.line;
+    err.column = expr.column;
+    err.expr = expr.source;
+    err.templateStack = stack.slice();
+    err.cause = cause;
+    return err;
+}
+
+var UNSAFE_KEYS = ['constructor', 'prototype', '__proto__', '__defineGetter__', '__defineSetter__',
+    '__lookupGetter__', '__lookupSetter__', 'call', 'apply', 'bind'];
+
+function getMember(obj, key) {
+    if (UNSAFE_KEYS.indexOf(String(key)) != -1)
+        throw new Error('Access to ' + key + ' is not allowed');
+    return checkValue(obj[key]);
+}
+
+// Methods of arrays which neither change them nor take callbacks
+var ARRAY_METHODS = ['concat', 'includes', 'indexOf', 'join', 'lastIndexOf', 'slice'];
+
+// Marks functions created by `macro`
+var MACRO = {};
+
+function callables(shared) {
+    // Functions of globals and helpers, along with the methods of namespaces like `Math`
+    var fns = [];
+    Object.keys(shared).forEach(function(key) {
+        var value = shared[key];
+        if (typeof value == 'function')
+            fns.push(value);
+        if (value && (typeof value == 'object' || typeof value == 'function'))
+            Object.getOwnPropertyNames(value).forEach(function(name) {
+                var desc = Object.getOwnPropertyDescriptor(value, name);
+                if (typeof desc.value == 'function')
+                    fns.push(desc.value);
+            });
+    });
+    return fns;
+}
+
+function isBuiltinMethod(obj, key, fn) {
+    if (typeof obj == 'string' || typeof obj == 'number' || typeof obj == 'boolean')
+        return fn === Object.getPrototypeOf(Object(obj))[key];
+    return Array.isArray(obj) && ARRAY_METHODS.indexOf(String(key)) != -1 && fn === Array.prototype[key];
+}
+
+function isCallable(fn, calls) {
+    return fn.marker$ === MACRO || calls.indexOf(fn) != -1;
+}
+
+function callMethod(obj, key, args, calls) {
+    var fn = getMember(obj, key);
+    return callFunction(fn, obj, args, calls, isBuiltinMethod(obj, key, fn));
+}
+
+function callFunction(fn, receiver, args, calls, builtin) {
+    if (typeof fn != 'function')
+        throw new TypeError(fn + ' is not a function');
+    // Data may hold functions which templates must not call, like `order.cancel`
+    if (!builtin && !isCallable(fn, calls))
+        throw new Error('Only globals, helpers and macros can be called');
+    // Nor can such functions be called back, e.g. by `replace` or `JSON.stringify`
+    if (args.some(function(arg) { return typeof arg == 'function' && !isCallable(arg, calls); }))
+        throw new Error('Only globals, helpers and macros can be passed as functions');
+    return checkValue(fn.apply(receiver, args));
 }
 
-function each(obj, varName, locals, fn) {
-    function it(v, k, arr) {
-        locals[varName] = v;
-        locals[varName + '_index'] =
-            locals[varName + '_key'] =
-                k;
-        var isLast = typeof k == 'string' ?
-        arr[arr.length - 1] === k : k === arr.length - 1;
-        locals[varName + '_last'] = isLast;
-        locals[varName + '_has_next'] = !isLast;
-        fn(Object.create(locals));
+function checkValue(value) {
+    // Function constructors (including async and generator ones) would evaluate arbitrary code
+    if (typeof value == 'function' && (value === Function ||
+            typeof value.prototype == 'object' && value.prototype !== null &&
+            Object.getPrototypeOf(value.prototype) === Function.prototype))
+        throw new Error('Access to function constructors is not allowed');
+    return value;
+}
+
+var DATE_FORMATS = {
+    short: 'YYYY-MM-DD',
+    long: 'YYYY-MM-DD HH:mm'
+};
+
+var filters = {
+    upper: function(value) {
+        return String(value).toUpperCase();
+    },
+    lower: function(value) {
+        return String(value).toLowerCase();
+    },
+    trim: function(value) {
+        return String(value).trim();
+    },
+    truncate: function(value, length, end) {
+        value = String(value);
+        length = length == null ? 80 : length;
+        end = end == null ? '...' : String(end);
+        if (value.length <= length)
+            return value;
+        // The end is cut as well when it does not fit, so that the result never exceeds `length`
+        return (value.slice(0, Math.max(0, length - end.length)) + end).slice(0, Math.max(0, length));
+    },
+    json: function(value, indent) {
+        return JSON.stringify(value, null, indent);
+    },
+    'default': function(value, fallback) {
+        return value == null || value === '' ? fallback : value;
+    },
+    join: function(value, separator) {
+        var items = [];
+        if (Array.isArray(value))
+            items = value;
+        else if (isIterable(value))
+            iterate(value, function(v) {
+                items.push(v);
+            });
+        else if (value != null)
+            items = [value];
+        return items.join(separator == null ? ', ' : separator);
+    },
+    date: function(value, format) {
+        if (value == null || value === '')
+            return '';
+        var date = value instanceof Date ? value : new Date(value);
+        if (isNaN(date.getTime()))
+            throw new Error('Invalid date ' + value);
+        if (format == 'iso')
+            return date.toISOString();
+        if (Object.prototype.hasOwnProperty.call(DATE_FORMATS, format || 'short'))
+            format = DATE_FORMATS[format || 'short'];
+        var parts = {
+            YYYY: date.getFullYear(),
+            MM: date.getMonth() + 1,
+            DD: date.getDate(),
+            HH: date.getHours(),
+            mm: date.getMinutes(),
+            ss: date.getSeconds()
+        };
+        return String(format).replace(/YYYY|MM|DD|HH|mm|ss/g, function(token) {
+            return token == 'YYYY' ? String(parts.YYYY) : ('0' + parts[token]).slice(-2);
+        });
+    },
+    number: function(value, digits) {
+        var number = Number(value);
+        var parts = (digits == null ? String(number) : number.toFixed(digits)).split('.');
+        // Group thousands of integer part
+        parts[0] = parts[0].replace(/\B(?=(\d{3})+(?!\d))/g, ',');
+        return parts.join('.');
+    }
+};
+
+function checkOptions(required, options) {
+    // `required` lists the names of each option (precompiled templates do not carry them)
+    var missing = Object.keys(required).map(function(option) {
+        var given = options && options[option] || {};
+        var names = required[option].filter(function(name) {
+            return !Object.prototype.hasOwnProperty.call(given, name);
+        });
+        return names.length ? option + ' ' + names.join(', ') : null;
+    }).filter(Boolean);
+    if (missing.length)
+        throw new Error('Precompiled template requires ' + missing.join('; ') +
+            ' to be passed with options of render');
+}
+
+function applyFilters(filters, names, parts) {
+    // `parts` are the value followed by the arguments of each filter
+    return names.reduce(function(value, name, i) {
+        if (!Object.prototype.hasOwnProperty.call(filters, name))
+            throw new Error('Unknown filter ' + name);
+        return filters[name].apply(null, [value].concat(parts[i + 1]));
+    }, parts[0]);
+}
+
+function macro(scope, names, defaults, fn) {
+    var result = function() {
+        var locals = Object.create(scope);
+        for (var i = 0; i < names.length; i++) {
+            locals[names[i]] = arguments[i];
+            if (locals[names[i]] === undefined && defaults[i]) {
+                locals[names[i]] = defaults[i](locals);
+            }
+        }
+        var out = [];
+        fn(locals, out);
+        return out.join('');
+    };
+    result.marker$ = MACRO;
+    return result;
+}
+
+var BREAK = {};
+
+var CONTINUE = {};
+
+function each(obj, varName, locals, fn, order, sortBy) {
+    // Enclosing loop (if any) must be captured before it is shadowed
+    var parent = locals.loop$;
+    var length;
+    // Returns true if the loop is broken
+    function it(v, k, position, isLast, index) {
+        loopVars(locals, varName, parent, v, k, position, length, isLast, index);
+        try {
+            fn(Object.create(locals));
+        } catch (e) {
+            if (e === BREAK)
+                return true;
+            if (e !== CONTINUE)
+                throw e;
+        }
+        return false;
     }
     if (obj == null)
-        return;
-    if (Array.isArray(obj))
-        return obj.forEach(it);
+        return 0;
+    if (sortBy) {
+        var entries = sortEntries(obj, varName, locals, order, sortBy);
+        length = entries.length;
+        return times(length, function(i) {
+            var entry = entries[i];
+            return it(entry.value, entry.key, i, i === length - 1, entry.index);
+        });
+    }
+    if (Array.isArray(obj)) {
+        length = obj.length;
+        return times(length, function(i) {
+            return it(obj[i], i, i, i === length - 1);
+        });
+    }
+    if (isIterable(obj)) {
+        // Length of Maps and Sets is known up front, unlike the one of generators
+        length = typeof obj.size == 'number' ? obj.size : undefined;
+        return iterate(obj, it);
+    }
     if (typeof obj == 'object') {
-        var keys = Object.keys(obj).sort();
-        return keys.forEach(function(k) {
-            it(obj[k], k, keys);
+        var keys = objectKeys(obj, order);
+        length = keys.length;
+        return times(length, function(i) {
+            // Object keys also serve as indices
+            return it(obj[keys[i]], keys[i], i, i === length - 1, keys[i]);
         });
     }
     throw new Error('Non-iterable object ' + obj);
 }
 
+function times(length, fn) {
+    for (var i = 0; i < length; i++) {
+        if (fn(i))
+            return i + 1;
+    }
+    return length;
+}
+
+function loopVars(locals, varName, parent, v, k, position, length, isLast, index) {
+    var count = position + 1;
+    var loop = {
+        index: index === undefined ? position : index,
+        key: k,
+        count: count,
+        length: length,
+        first: position === 0,
+        last: isLast,
+        has_next: !isLast,
+        odd: count % 2 == 1,
+        even: count % 2 == 0
+    };
+    locals[varName] = v;
+    Object.keys(loop).forEach(function(name) {
+        locals[varName + '_' + name] = loop[name];
+    });
+    loop.parent = parent;
+    // Data named `loop` is shadowed, so loops are tracked in internal slot
+    locals.loop$ = loop;
+    locals.loop = loop;
+}
+
+function rangeLength(from, to, step) {
+    if (typeof step != 'number' || !step || !isFinite(step))
+        throw new Error('Invalid step ' + step + ' of range');
+    if (typeof from != 'number' || typeof to != 'number' || !isFinite(from) || !isFinite(to))
+        throw new Error('Invalid range from ' + from + ' to ' + to);
+    return Math.max(0, Math.floor((to - from) / step) + 1);
+}
+
+function objectKeys(obj, order) {
+    var keys = Object.keys(obj);
+    if (order == 'insertion')
+        return keys;
+    keys.sort();
+    return order == 'desc' ? keys.reverse() : keys;
+}
+
+function sortEntries(obj, varName, locals, order, sortBy) {
+    var entries = [];
+    function add(v, k) {
+        entries.push({ value: v, key: k });
+    }
+    if (Array.isArray(obj))
+        obj.forEach(add);
+    else if (isIterable(obj))
+        iterate(obj, add);
+    else if (typeof obj == 'object')
+        Object.keys(obj).forEach(function(k) {
+            entries.push({ value: obj[k], key: k, index: k });
+        });
+    else
+        throw new Error('Non-iterable object ' + obj);
+    entries.forEach(function(entry, i) {
+        var scope = Object.create(locals);
+        scope[varName] = entry.value;
+        scope[varName + '_key'] = entry.key;
+        entry.sortKey = sortBy(scope);
+        entry.position = i;
+    });
+    var direction = order == 'desc' ? -1 : 1;
+    return entries.sort(function(a, b) {
+        var result = a.sortKey < b.sortKey ? -1 : a.sortKey > b.sortKey ? 1 : 0;
+        return result * direction || a.position - b.position;
+    });
+}
+
+function isIterable(obj) {
+    return typeof obj == 'object' && typeof Symbol == 'function' &&
+        typeof obj[Symbol.iterator] == 'function';
+}
+
+function iterate(obj, fn) {
+    // Maps are iterated over values, with their keys exposed as `_key`
+    var isMap = typeof Map == 'function' && obj instanceof Map;
+    var iterator = obj[Symbol.iterator]();
+    var next = iterator.next();
+    var i = 0;
+    while (!next.done) {
+        var current = next.value;
+        // Look one item ahead to know whether current one is the last
+        next = iterator.next();
+        var stop = isMap ?
+            fn(current[1], current[0], i, next.done) :
+            fn(current, i, i, next.done);
+        i++;
+        if (stop) {
+            // Let generators run their `finally` blocks
+            if (typeof iterator.return == 'function')
+                iterator.return();
+            break;
+        }
+    }
+    return i;
+}
+
+// Used by the interpreter, not included into compiled templates
+if (typeof module == 'object' && module.exports) {
+    module.exports = {
+        globals: globals,
+        safeGlobals: safeGlobals,
+        extend: extend,
+        resolveGlobals: resolveGlobals,
+        escapeHtml: escapeHtml,
+        escapeAttr: escapeAttr,
+        escapeScript: escapeScript,
+        escapeScriptString: escapeScriptString,
+        filterName: filterName,
+        filterCss: filterCss,
+        filterUrl: filterUrl,
+        normalizeUrl: normalizeUrl,
+        filterSrcset: filterSrcset,
+        normalizeSrcset: normalizeSrcset,
+        // Escapers are looked up by name, just like in compiled code
+        encodeURIComponent: encodeURIComponent,
+        renderError: renderError,
+        filters: filters,
+        applyFilters: applyFilters,
+        getMember: getMember,
+        callMethod: callMethod,
+        callFunction: callFunction,
+        callables: callables,
+        macro: macro,
+        BREAK: BREAK,
+        CONTINUE: CONTINUE,
+        each: each,
+        loopVars: loopVars,
+        rangeLength: rangeLength
+    };
+}
@@ -0,0 +1,67 @@
+'use strict';
+
+const grammar = require('./expression');
+
+/**
+ * Compiles expressions of restricted grammar (see `expression.peg`)
+ * into the code which reads variables directly from `locals`,
+ * without `with` statement.
+ *
+ * Property access and calls go through runtime helpers (`getMember`,
+ * `callMethod`, `callFunction`), which refuse to reach prototypes
+ * and function constructors. Only the functions listed in `calls$`
+ * (see `callables`), macros and built-in methods of strings and arrays
+ * can be called, and only the former two can be passed as arguments.
+ *
+ * Throws if expression cannot be parsed or is not allowed.
+ *
+ * @private
+ */
+module.exports = function compileSafe(source) {
+    return generate(grammar.parse(source));
+};
+
+function generate(node) {
+    switch (node.type) {
+        case 'literal':
+            return typeof node.value == 'number' ? String(node.value) :
+                node.value === undefined ? 'undefined' : JSON.stringify(node.value);
+        case 'identifier':
+            // Variables must not resolve to the members of `Object.prototype`
+            if (node.name in Object.prototype) {
+                throw new Error(`Access to ${node.name} is not allowed`);
+            }
+            return 'locals.' + node.name;
+        case 'member':
+            return 'getMember(' + generate(node.object) + ',' + generate(node.property) + ')';
+        case 'call':
+            if (node.callee.type === 'member') {
+                // Methods are called with their objects as `this`
+                return 'callMethod(' + generate(node.callee.object) + ',' +
+                    generate(node.callee.property) + ',' + list(node.args) + ',calls$)';
+            }
+            return 'callFunction(' + generate(node.callee) + ',undefined,' + list(node.args) + ',calls$)';
+        case 'unary':
+            return '(' + node.operator + ' ' + generate(node.argument) + ')';
+        case 'binary':
+            return '(' + generate(node.left) + ' ' + node.operator + ' ' + generate(node.right) + ')';
+        case 'conditional':
+            return '(' + generate(node.test) + ' ? ' + generate(node.consequent) +
+                ' : ' + generate(node.alternate) + ')';
+        case 'array':
+            return list(node.elements);
+        case 'object':
+            return '{' + node.properties.map(prop => {
+                // `__proto__` in object literals sets their prototype
+                if (prop.key === '__proto__') {
+                    throw new Error('Access to __proto__ is not allowed');
+                }
+                return JSON.stringify(prop.key) + ':' + generate(prop.value);
+            }).join(',') + '}';
+    }
+    throw new Error('Unknown expression type: ' + node.type);
+}
+
+function list(nodes) {
+    return '[' + nodes.map(generate).join(',') + ']';
+}
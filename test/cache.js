@@ -0,0 +1,124 @@
+'use strict';
+
+const createCompiler = require('../src/compiler');
+const fs = require('fs-promise');
+const path = require('path');
+const assert = require('assert');
+
+describe('Cache', function() {
+
+    let loaded = [];
+
+    function load(file) {
+        if (loaded.indexOf(file) === -1) {
+            loaded.push(file);
+        }
+        return fs.readFile(path.join(__dirname, 'templates', file), 'utf-8');
+    }
+
+    beforeEach(function() {
+        loaded = [];
+    });
+
+    it('should not cache by default', function() {
+        const compiler = createCompiler(load);
+        return compiler.compile('includes/index.html')
+            .then(() => {
+                loaded = [];
+                return compiler.compile('includes/index.html');
+            })
+            .then(() => assert.equal(loaded.length, 4));
+    });
+
+    it('should reuse compiled functions', function() {
+        const compiler = createCompiler(load, { cache: true });
+        return Promise.all([
+            compiler.compile('includes/index.html'),
+            compiler.compile('/includes/index.html')
+        ])
+            .then(fns => {
+                assert.strictEqual(fns[0], fns[1]);
+                return compiler.compile('includes/index.html');
+            })
+            .then(() => assert.equal(loaded.length, 4));
+    });
+
+    it('should evict templates depending on nested partial', function() {
+        const compiler = createCompiler(load, { cache: true });
+        return Promise.all([
+            compiler.compile('includes/index.html'),
+            compiler.compile('includes/header/header.html'),
+            compiler.compile('inlines/index.html')
+        ])
+            .then(() => {
+                loaded = [];
+                compiler.invalidate('includes/title.html');
+                return Promise.all([
+                    compiler.compile('includes/index.html'),
+                    compiler.compile('includes/header/header.html'),
+                    compiler.compile('inlines/index.html')
+                ]);
+            })
+            .then(() => assert.deepEqual(loaded.sort(), [
+                'includes/footer/footer.html',
+                'includes/header/header.html',
+                'includes/index.html',
+                'includes/title.html'
+            ]));
+    });
+
+    it('should track inlined files', function() {
+        const compiler = createCompiler(load, { cache: true });
+        return compiler.compile('inlines/index.html')
+            .then(() => {
+                loaded = [];
+                compiler.invalidate('inlines/code.html');
+                return compiler.compile('inlines/index.html');
+            })
+            .then(() => assert.deepEqual(loaded, [
+                'inlines/index.html',
+                'inlines/code.html'
+            ]));
+    });
+
+    it('should track files used by definitions which are not rendered', function() {
+        const compiler = createCompiler(load, { cache: true });
+        return compiler.compile('defs/unused.html')
+            .then(() => {
+                loaded = [];
+                compiler.invalidate('includes/title.html');
+                return compiler.compile('defs/unused.html');
+            })
+            .then(() => assert.deepEqual(loaded.sort(), [
+                'defs/unused.html',
+                'includes/title.html',
+                'layouts/layout.html'
+            ]));
+    });
+
+    it('should clear whole cache', function() {
+        const compiler = createCompiler(load, { cache: true });
+        return compiler.compile('layouts/index.html')
+            .then(() => {
+                loaded = [];
+                compiler.invalidate();
+                return compiler.compile('layouts/index.html');
+            })
+            .then(() => assert.equal(loaded.length, 2));
+    });
+
+    it('should not cache failures', function() {
+        const compiler = createCompiler(load, { cache: true });
+        return compiler.compile('missing.html')
+            .then(() => assert.fail('should fail'), () => compiler.compile('includes/title.html'))
+            .then(() => {
+                loaded = [];
+                return compiler.compile('missing.html');
+            })
+            .then(() => assert.fail('should fail'), err => {
+                assert.equal(err.code, 'ENOENT');
+                assert.deepEqual(loaded, ['missing.html']);
+            });
+    });
+
+});
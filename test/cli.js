@@ -0,0 +1,102 @@
+'use strict';
+
+const cli = require('../src/cli');
+const fs = require('fs-promise');
+const os = require('os');
+const path = require('path');
+const assert = require('assert');
+
+describe('CLI', function() {
+
+    const root = path.join(__dirname, 'templates');
+    const tmp = path.join(os.tmpdir(), 'zenmill-cli-' + Date.now());
+
+    let io = null;
+
+    function stream() {
+        return {
+            data: '',
+            write(chunk) {
+                this.data += chunk;
+            }
+        };
+    }
+
+    before(function() {
+        return fs.mkdir(tmp);
+    });
+
+    after(function() {
+        return fs.remove(tmp);
+    });
+
+    beforeEach(function() {
+        io = {
+            stdout: stream(),
+            stderr: stream()
+        };
+    });
+
+    it('should render template with data', function() {
+        const data = path.join(tmp, 'data.json');
+        return fs.writeFile(data, JSON.stringify({ friends: 2 }))
+            .then(() => cli(['render', 'if/index.html', '--root', root, '--data', data], io))
+            .then(code => {
+                assert.equal(code, 0);
+                assert.equal(io.stdout.data.trim(), '<p>You have a few friends.</p>');
+            });
+    });
+
+    it('should compile templates into modules', function() {
+        const out = path.join(tmp, 'out');
+        return cli(['compile', 'layouts/**/list.html', 'layouts/index.html',
+            '--root', root, '--out', out], io)
+            .then(code => {
+                assert.equal(code, 0);
+                return Promise.all([
+                    fs.readFile(path.join(out, 'layouts/index.js'), 'utf-8'),
+                    fs.readFile(path.join(out, 'layouts/users/list.js'), 'utf-8')
+                ]);
+            })
+            .then(sources => sources.forEach(source => {
+                assert.ok(source.indexOf('module.exports = render') !== -1);
+            }));
+    });
+
+    function templatesOf(dir) {
+        return fs.readdir(path.join(root, dir))
+            .then(names => names.filter(name => /\.html$/.test(name)));
+    }
+
+    it('should check templates', function() {
+        return Promise.all([templatesOf('if'), cli(['check', 'if/*.html', '--root=' + root], io)])
+            .then(results => {
+                assert.equal(results[1], 0);
+                assert.equal(io.stdout.data, `${results[0].length} template(s) checked, 0 failed\n`);
+            });
+    });
+
+    it('should report errors with locations', function() {
+        // Every template of errors directory fails, except these
+        const valid = ['frame.html', 'page.html'];
+        return Promise.all([templatesOf('errors'), cli(['check', 'errors/*.html', '--root', root], io)])
+            .then(results => {
+                const files = results[0];
+                const failed = files.filter(name => valid.indexOf(name) === -1);
+                assert.equal(results[1], 1);
+                assert.equal(io.stdout.data, `${files.length} template(s) checked, ${failed.length} failed\n`);
+                assert.ok(io.stderr.data.indexOf('(errors/broken.html:3:6)') !== -1);
+                assert.ok(io.stderr.data.indexOf('Unknown filter shout (errors/filter.html:1:4)\n') !== -1);
+                assert.equal(io.stderr.data.split('errors/filter.html').length - 1, 1);
+            });
+    });
+
+    it('should fail on unknown command', function() {
+        return cli(['build'], io)
+            .then(code => {
+                assert.equal(code, 1);
+                assert.ok(io.stderr.data.indexOf('Usage: zenmill') === 0);
+            });
+    });
+
+});
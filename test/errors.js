@@ -0,0 +1,187 @@
+'use strict';
+
+const zenmill = require('../src');
+const fs = require('fs-promise');
+const path = require('path');
+const assert = require('assert');
+const assertHtml = require('./support').assertHtml;
+
+describe('Errors', function() {
+
+    function load(file) {
+        return fs.readFile(path.join(__dirname, 'templates', file), 'utf-8');
+    }
+
+    const compiler = zenmill(load);
+
+    describe('ZenmillSyntaxError', function() {
+
+        it('should report file, location and include chain', function() {
+            return compiler.compile('errors/index.html')
+                .then(() => assert.fail('should fail'), err => {
+                    assert.ok(err instanceof zenmill.ZenmillSyntaxError);
+                    assert.equal(err.name, 'ZenmillSyntaxError');
+                    assert.equal(err.file, 'errors/broken.html');
+                    assert.deepEqual(err.chain, [
+                        'errors/index.html',
+                        'errors/layout.html',
+                        'errors/broken.html'
+                    ]);
+                    assert.equal(err.line, 3);
+                    assert.equal(err.column, 6);
+                    assert.ok(err.message.indexOf('(errors/broken.html:3:6)') !== -1);
+                    assert.ok(err.message.indexOf(
+                        'errors/index.html -> errors/layout.html -> errors/broken.html') !== -1);
+                });
+        });
+
+        it('should format code frame', function() {
+            return compiler.compile('errors/broken.html')
+                .then(() => assert.fail('should fail'), err => {
+                    assert.deepEqual(err.chain, ['errors/broken.html']);
+                    assert.equal(err.frame, [
+                        '  1 | <ul>',
+                        '  2 | \t<li>One</li>',
+                        '> 3 | \t<li><each:item in="items">#{item}</each:items></li>',
+                        '    | \t    ^',
+                        '  4 | </ul>'
+                    ].join('\n'));
+                });
+        });
+
+    });
+
+    describe('ZenmillCompileError', function() {
+
+        it('should detect include cycles', function() {
+            return compiler.compile('cycles/a.html')
+                .then(() => assert.fail('should fail'), err => {
+                    assert.ok(err instanceof zenmill.ZenmillCompileError);
+                    assert.equal(err.file, 'cycles/b.html');
+                    assert.equal(err.line, 1);
+                    assert.equal(err.column, 1);
+                    assert.deepEqual(err.cycle, ['cycles/a.html', 'cycles/b.html', 'cycles/a.html']);
+                    assert.ok(err.message.indexOf(
+                        'Include cycle detected: cycles/a.html -> cycles/b.html -> cycles/a.html') === 0);
+                });
+        });
+
+        it('should detect self includes', function() {
+            return compiler.compile('cycles/self.html')
+                .then(() => assert.fail('should fail'), err => {
+                    assert.deepEqual(err.cycle, ['cycles/self.html', 'cycles/self.html']);
+                    assert.equal(err.line, 2);
+                    assert.equal(err.column, 3);
+                });
+        });
+
+        it('should reject missing component props', function() {
+            return compiler.compile('components/missing.html')
+                .then(() => assert.fail('should fail'), err => {
+                    assert.ok(err instanceof zenmill.ZenmillCompileError);
+                    assert.equal(err.message, 'Missing required prop(s) label ' +
+                        'of component components/button.html (components/missing.html:2:3)');
+                });
+        });
+
+        it('should reject unknown component props', function() {
+            return compiler.compile('components/unknown.html')
+                .then(() => assert.fail('should fail'), err => {
+                    assert.equal(err.message, 'Unknown prop(s) size ' +
+                        'of component components/button.html (components/unknown.html:1:1)');
+                });
+        });
+
+        it('should reject using templates without props declaration', function() {
+            return compiler.compile('components/plain.html')
+                .then(() => assert.fail('should fail'), err => {
+                    assert.equal(err.message, 'includes/title.html is not a component ' +
+                        '(components/plain.html:1:1)');
+                });
+        });
+
+        it('should check definitions which are not rendered', function() {
+            return compiler.compile('defs/broken.html')
+                .then(() => assert.fail('should fail'), err => {
+                    assert.equal(err.code, 'ENOENT');
+                    assert.ok(err.message.indexOf('defs/missing.html') !== -1, err.message);
+                });
+        });
+
+        it('should reject components declared after other tags', function() {
+            return compiler.compile('components/misplaced.html')
+                .then(() => assert.fail('should fail'), err => {
+                    assert.ok(err instanceof zenmill.ZenmillSyntaxError);
+                    assert.equal(err.line, 2);
+                    assert.ok(err.message.indexOf('<component> must be the first tag of the file') === 0);
+                });
+        });
+
+        it('should reject invalid macro arguments', function() {
+            return compiler.compile('macros/invalid.html')
+                .then(() => assert.fail('should fail'), err => {
+                    assert.ok(err instanceof zenmill.ZenmillCompileError);
+                    assert.equal(err.message, 'Invalid argument `b-c` of macro item ' +
+                        '(macros/invalid.html:1:1)');
+                });
+        });
+
+        it('should reject invalid order of each', function() {
+            return compiler.compile('each/invalid.html')
+                .then(() => assert.fail('should fail'), err => {
+                    assert.ok(err instanceof zenmill.ZenmillCompileError);
+                    assert.equal(err.message, 'Invalid order random of each n (each/invalid.html:1:1)');
+                });
+        });
+
+        it('should reject loop controls outside of each', function() {
+            return compiler.compile('each/outside.html')
+                .then(() => assert.fail('should fail'), err => {
+                    assert.ok(err instanceof zenmill.ZenmillCompileError);
+                    assert.equal(err.message, '<break/> outside of each (each/outside.html:1:4)');
+                });
+        });
+
+        it('should reject invalid default order', function() {
+            assert.throws(() => zenmill(load, { order: 'random' }), /Unknown order: random/);
+        });
+
+        it('should allow including same file many times', function() {
+            return compiler.render('cycles/siblings.html')
+                .then(html => assertHtml(html, '<i>Item</i><i><i>Item</i></i>'));
+        });
+
+    });
+
+    describe('ZenmillRenderError', function() {
+
+        it('should point at failed expression', function() {
+            return compiler.render('errors/page.html', {})
+                .then(() => assert.fail('should fail'), err => {
+                    assert.equal(err.name, 'ZenmillRenderError');
+                    assert.equal(err.file, 'errors/page.html');
+                    assert.equal(err.line, 3);
+                    assert.equal(err.column, 8);
+                    assert.equal(err.expr, 'user.name');
+                    assert.ok(err.cause instanceof ReferenceError);
+                    assert.deepEqual(err.templateStack, [
+                        'errors/page.html',
+                        'errors/frame.html',
+                        'block:content'
+                    ]);
+                    assert.ok(err.message.indexOf(
+                        'in expression `user.name` (errors/page.html:3:8)') !== -1);
+                });
+        });
+
+        it('should not affect subsequent renders', function() {
+            return compiler.compile('errors/page.html')
+                .then(fn => {
+                    assert.throws(fn.bind(null, {}), /user\.name/);
+                    assertHtml(fn({ user: { name: 'Alice' } }), '<section><p>Alice</p></section>');
+                });
+        });
+
+    });
+
+});
@@ -0,0 +1,198 @@
+'use strict';
+
+const zenmill = require('../src');
+const assert = require('assert');
+
+describe('Escaping', function() {
+
+    const templates = {
+        'text.html': '<p title=\'#{value}\'>#{value}</p><textarea>#{value}</textarea>',
+        'unquoted.html': '<a class=#{value}>Link</a>',
+        'urls.html': '<a href="#{url}">Link</a>' +
+            '<a href=\'/search?q=#{url}\'>Search</a>' +
+            '<img src="/users/#{url}">',
+        'srcset.html': '<img srcset="#{url}"><img srcset="/a.png 1x, #{url} 2x">',
+        'script.html': '<script>var data = #{value}, name = \'#{value}\';</script>' +
+            '<button onclick="select(#{value})">Select</button>',
+        'comments.html': '<script>\n// don\'t touch\nvar a = #{value};\n/* it\'s */ var b = #{value};</script>' +
+            '<button onclick="/* it\'s */ go(#{value})">Go</button>',
+        'regexes.html': '<script>var r = /\'/, s = /[/"]/g; var t = /`/.test(a), n = a.length / 2 + #{value};</script>',
+        'in-comment.html': '<script>// #{value}\n</script>',
+        'in-regex.html': '<script>var r = /#{value}/;</script>',
+        'ambiguous.html': '<script>if (a) /\'/.test(b); var c = #{value};</script>',
+        'reference.html': '<button onclick="go(&quot;#{value}&quot;)">Go</button>',
+        'unterminated.html': '<script>var a = \'</script>',
+        'style.html': '<div style="color: #{value}"></div><style>p { color: #{value} }</style>',
+        'tag.html': '<input #{value}>',
+        'raw.html': '<a href="!{value}">!{value}</a>',
+        'layout.html': '<a href="<block:url>/</block:url>"><block:title/></a>',
+        'page.html': '<include file="layout.html">' +
+            '<def:url>#{url}</def:url>' +
+            '<def:title>#{url}</def:title>' +
+            '</include>',
+        'branches.html': '<if expr="value"><a href="</if>">',
+        'loop.html': '<each:item in="value"><p class="</each:item>',
+        'attrs.html': '<input type="checkbox"<if expr="value"> checked</if> name="#{value}">',
+        'macro.html': '<macro:link args="url"><a href="#{url}</macro:link><p>!{link(value)}">Link</a></p>',
+        'inline.html': '<a title="<inline file="text.html"/>">Text</a>'
+    };
+
+    const load = zenmill.loaders.memory(templates);
+
+    const compiler = zenmill(load);
+
+    function render(file, value) {
+        return compiler.render(file, { value, url: value });
+    }
+
+    it('should escape text and attributes', function() {
+        return render('text.html', '<b class="x">\'Tom\' & Jerry</b>')
+            .then(html => assert.equal(html,
+                '<p title=\'&lt;b class=&quot;x&quot;&gt;&#39;Tom&#39; &amp; Jerry&lt;/b&gt;\'>' +
+                '&lt;b class=&quot;x&quot;&gt;&#39;Tom&#39; &amp; Jerry&lt;/b&gt;</p>' +
+                '<textarea>&lt;b class=&quot;x&quot;&gt;&#39;Tom&#39; &amp; Jerry&lt;/b&gt;</textarea>'));
+    });
+
+    it('should escape unquoted attributes', function() {
+        return render('unquoted.html', 'x onclick=alert(1)')
+            .then(html => assert.equal(html, '<a class=x&#32;onclick&#61;alert(1)>Link</a>'));
+    });
+
+    it('should reject unsafe URLs', function() {
+        return Promise.all([
+            'javascript:alert(1)',
+            ' JaVa\tScRiPt:alert(1)',
+            'vbscript:msgbox(1)',
+            'data:text/html;base64,PHNjcmlwdD4='
+        ].map(url => {
+            return render('urls.html', url)
+                .then(html => assert.ok(html.indexOf('<a href="about:invalid#zenmill-unsafe">') === 0, html));
+        }));
+    });
+
+    it('should encode URLs according to their parts', function() {
+        return render('urls.html', 'https://example.com/?q=a&b="c d"')
+            .then(html => assert.equal(html,
+                '<a href="https://example.com/?q=a&amp;b=%22c%20d%22">Link</a>' +
+                '<a href=\'/search?q=https%3A%2F%2Fexample.com%2F%3Fq%3Da%26b%3D%22c%20d%22\'>Search</a>' +
+                '<img src="/users/https://example.com/?q=a&amp;b=%22c%20d%22">'));
+    });
+
+    it('should filter each URL of srcset', function() {
+        return render('srcset.html', 'a.png 1x, b c.png 2x,javascript:alert(1) 640w')
+            .then(html => assert.equal(html,
+                '<img srcset="a.png 1x, b, about:invalid#zenmill-unsafe 640w">' +
+                '<img srcset="/a.png 1x, a.png 1x, b, about:invalid#zenmill-unsafe 640w 2x">'))
+            .then(() => render('srcset.html', 'javascript:alert(1)'))
+            .then(html => assert.equal(html, '<img srcset="about:invalid#zenmill-unsafe">' +
+                '<img srcset="/a.png 1x, about:invalid#zenmill-unsafe 2x">'));
+    });
+
+    it('should allow unsafe URLs when told to', function() {
+        return zenmill(load, { allowUnsafeUrls: true }).render('urls.html', { url: 'javascript:void(0)' })
+            .then(html => assert.ok(html.indexOf('<a href="javascript:void(0)">') === 0, html));
+    });
+
+    it('should escape scripts', function() {
+        return render('script.html', { name: '</script><script>alert(1)' })
+            .then(html => assert.equal(html,
+                '<script>var data = {"name":"\\u003c/script\\u003e\\u003cscript\\u003ealert(1)"}, ' +
+                'name = \'[object Object]\';</script>' +
+                '<button onclick="select({&quot;name&quot;:&quot;\\u003c/script\\u003e' +
+                '\\u003cscript\\u003ealert(1)&quot;})">Select</button>'))
+            .then(() => render('script.html', '\';alert(1)//'))
+            .then(html => assert.ok(html.indexOf('name = \'\\u0027;alert(1)//\';') !== -1, html));
+    });
+
+    it('should track comments and regular expressions in scripts', function() {
+        return Promise.all([
+            render('comments.html', '0;alert(1)')
+                .then(html => assert.equal(html,
+                    '<script>\n// don\'t touch\nvar a = "0;alert(1)";\n/* it\'s */ var b = "0;alert(1)";</script>' +
+                    '<button onclick="/* it\'s */ go(&quot;0;alert(1)&quot;)">Go</button>')),
+            render('regexes.html', '0;alert(1)')
+                .then(html => assert.ok(html.indexOf('/ 2 + "0;alert(1)";') !== -1, html))
+        ]);
+    });
+
+    it('should reject expressions in ambiguous script contexts', function() {
+        const ambiguous = 'Cannot tell where expression is written in JavaScript ' +
+            '(after ambiguous `/`, `${` or character reference), use a variable instead';
+        return Promise.all([
+            ['in-comment.html', 'Expressions are not allowed in JavaScript comments (in-comment.html:1:12)'],
+            ['in-regex.html', 'Expressions are not allowed in JavaScript regular expressions (in-regex.html:1:18)'],
+            ['ambiguous.html', ambiguous + ' (ambiguous.html:1:37)'],
+            ['reference.html', ambiguous + ' (reference.html:1:27)'],
+            ['unterminated.html', 'Unterminated JavaScript string in <script> element (unterminated.html)']
+        ].map(c => compiler.compile(c[0])
+            .then(() => assert.fail('should fail'), err => {
+                assert.ok(err instanceof zenmill.ZenmillCompileError);
+                assert.equal(err.message, c[1]);
+            })));
+    });
+
+    it('should filter styles', function() {
+        return render('style.html', 'red')
+            .then(html => assert.equal(html, '<div style="color: red"></div><style>p { color: red }</style>'))
+            .then(() => render('style.html', 'red; background: url(javascript:alert(1))'))
+            .then(html => assert.equal(html,
+                '<div style="color: zenmill-unsafe"></div><style>p { color: zenmill-unsafe }</style>'));
+    });
+
+    it('should filter attribute names', function() {
+        return Promise.all([
+            render('tag.html', 'disabled'),
+            render('tag.html', 'onclick=alert(1)')
+        ])
+            .then(html => assert.deepEqual(html, ['<input disabled>', '<input zenmill-unsafe>']));
+    });
+
+    it('should not escape unescaped expressions', function() {
+        return render('raw.html', 'javascript:<b>')
+            .then(html => assert.equal(html, '<a href="javascript:<b>">javascript:<b></a>'));
+    });
+
+    it('should escape definitions in the context of blocks', function() {
+        return compiler.render('page.html', { url: 'javascript:alert("1")' })
+            .then(html => assert.equal(html,
+                '<a href="about:invalid#zenmill-unsafe">javascript:alert(&quot;1&quot;)</a>'));
+    });
+
+    it('should escape inlines in the context of inline', function() {
+        return render('inline.html')
+            .then(html => assert.equal(html,
+                '<a title="&lt;p title=&#39;#{value}&#39;&gt;#{value}&lt;/p&gt;' +
+                '&lt;textarea&gt;#{value}&lt;/textarea&gt;">Text</a>'));
+    });
+
+    it('should allow conditional attributes', function() {
+        return render('attrs.html', 'x')
+            .then(html => assert.equal(html, '<input type="checkbox" checked name="x">'));
+    });
+
+    it('should reject branches ending in different contexts', function() {
+        return Promise.all([
+            compiler.compile('branches.html')
+                .then(() => assert.fail('should fail'), err => {
+                    assert.ok(err instanceof zenmill.ZenmillCompileError);
+                    assert.equal(err.message, 'Content of <if> ends in different HTML contexts: ' +
+                        'text, value of href attribute (branches.html:1:1)');
+                }),
+            compiler.compile('loop.html')
+                .then(() => assert.fail('should fail'), err => {
+                    assert.equal(err.message, 'Content of <each> ends in different HTML contexts: ' +
+                        'text, value of class attribute (loop.html:1:1)');
+                })
+        ]);
+    });
+
+    it('should reject macros ending in other than text', function() {
+        return compiler.compile('macro.html')
+            .then(() => assert.fail('should fail'), err => {
+                assert.ok(err instanceof zenmill.ZenmillCompileError);
+                assert.equal(err.message, 'Content of <macro:link> must end in text, ' +
+                    'but ends in value of href attribute (macro.html:1:1)');
+            });
+    });
+
+});
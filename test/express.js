@@ -0,0 +1,112 @@
+'use strict';
+
+const zenmill = require('../src');
+const fs = require('fs-promise');
+const os = require('os');
+const path = require('path');
+const assert = require('assert');
+
+describe('Express', function() {
+
+    const views = path.join(__dirname, 'templates', 'express');
+
+    function render(engine, file, locals) {
+        return new Promise((resolve, reject) => {
+            engine(path.resolve(views, file), locals, (err, html) => err ? reject(err) : resolve(html));
+        });
+    }
+
+    // Mirrors app.render of Express: app.locals, then res.locals, then render options
+    function expressLocals(app, res, options) {
+        return Object.assign({}, app, res, options, { _locals: res });
+    }
+
+    it('should render views with merged locals', function() {
+        const engine = zenmill.express();
+        return render(engine, 'users/list.html', expressLocals(
+            { title: 'App', copyright: 'App', settings: { views: [os.tmpdir(), views] }, cache: true },
+            { title: 'Res', copyright: 'Res' },
+            { title: 'Users', users: ['Alice', 'Bob'] }
+        ))
+            .then(html => assert.equal(html.replace(/\s+/g, ''),
+                '<title>Users</title><p>Alice</p><p>Bob</p><footer>Res</footer>'));
+    });
+
+    it('should resolve views relative to root', function() {
+        const engine = zenmill.express({ root: path.join(views, 'users') });
+        return render(engine, 'users/layout.html', { title: 'Root', copyright: '' })
+            .then(html => assert.ok(html.indexOf('<title>Root</title>') === 0));
+    });
+
+    it('should pass errors to callback', function() {
+        const engine = zenmill.express();
+        return render(engine, 'users/missing.html', { settings: { views } })
+            .then(() => assert.fail('should fail'), err => {
+                assert.ok(err instanceof zenmill.ZenmillNotFoundError);
+                assert.equal(err.file, 'users/missing.html');
+            });
+    });
+
+    it('should not turn errors of callback into rejections', function(done) {
+        // Mocha listens to both events, so its listeners are restored afterwards
+        const events = ['uncaughtException', 'unhandledRejection'];
+        const listeners = events.map(event => process.listeners(event));
+        events.forEach(event => process.removeAllListeners(event));
+        function finish(err) {
+            events.forEach((event, i) => {
+                process.removeAllListeners(event);
+                listeners[i].forEach(listener => process.on(event, listener));
+            });
+            done(err);
+        }
+        process.once('uncaughtException', err => finish(err.message === 'Headers already sent' ? null : err));
+        process.once('unhandledRejection', () => finish(new Error('Error of callback is rejected')));
+        zenmill.express()(path.resolve(views, 'users/list.html'), {
+            settings: { views },
+            title: 'Users',
+            users: []
+        }, () => {
+            throw new Error('Headers already sent');
+        });
+    });
+
+    describe('view cache', function() {
+
+        const root = path.join(os.tmpdir(), 'zenmill-express-' + Date.now());
+        const file = path.join(root, 'index.html');
+
+        before(function() {
+            return fs.mkdir(root);
+        });
+
+        after(function() {
+            return fs.unlink(file).then(() => fs.rmdir(root));
+        });
+
+        function renderTwice(engine, locals) {
+            const results = [];
+            return fs.writeFile(file, 'One')
+                .then(() => render(engine, file, locals))
+                .then(html => results.push(html))
+                .then(() => fs.writeFile(file, 'Two'))
+                .then(() => render(engine, file, locals))
+                .then(html => results.concat(html));
+        }
+
+        it('should follow view cache setting', function() {
+            const engine = zenmill.express({ root });
+            return renderTwice(engine, { cache: true })
+                .then(results => assert.deepEqual(results, ['One', 'One']))
+                .then(() => renderTwice(engine, { cache: false }))
+                .then(results => assert.deepEqual(results, ['One', 'Two']));
+        });
+
+        it('should allow overriding view cache setting', function() {
+            const engine = zenmill.express({ root, cache: false });
+            return renderTwice(engine, { cache: true })
+                .then(results => assert.deepEqual(results, ['One', 'Two']));
+        });
+
+    });
+
+});
@@ -0,0 +1,125 @@
+'use strict';
+
+const zenmill = require('../src');
+const assert = require('assert');
+
+describe('Filters', function() {
+
+    const templates = {
+        'builtin.html': '<p>#{name | upper} #{name | lower} [#{padded | trim}]</p>' +
+            '<p>#{text | truncate(10)} #{text | truncate(8, "~")} #{text | truncate(2)}</p>' +
+            '<script>var user = !{user | json};</script>' +
+            '<p>#{missing | default("n/a")} #{tags | join} #{tags | join(" / ")}</p>' +
+            '<p>#{created | date} #{created | date("long")} #{created | date("DD.MM.YYYY HH:mm:ss")}</p>' +
+            '<p>#{price | number} #{price | number(2)}</p>',
+        'chain.html': '<var:title>name | truncate(4, "") | upper</var:title>' +
+            '#{title} #{flag || name | lower} #{ { a: "|" }.a | default(0) }',
+        'custom.html': '#{name | shout | upper}',
+        'unknown.html': '<p>\n  #{name | shout}\n</p>',
+        'error.html': '#{created | date("long")}',
+        'nested.html': '#{Math.max(bits | 1, 0)} #{/A|B/.test(name) | upper} #{[bits | 2][0] / 2 | number} ' +
+            '#{price / 2 | number(1)} #{name.replace(/[|)]/g, "") | lower} #{ `a|b` } #{ `${name}|}` | upper }',
+        'if.html': '<if expr="bits | 1">#{bits}</if>',
+        'each.html': '<each:tag in="tags | join">#{tag}</each:tag>'
+    };
+
+    const load = zenmill.loaders.memory(templates);
+
+    const data = {
+        name: 'Alice',
+        missing: null,
+        flag: false,
+        padded: '  x  ',
+        text: 'Lorem ipsum dolor sit amet',
+        user: { name: '</script>' },
+        tags: ['a', 'b'],
+        created: new Date(2020, 0, 2, 3, 4, 5),
+        price: 1234567.891,
+        bits: 4
+    };
+
+    const shout = value => value + '!';
+
+    [
+        ['JavaScript expressions', {}],
+        ['safe expressions', { expressions: 'safe' }],
+        ['interpreter', { expressions: 'safe', backend: 'interpreter' }]
+    ].forEach(mode => {
+
+        describe('with ' + mode[0], function() {
+
+            const compiler = zenmill(load, mode[1]);
+
+            it('should apply built-in filters', function() {
+                return compiler.render('builtin.html', data)
+                    .then(html => assert.equal(html,
+                        '<p>ALICE alice [x]</p>' +
+                        '<p>Lorem i... Lorem i~ ..</p>' +
+                        '<script>var user = {"name":"</script>"};</script>' +
+                        '<p>n/a a, b a / b</p>' +
+                        '<p>2020-01-02 2020-01-02 03:04 02.01.2020 03:04:05</p>' +
+                        '<p>1,234,567.891 1,234,567.89</p>'));
+            });
+
+            it('should chain filters', function() {
+                return compiler.render('chain.html', data)
+                    .then(html => assert.equal(html, 'ALIC alice |'));
+            });
+
+            it('should apply custom filters', function() {
+                const compiler = zenmill(load, Object.assign({ filters: { shout } }, mode[1]));
+                return compiler.render('custom.html', data)
+                    .then(html => assert.equal(html, 'ALICE!'))
+                    .then(() => compiler.render('custom.html', data, {
+                        filters: { upper: value => value }
+                    }))
+                    .then(html => assert.equal(html, 'Alice!'));
+            });
+
+            it('should reject unknown filters', function() {
+                return compiler.compile('unknown.html')
+                    .then(() => assert.fail('should fail'), err => {
+                        assert.ok(err instanceof zenmill.ZenmillCompileError);
+                        assert.equal(err.message, 'Unknown filter shout (unknown.html:2:3)');
+                    });
+            });
+
+            it('should report errors of filters', function() {
+                return compiler.render('error.html', { created: 'yesterday' })
+                    .then(() => assert.fail('should fail'), err => {
+                        assert.equal(err.name, 'ZenmillRenderError');
+                        assert.equal(err.expr, 'created | date("long")');
+                        assert.equal(err.cause.message, 'Invalid date yesterday');
+                    });
+            });
+
+        });
+
+    });
+
+    it('should take nested `|` for bitwise OR', function() {
+        return zenmill(load).render('nested.html', data)
+            .then(html => assert.equal(html, '5 TRUE 3 617,283.9 alice a|b ALICE|}'));
+    });
+
+    it('should reject `|` in expressions of attributes', function() {
+        return Promise.all([['if.html', 1, 10], ['each.html', 1, 1]].map(c => zenmill(load).compile(c[0])
+            .then(() => assert.fail('should fail'), err => {
+                assert.ok(err instanceof zenmill.ZenmillSyntaxError);
+                assert.equal(err.message.split('\n')[0], 'Filters are not supported in attributes ' +
+                    `(wrap bitwise OR in parentheses) (${c[0]}:${c[1]}:${c[2]})`);
+            })));
+    });
+
+    it('should accept filters of precompiled templates on render', function() {
+        return zenmill(load, { filters: { shout } }).compileToSource('custom.html')
+            .then(source => {
+                const module = { exports: {} };
+                new Function('module', 'exports', source)(module, module.exports);
+                assert.equal(module.exports(data, { filters: { shout } }), 'ALICE!');
+                assert.throws(() => module.exports(data),
+                    /^Error: Precompiled template requires filters shout to be passed with options of render$/);
+            });
+    });
+
+});
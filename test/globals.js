@@ -0,0 +1,98 @@
+'use strict';
+
+const zenmill = require('../src');
+const assert = require('assert');
+
+describe('Globals and helpers', function() {
+
+    const templates = {
+        'index.html': '<p>#{t("hello")} #{asset("app.css")} #{typeof Object} #{Math.max(1, 2)}</p>',
+        'page.html': '<use file="card.html" title="t(\'hello\')"/>' +
+            '<import file="ui.html" as="ui"/>!{ui.link("app.js")}',
+        'card.html': '<component><prop:title required/></component>' +
+            '<h1>#{title}</h1><p>#{asset("card.css")}</p>',
+        'ui.html': '<macro:link args="file"><a href="#{asset(file)}">#{t("link")}</a></macro:link>',
+        'shadow.html': '#{t}',
+        'site.html': '<title>#{site.name}</title>',
+        'plain.html': '#{typeof Object}'
+    };
+
+    const load = zenmill.loaders.memory(templates);
+
+    const messages = { hello: 'Hello', link: 'Link' };
+    const options = {
+        globals: { Object: undefined, site: { name: 'Blog' } },
+        helpers: {
+            t: key => messages[key],
+            asset: file => '/static/' + file
+        }
+    };
+
+    [
+        ['JavaScript expressions', {}],
+        ['safe expressions', { expressions: 'safe' }],
+        ['interpreter', { expressions: 'safe', backend: 'interpreter' }]
+    ].forEach(mode => {
+
+        describe('with ' + mode[0], function() {
+
+            const compiler = zenmill(load, Object.assign({}, options, mode[1]));
+
+            it('should extend and remove built-in globals', function() {
+                return compiler.render('index.html')
+                    .then(html => assert.equal(html, '<p>Hello /static/app.css undefined 2</p>'));
+            });
+
+            it('should expose helpers to components and imports', function() {
+                return compiler.render('page.html')
+                    .then(html => assert.equal(html, '<h1>Hello</h1><p>/static/card.css</p>' +
+                        '<a href="/static/app.js">Link</a>'));
+            });
+
+            it('should override globals and helpers on render', function() {
+                return compiler.render('index.html', {}, {
+                    globals: { Object, Math: { max: () => 'max' } },
+                    helpers: { t: key => key.toUpperCase() }
+                })
+                    .then(html => assert.equal(html, '<p>HELLO /static/app.css function max</p>'));
+            });
+
+            it('should let data shadow helpers', function() {
+                return compiler.render('shadow.html', { t: 'data' })
+                    .then(html => assert.equal(html, 'data'));
+            });
+
+        });
+
+    });
+
+    it('should accept globals and helpers of precompiled templates on render', function() {
+        return zenmill(load, options).compileToSource('index.html')
+            .then(source => {
+                const module = { exports: {} };
+                new Function('module', 'exports', source)(module, module.exports);
+                assert.equal(module.exports({}, options), '<p>Hello /static/app.css undefined 2</p>');
+            });
+    });
+
+    it('should require only the globals and helpers precompiled templates use', function() {
+        const compiler = zenmill(load, options);
+        return Promise.all(['index.html', 'site.html', 'plain.html'].map(file => compiler.compileToSource(file)))
+            .then(sources => sources.map(source => {
+                const module = { exports: {} };
+                new Function('module', 'exports', source)(module, module.exports);
+                return module.exports;
+            }))
+            .then(modules => {
+                // Hidden globals are built into modules
+                assert.equal(modules[0]({}, { helpers: options.helpers }), '<p>Hello /static/app.css undefined 2</p>');
+                assert.throws(() => modules[0]({}),
+                    /^Error: Precompiled template requires helpers t, asset to be passed with options of render$/);
+                assert.throws(() => modules[1]({}, { helpers: options.helpers }),
+                    /^Error: Precompiled template requires globals site to be passed with options of render$/);
+                assert.equal(modules[1]({}, { globals: { site: { name: 'Shop' } } }), '<title>Shop</title>');
+                assert.equal(modules[2]({}), 'undefined');
+            });
+    });
+
+});
@@ -0,0 +1,129 @@
+'use strict';
+
+const zenmill = require('../src');
+const fs = require('fs-promise');
+const path = require('path');
+const assert = require('assert');
+
+describe('Interpreter', function() {
+
+    function load(file) {
+        return fs.readFile(path.join(__dirname, 'templates', file), 'utf-8');
+    }
+
+    const compiler = zenmill(load, { expressions: 'safe' });
+    const interpreter = zenmill(load, { expressions: 'safe', backend: 'interpreter' });
+
+    const users = [
+        { name: 'Alice', active: true },
+        { name: 'Joe', active: false },
+        { name: 'Jane', active: true }
+    ];
+
+    function renderBoth(file, data, options) {
+        return Promise.all([
+            compiler.render(file, data, options),
+            interpreter.render(file, data, options)
+        ]);
+    }
+
+    it('should render templates just like compiled functions', function() {
+        const cases = [
+            ['includes/index.html'],
+            ['layouts/users/list.html'],
+            ['localdefs/index.html'],
+            ['expressions/index.html'],
+            ['vars/index.html'],
+            ['inlines/index.html'],
+            ['if/index.html', { friends: 2 }],
+            ['if/index.html', { friends: 100500 }],
+            ['switch/index.html', {}, { globals: { order: { status: () => 'shipped' } } }],
+            ['each/index.html', { users }],
+            ['each/index.html', { users: { alice: 'Alice', bob: 'Bob' } }],
+            ['each/ordered.html', { numbers: { b: 2, c: 3, a: 1 }, users }],
+            ['each/loops.html', { rows: [['a', 'b'], ['c']], numbers: new Set([1, 2]), loop: 'L' }],
+            ['each/range.html', { pages: 3 }],
+            ['each/controls.html', { users, limit: 2 }],
+            ['each/empty.html', { users: [] }],
+            ['components/index.html'],
+            ['macros/index.html'],
+            ['slots/index.html'],
+            ['comments/index.html']
+        ];
+        return Promise.all(cases.map(c => renderBoth(c[0], c[1], c[2])
+            .then(html => assert.equal(html[1], html[0], c[0]))));
+    });
+
+    it('should compare loosely just like compiled functions', function() {
+        const same = {};
+        const big = global.BigInt;
+        const pairs = [
+            [null, undefined], [null, 0], [undefined, ''], [0, ''], ['1', 1], [true, 1], [false, '0'],
+            [NaN, NaN], [same, same], [{}, {}], [[1], 1], [[], ''], [{}, '[object Object]'],
+            [{ valueOf: () => 5 }, '5'], [new Date(0), new Date(0).toString()],
+            [big(2), 2], [big(2), 2.5], [big(1), '1'], [big(3), 'x']
+        ];
+        const templates = {
+            'equality.html': '<each:pair in="pairs">#{pair[0] == pair[1]} #{pair[1] != pair[0]},</each:pair>'
+        };
+        const options = { expressions: 'safe' };
+        const load = zenmill.loaders.memory(templates);
+        const compiler = zenmill(load, options);
+        const interpreter = zenmill(load, Object.assign({ backend: 'interpreter' }, options));
+        return Promise.all([
+            compiler.render('equality.html', { pairs }),
+            interpreter.render('equality.html', { pairs })
+        ])
+            .then(html => assert.equal(html[1], html[0]));
+    });
+
+    it('should escape expressions just like compiled functions', function() {
+        const templates = {
+            'branches.html': '<a href="<if expr="value">/path</if>#{value}">#{value}</a>' +
+                '<each:item in="[1, 2]"><a href="<if expr="item_first">/</if>#{value}"></a></each:item>'
+        };
+        const options = { expressions: 'safe' };
+        const load = zenmill.loaders.memory(templates);
+        const compiler = zenmill(load, options);
+        const interpreter = zenmill(load, Object.assign({ backend: 'interpreter' }, options));
+        return Promise.all(['javascript:alert(1)', ''].map(value => Promise.all([
+            compiler.render('branches.html', { value }),
+            interpreter.render('branches.html', { value })
+        ])
+            .then(html => assert.equal(html[1], html[0]))));
+    });
+
+    it('should report errors just like compiled functions', function() {
+        return Promise.all([
+            compiler.render('errors/page.html'),
+            interpreter.render('errors/page.html')
+        ].map(promise => promise.then(() => assert.fail('should fail'), err => err)))
+            .then(errs => {
+                assert.equal(errs[1].name, 'ZenmillRenderError');
+                assert.equal(errs[1].message, errs[0].message);
+                assert.deepEqual(errs[1].templateStack, errs[0].templateStack);
+            });
+    });
+
+    it('should not use new Function', function() {
+        const Function = global.Function;
+        global.Function = function() {
+            throw new Error('new Function is not allowed');
+        };
+        return interpreter.compile('macros/index.html')
+            .then(fn => fn())
+            .then(html => {
+                global.Function = Function;
+                assert.ok(html.indexOf('<button class="btn-danger">') !== -1);
+            }, err => {
+                global.Function = Function;
+                throw err;
+            });
+    });
+
+    it('should require safe expressions', function() {
+        assert.throws(() => zenmill(load, { backend: 'interpreter' }),
+            /Interpreter backend requires safe expressions/);
+    });
+
+});
@@ -0,0 +1,199 @@
+'use strict';
+
+const zenmill = require('../src');
+const path = require('path');
+const assert = require('assert');
+
+describe('Loaders', function() {
+
+    function layer(templates) {
+        return file => {
+            if (file in templates) {
+                return Promise.resolve(templates[file]);
+            }
+            const err = new Error(`ENOENT: ${file}`);
+            err.code = 'ENOENT';
+            return Promise.reject(err);
+        };
+    }
+
+    describe('fallback', function() {
+
+        const system = layer({
+            'index.html': '<include file="/layout.html"/>',
+            'layout.html': '<include file="header.html"/><main>System</main>',
+            'header.html': '<header>System</header>'
+        });
+        const theme = layer({
+            'layout.html': '<include file="header.html"/><main>Theme</main>',
+            'header.html': '<header>Theme</header>'
+        });
+        const user = layer({
+            'header.html': '<header>User</header>'
+        });
+
+        it('should resolve includes through the same chain', function() {
+            const load = zenmill.loaders.fallback([
+                { name: 'user', load: user },
+                { name: 'theme', load: theme },
+                { name: 'system', load: system }
+            ]);
+            return zenmill(load).render('index.html')
+                .then(html => {
+                    assert.equal(html, '<header>User</header><main>Theme</main>');
+                    assert.equal(load.layerOf('index.html'), 'system');
+                    assert.equal(load.layerOf('layout.html'), 'theme');
+                    assert.equal(load.layerOf('header.html'), 'user');
+                    assert.strictEqual(load.layerOf('footer.html'), undefined);
+                });
+        });
+
+        it('should use indices for unnamed layers', function() {
+            const load = zenmill.loaders.fallback([user, theme, () => 'Sync']);
+            return Promise.all([load('layout.html'), load('footer.html')])
+                .then(contents => {
+                    assert.deepEqual(contents, [
+                        '<include file="header.html"/><main>Theme</main>',
+                        'Sync'
+                    ]);
+                    assert.strictEqual(load.layerOf('layout.html'), 1);
+                    assert.strictEqual(load.layerOf('footer.html'), 2);
+                });
+        });
+
+        it('should reject with not found error when no layer has template', function() {
+            const load = zenmill.loaders.fallback([user, { name: 'theme', load: theme }]);
+            return load('footer.html')
+                .then(() => assert.fail('should fail'), err => {
+                    assert.ok(err instanceof zenmill.ZenmillNotFoundError);
+                    assert.equal(err.code, 'ENOENT');
+                    assert.equal(err.file, 'footer.html');
+                    assert.equal(err.message, 'Template footer.html not found (tried layers 0, theme)');
+                });
+        });
+
+        it('should not fall back on I/O errors', function() {
+            const calls = [];
+            const load = zenmill.loaders.fallback([
+                file => {
+                    calls.push('user');
+                    const err = new Error(`EACCES: ${file}`);
+                    err.code = 'EACCES';
+                    throw err;
+                },
+                file => {
+                    calls.push('theme');
+                    return theme(file);
+                }
+            ]);
+            return load('header.html')
+                .then(() => assert.fail('should fail'), err => {
+                    assert.equal(err.code, 'EACCES');
+                    assert.deepEqual(calls, ['user']);
+                });
+        });
+
+    });
+
+    describe('fs', function() {
+
+        const load = zenmill.loaders.fs(path.join(__dirname, 'templates'));
+
+        it('should load templates relative to root', function() {
+            return zenmill(load).render('includes/header/header.html')
+                .then(html => assert.equal(html.trim(), '<header>Nanotemplates FTW!\n</header>'));
+        });
+
+        it('should reject with not found error', function() {
+            return Promise.all(['missing.html', 'includes'].map(file => {
+                return load(file)
+                    .then(() => assert.fail('should fail'), err => {
+                        assert.ok(err instanceof zenmill.ZenmillNotFoundError);
+                        assert.equal(err.code, 'ENOENT');
+                        assert.equal(err.file, file);
+                    });
+            }));
+        });
+
+        it('should support encodings', function() {
+            const load = zenmill.loaders.fs(path.join(__dirname, 'templates'), { encoding: 'base64' });
+            return load('includes/title.html')
+                .then(content => assert.equal(content, 'TmFub3RlbXBsYXRlcyBGVFchCg=='));
+        });
+
+    });
+
+    describe('memory', function() {
+
+        const load = zenmill.loaders.memory({
+            'index.html': '<include file="title.html"/>!',
+            'title.html': 'Hello'
+        });
+
+        it('should load templates from object', function() {
+            return zenmill(load).render('index.html')
+                .then(html => assert.equal(html, 'Hello!'));
+        });
+
+        it('should reject with not found error', function() {
+            return load('toString')
+                .then(() => assert.fail('should fail'), err => {
+                    assert.ok(err instanceof zenmill.ZenmillNotFoundError);
+                    assert.equal(err.message, 'Template toString not found');
+                });
+        });
+
+    });
+
+    describe('dom', function() {
+
+        function element(attrs, textContent) {
+            return {
+                textContent,
+                getAttribute: name => attrs[name] == null ? null : attrs[name]
+            };
+        }
+
+        const document = {
+            querySelectorAll(selector) {
+                return selector === 'script[type="text/zenmill"]' ? [
+                    element({ id: 'index.html' }, '<include file="/partials/title.html"/>!'),
+                    element({ 'data-file': 'partials/title.html' }, 'Hello')
+                ] : [
+                    element({ id: 'title.html' }, 'Custom')
+                ];
+            }
+        };
+
+        it('should load templates from script tags', function() {
+            return zenmill(zenmill.loaders.dom(document)).render('index.html')
+                .then(html => assert.equal(html, 'Hello!'));
+        });
+
+        it('should use custom selector', function() {
+            const load = zenmill.loaders.dom(document, { selector: 'template' });
+            return load('title.html')
+                .then(content => assert.equal(content, 'Custom'));
+        });
+
+        it('should reject with not found error', function() {
+            return zenmill.loaders.dom(document)('title.html')
+                .then(() => assert.fail('should fail'), err => {
+                    assert.ok(err instanceof zenmill.ZenmillNotFoundError);
+                    assert.equal(err.message,
+                        'Template title.html not found (no script[type="text/zenmill"] element)');
+                });
+        });
+
+    });
+
+    it('should accept synchronous loaders', function() {
+        const templates = {
+            'index.html': '<include file="title.html"/>!',
+            'title.html': 'Hello'
+        };
+        return zenmill(file => templates[file]).render('index.html')
+            .then(html => assert.equal(html, 'Hello!'));
+    });
+
+});
@@ -0,0 +1,91 @@
+'use strict';
+
+const createCompiler = require('../src/compiler');
+const fs = require('fs-promise');
+const path = require('path');
+const assert = require('assert');
+const assertHtml = require('./support').assertHtml;
+
+describe('Modules', function() {
+
+    function load(file) {
+        return fs.readFile(path.join(__dirname, 'templates', file), 'utf-8');
+    }
+
+    function expected(file) {
+        return fs.readFile(path.join(__dirname, 'templates', file), 'utf-8');
+    }
+
+    const compiler = createCompiler(load);
+
+    it('should compile to CommonJS module', function() {
+        return Promise.all([
+            compiler.compileToSource('each/index.html'),
+            expected('each/_array.html')
+        ])
+            .then(results => {
+                const module = { exports: {} };
+                new Function('module', 'exports', results[0])(module, module.exports);
+                assertHtml(module.exports({ users: [
+                    { name: 'Alice' },
+                    { name: 'Joe' },
+                    { name: 'Jane' }
+                ] }), results[1]);
+            });
+    });
+
+    it('should compile to UMD module', function() {
+        return Promise.all([
+            compiler.compileToSource('layouts/users/list.html', { format: 'umd' }),
+            expected('layouts/users/_list.html')
+        ])
+            .then(results => {
+                const root = {};
+                new Function('module', 'define', results[0]).call(root);
+                const render = root.zenmillTemplates['layouts/users/list.html'];
+                assertHtml(render(), results[1]);
+            });
+    });
+
+    it('should compile to ES module with safe expressions', function() {
+        return Promise.all([
+            createCompiler(load, { expressions: 'safe' }).compileToSource('each/index.html', { format: 'esm' }),
+            expected('each/_array.html')
+        ])
+            .then(results => {
+                // ES modules are strict
+                const source = results[0].replace('export default render;', 'return render;');
+                const render = new Function('"use strict";' + source)();
+                assertHtml(render({ users: [
+                    { name: 'Alice' },
+                    { name: 'Joe' },
+                    { name: 'Jane' }
+                ] }), results[1]);
+            });
+    });
+
+    it('should not compile to ES module with JavaScript expressions', function() {
+        return compiler.compileToSource('each/index.html', { format: 'esm' })
+            .then(() => assert.fail('should fail'), err => {
+                assert.ok(/^ES modules are always strict/.test(err.message));
+            });
+    });
+
+    it('should include only required runtime', function() {
+        return compiler.compileToSource('includes/index.html')
+            .then(source => {
+                assert.ok(source.indexOf('function extend') !== -1);
+                assert.ok(source.indexOf('function each') === -1);
+                assert.ok(source.indexOf('function escapeHtml') === -1);
+                assert.ok(source.indexOf('function evaluate') === -1);
+            });
+    });
+
+    it('should reject unknown formats', function() {
+        return compiler.compileToSource('includes/index.html', { format: 'amd' })
+            .then(() => assert.fail('should fail'), err => {
+                assert.equal(err.message, 'Unknown module format: amd');
+            });
+    });
+
+});
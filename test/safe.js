@@ -0,0 +1,133 @@
+'use strict';
+
+const zenmill = require('../src');
+const fs = require('fs-promise');
+const path = require('path');
+const assert = require('assert');
+const support = require('./support');
+
+describe('Safe expressions', function() {
+
+    const templates = {
+        'index.html': '<var:title>user.name.toUpperCase() + \'!\'</var:title>' +
+            '<h1>#{title}</h1>' +
+            '<p>#{user.tags.length > 1 ? user.tags.join(", ") : "none"}</p>' +
+            '<p>#{-total * 2 % 7} #{typeof missing} #{!user.admin && [1, 2][1]}</p>' +
+            '<p>#{format({ value: total }["value"], 0x10)} #{Math.max(1, 2.5e1)}</p>',
+        'constructor.html': '#{user.constructor}',
+        'prototype.html': '#{user["__proto__"]}',
+        'call.html': '#{format.call(null, 1)}',
+        'function.html': '#{leak()}',
+        'method.html': '#{order.cancel()}',
+        'callback.html': '#{callback()}',
+        'push.html': '#{user.tags.push("c")}',
+        'replace.html': '#{"a".replace("a", order.cancel)}',
+        'stringify.html': '#{JSON.stringify({ a: 1 }, order.cancel)}',
+        'macro.html': '<macro:twice args="s">#{s}#{s}</macro:twice>#{"ab".replace("a", twice)}',
+        'object.html': '#{Object}',
+        'assignment.html': '#{user.admin = true}',
+        'arrow.html': '<each:tag in="user.tags" sort-by="() => tag">#{tag}</each:tag>',
+        'identifier.html': '#{hasOwnProperty}'
+    };
+
+    const load = zenmill.loaders.memory(templates);
+
+    const options = {
+        expressions: 'safe',
+        helpers: {
+            format: (value, base) => value.toString(base),
+            leak: () => Function
+        }
+    };
+    const compiler = zenmill(load, options);
+    const interpreter = zenmill(load, Object.assign({ backend: 'interpreter' }, options));
+
+    function render(file, backend) {
+        return (backend || compiler).render(file, {
+            user: {
+                name: 'Alice',
+                tags: ['a', 'b']
+            },
+            total: 3,
+            order: { cancel: () => 'cancelled' },
+            callback: () => 'called'
+        });
+    }
+
+    function assertInvalid(file, message) {
+        return compiler.compile(file)
+            .then(() => assert.fail('should fail'), err => {
+                assert.ok(err instanceof zenmill.ZenmillCompileError);
+                assert.ok(err.message.indexOf(message) === 0, err.message);
+            });
+    }
+
+    function assertForbidden(file, message, backend) {
+        return render(file, backend)
+            .then(() => assert.fail('should fail'), err => {
+                assert.equal(err.name, 'ZenmillRenderError');
+                assert.equal(err.cause.message, message);
+            });
+    }
+
+    it('should evaluate restricted expressions', function() {
+        return render('index.html')
+            .then(html => assert.equal(html, '<h1>ALICE!</h1><p>a, b</p>' +
+                '<p>-6 undefined 2</p><p>3 25</p>'));
+    });
+
+    it('should compile templates', function() {
+        const compiler = zenmill(file => fs.readFile(path.join(__dirname, 'templates', file), 'utf-8'),
+            { expressions: 'safe' });
+        return compiler.render('macros/index.html')
+            .then(html => support.assertHtmlFile(html, 'macros/_index.html'));
+    });
+
+    it('should reject unsupported syntax', function() {
+        return Promise.all([
+            assertInvalid('assignment.html', 'Invalid expression `user.admin = true`'),
+            assertInvalid('arrow.html', 'Invalid expression `() => tag`')
+        ]);
+    });
+
+    it('should reject variables from object prototype', function() {
+        return assertInvalid('identifier.html',
+            'Invalid expression `hasOwnProperty`: Access to hasOwnProperty is not allowed (identifier.html:1:1)');
+    });
+
+    it('should deny access to prototypes and function constructors', function() {
+        return Promise.all([
+            assertForbidden('constructor.html', 'Access to constructor is not allowed'),
+            assertForbidden('prototype.html', 'Access to __proto__ is not allowed'),
+            assertForbidden('call.html', 'Access to call is not allowed'),
+            assertForbidden('function.html', 'Access to function constructors is not allowed')
+        ]);
+    });
+
+    it('should call only globals, helpers and macros', function() {
+        return Promise.all([
+            assertForbidden('method.html', 'Only globals, helpers and macros can be called'),
+            assertForbidden('callback.html', 'Only globals, helpers and macros can be called'),
+            assertForbidden('push.html', 'Only globals, helpers and macros can be called')
+        ]);
+    });
+
+    it('should not pass other functions as callbacks', function() {
+        return Promise.all([compiler, interpreter].map(backend => Promise.all([
+            assertForbidden('replace.html', 'Only globals, helpers and macros can be passed as functions', backend),
+            assertForbidden('stringify.html', 'Only globals, helpers and macros can be passed as functions', backend),
+            render('macro.html', backend)
+                .then(html => assert.equal(html, 'aab'))
+        ])));
+    });
+
+    it('should expose only whitelisted globals', function() {
+        return render('object.html')
+            .then(html => assert.equal(html, 'undefined'));
+    });
+
+    it('should reject unknown modes', function() {
+        assert.throws(() => zenmill(load, { expressions: 'eval' }), /Unknown expressions mode: eval/);
+    });
+
+});
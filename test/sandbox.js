@@ -0,0 +1,98 @@
+'use strict';
+
+const zenmill = require('../src');
+const assert = require('assert');
+
+describe('Sandbox', function() {
+
+    const templates = {
+        'index.html': '<include file="partials/header.html"/>',
+        'partials/header.html': '<header><include file="/title.html"/></header>',
+        'title.html': 'Hello',
+        'pages/escape.html': '<p>\n  <include file="../../secret.html"/>\n</p>',
+        'pages/inline.html': '<inline file="!../../../etc/passwd"/>',
+        'pages/windows.html': '<inline file="C:\\Windows\\win.ini"/>',
+        'pages/unc.html': '<include file="\\\\server\\share\\index.html"/>',
+        'pages/backslashes.html': '<include file="..\\..\\secret.html"/>',
+        'pages/nul.html': '<inline file="title.html\0.png"/>',
+        'pages/shared.html': '<include file="../../shared/footer.html"/>',
+        '../shared/footer.html': '<footer><include file="copyright.html"/></footer>',
+        '../shared/copyright.html': '(c)',
+        '../shared/evil.html': '<include file="../secret.html"/>'
+    };
+
+    let loaded = [];
+
+    function load(file) {
+        loaded.push(file);
+        const content = templates[file];
+        return content == null ?
+            Promise.reject(new Error(`${file} not found`)) :
+            Promise.resolve(content);
+    }
+
+    beforeEach(function() {
+        loaded = [];
+    });
+
+    function assertRejected(compiler, file, message) {
+        return compiler.compile(file)
+            .then(() => assert.fail('should fail'), err => {
+                assert.ok(err instanceof zenmill.ZenmillCompileError, err.message);
+                assert.equal(err.message, message);
+                loaded.forEach(file => assert.ok(file in templates, file));
+            });
+    }
+
+    const compiler = zenmill(load);
+
+    it('should resolve paths within root', function() {
+        return compiler.render('index.html')
+            .then(html => assert.equal(html, '<header>Hello</header>'));
+    });
+
+    it('should reject includes outside of root', function() {
+        return assertRejected(compiler, 'pages/escape.html',
+            'Path ../../secret.html is outside of templates root (pages/escape.html:2:3)');
+    });
+
+    it('should reject inlines outside of root', function() {
+        return assertRejected(compiler, 'pages/inline.html',
+            'Path ../../../etc/passwd is outside of templates root (pages/inline.html:1:1)');
+    });
+
+    it('should reject entry templates outside of root', function() {
+        return assertRejected(compiler, '../shared/footer.html',
+            'Path ../shared/footer.html is outside of templates root (../shared/footer.html)');
+    });
+
+    it('should reject absolute paths', function() {
+        return Promise.all([
+            assertRejected(compiler, 'pages/windows.html',
+                'Absolute path C:\\Windows\\win.ini is not allowed (pages/windows.html:1:1)'),
+            assertRejected(compiler, 'pages/unc.html',
+                'Absolute path \\\\server\\share\\index.html is not allowed (pages/unc.html:1:1)')
+        ]);
+    });
+
+    it('should treat backslashes as separators', function() {
+        return assertRejected(compiler, 'pages/backslashes.html',
+            'Path ..\\..\\secret.html is outside of templates root (pages/backslashes.html:1:1)');
+    });
+
+    it('should reject NUL bytes', function() {
+        return assertRejected(compiler, 'pages/nul.html',
+            'Path must not contain NUL bytes (pages/nul.html:1:1)');
+    });
+
+    it('should allow explicitly listed roots', function() {
+        const compiler = zenmill(load, { roots: ['../shared/'] });
+        return compiler.render('pages/shared.html')
+            .then(html => {
+                assert.equal(html, '<footer>(c)</footer>');
+                return assertRejected(compiler, '../shared/evil.html',
+                    'Path ../secret.html is outside of templates root (../shared/evil.html:1:1)');
+            });
+    });
+
+});
@@ -0,0 +1,29 @@
+'use strict';
+
+const fs = require('fs-promise');
+const path = require('path');
+const assert = require('assert');
+
+const root = path.join(__dirname, '..', 'templates');
+
+/**
+ * Compares HTML, ignoring whitespace around tags.
+ */
+function assertHtml(actual, expected) {
+    actual = actual.replace(/\s+</g, '<').replace(/>\s+/g, '>');
+    expected = expected.replace(/\s+</g, '<').replace(/>\s+/g, '>');
+    assert.equal(actual, expected);
+}
+
+/**
+ * Compares HTML with the expected output stored in `test/templates`.
+ */
+function assertHtmlFile(actual, expectedFile) {
+    return fs.readFile(path.join(root, expectedFile), 'utf-8')
+        .then(expected => assertHtml(actual, expected));
+}
+
+module.exports = {
+    assertHtml,
+    assertHtmlFile
+};
@@ -4,17 +4,10 @@ const createCompiler = require('../src/compiler');
 const fs = require('fs-promise');
 const path = require('path');
 const assert = require('assert');
+const support = require('./support');
 
-function assertHtml(actual, expected) {
-    actual = actual.replace(/\s+</g, '<').replace(/>\s+/g, '>');
-    expected = expected.replace(/\s+</g, '<').replace(/>\s+/g, '>');
-    assert.equal(actual, expected);
-}
-
-function assertHtmlFile(actual, expectedFile) {
-    return fs.readFile(path.join(__dirname, 'templates', expectedFile), 'utf-8')
-        .then(expected => assertHtml(actual, expected));
-}
+const assertHtml = support.assertHtml;
+const assertHtmlFile = support.assertHtmlFile;
 
 describe('Compiler', function() {
 
@@ -35,6 +28,22 @@ describe('Compiler', function() {
             .then(html => assertHtmlFile(html, 'includes/_index.html'));
     });
 
+    it('should load included files in parallel', function() {
+        let loading = 0;
+        let concurrent = 0;
+        const compiler = createCompiler(file => {
+            loading++;
+            concurrent = Math.max(concurrent, loading);
+            return load(file).then(content => {
+                loading--;
+                return content;
+            });
+        });
+        return compiler.render('includes/index.html')
+            .then(html => assertHtmlFile(html, 'includes/_index.html'))
+            .then(() => assert.equal(concurrent, 2));
+    });
+
     it('should process layouts with block redifinition', function() {
         return compiler.render('layouts/users/list.html')
             .then(html => assertHtmlFile(html, 'layouts/users/_list.html'));
@@ -70,6 +79,29 @@ describe('Compiler', function() {
             .then(html => assertHtmlFile(html, 'if/_100500.html'));
     });
 
+    it('should process switch statements', function() {
+        let calls = 0;
+        function render(status) {
+            const order = {
+                status: () => {
+                    calls++;
+                    return status;
+                }
+            };
+            return compiler.render('switch/index.html', { order })
+                .then(html => assertHtmlFile(html, `switch/_${status}.html`));
+        }
+        return render('new')
+            .then(() => render('shipped'))
+            .then(() => render('lost'))
+            .then(() => assert.equal(calls, 6));
+    });
+
+    it('should treat switch tags without expr as plain text', function() {
+        return compiler.render('switch/svg.html', { greeting: 'Hi' })
+            .then(html => assertHtmlFile(html, 'switch/_svg.html'));
+    });
+
     it('should process each statements with arrays', function() {
         return compiler.render('each/index.html', { users: users })
             .then(html => assertHtmlFile(html, 'each/_array.html'));
@@ -85,6 +117,117 @@ describe('Compiler', function() {
             .then(html => assertHtmlFile(html, 'each/_object.html'));
     });
 
+    it('should process each statements with iterables', function() {
+        function* generate() {
+            yield* users;
+        }
+        return Promise.all([new Set(users), generate()].map(users => {
+            return compiler.render('each/index.html', { users })
+                .then(html => assertHtmlFile(html, 'each/_array.html'));
+        }))
+            .then(() => compiler.render('each/index.html', {
+                users: new Map([['alice', 'Alice'], ['bob', 'Bob']])
+            }))
+            .then(html => assertHtmlFile(html, 'each/_object.html'));
+    });
+
+    it('should order each statements', function() {
+        return compiler.render('each/ordered.html', {
+            numbers: { b: 2, c: 3, a: 1 },
+            users: [
+                { name: 'Alice', age: 30 },
+                { name: 'Joe', age: 20 },
+                { name: 'Jane', age: 30 }
+            ]
+        })
+            .then(html => assertHtmlFile(html, 'each/_ordered.html'));
+    });
+
+    it('should use default order of compiler', function() {
+        const compiler = createCompiler(load, { order: 'insertion' });
+        return compiler.render('each/ordered.html', { numbers: { b: 2, c: 3, a: 1 }, users: [] })
+            .then(html => assert.ok(html.indexOf('<p><i>b</i><i>c</i><i>a</i></p>') === 0));
+    });
+
+    it('should expose loop metadata in each statements', function() {
+        function* numbers() {
+            yield 1;
+            yield 2;
+        }
+        return compiler.render('each/loops.html', {
+            rows: [['a', 'b'], ['c'], ['d', 'e']],
+            numbers: numbers(),
+            loop: 'L'
+        })
+            .then(html => assertHtmlFile(html, 'each/_loops.html'));
+    });
+
+    it('should process each statements with ranges', function() {
+        return compiler.render('each/range.html', { pages: 3 })
+            .then(html => assertHtmlFile(html, 'each/_range.html'))
+            .then(() => compiler.render('each/range.html', { pages: 'ten' }))
+            .then(() => assert.fail('should fail'), err => {
+                assert.equal(err.message, 'Invalid range from 1 to ten');
+            });
+    });
+
+    it('should break and continue each statements', function() {
+        const people = [
+            { name: 'Alice', active: true },
+            { name: 'Joe', active: false },
+            { name: 'Jane', active: true },
+            { name: 'Bob', active: true }
+        ];
+        let closed = false;
+        function* generate() {
+            try {
+                yield* people;
+            } finally {
+                closed = true;
+            }
+        }
+        return Promise.all([people, generate()].map(users => {
+            return compiler.render('each/controls.html', { users, limit: 3 })
+                .then(html => assertHtmlFile(html, 'each/_controls.html'));
+        }))
+            .then(() => {
+                assert.ok(closed);
+                return compiler.render('each/controls.html', { users: [], explode: {} });
+            })
+            .then(() => assert.fail('should fail'), err => {
+                assert.deepEqual(err.templateStack, ['each/controls.html']);
+            });
+    });
+
+    it('should render empty fallback of each statements', function() {
+        return Promise.all([[], {}, null, new Map()].map(users => {
+            return compiler.render('each/empty.html', { users })
+                .then(html => assertHtmlFile(html, 'each/_empty.html'));
+        }))
+            .then(() => compiler.render('each/empty.html', { users: ['Alice'] }))
+            .then(html => assertHtml(html, '<ul><li>Alice</li></ul>'));
+    });
+
+    it('should treat empty tags outside of each statements as plain text', function() {
+        return compiler.render('each/plain.html', { users: ['Alice'] })
+            .then(html => assertHtmlFile(html, 'each/_plain.html'));
+    });
+
+    it('should process components', function() {
+        return compiler.render('components/index.html')
+            .then(html => assertHtmlFile(html, 'components/_index.html'));
+    });
+
+    it('should process macros and imports', function() {
+        return compiler.render('macros/index.html')
+            .then(html => assertHtmlFile(html, 'macros/_index.html'));
+    });
+
+    it('should pass block values to scoped slots', function() {
+        return compiler.render('slots/index.html')
+            .then(html => assertHtmlFile(html, 'slots/_index.html'));
+    });
+
     it('should not strip comments by default', function() {
         return compiler.render('comments/index.html')
             .then(html => assertHtmlFile(html, 'comments/_index.html'));